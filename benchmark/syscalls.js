@@ -0,0 +1,79 @@
+"use strict";
+
+//
+// Count read and write syscalls of a 200 field struct with and without
+// buffering.
+//
+// Usage: node benchmark/syscalls.js
+//
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+
+var FIELDS = 200;
+var ROUNDS = 100;
+
+var calls = { read: 0, write: 0 };
+['read', 'write'].forEach((name) => {
+	var original = fs[name];
+	fs[name] = function() {
+		calls[name]++;
+		return original.apply(this, arguments);
+	};
+});
+
+function writeHeader(file, options, cb) {
+	var struct = file.createWriteStruct(0, options);
+	for (var i = 0; i < FIELDS; i++)
+		struct.uintLE(i, 4);
+	struct.write(cb);
+}
+
+function readHeader(file, options, cb) {
+	var struct = file.createReadStruct(0, options);
+	for (var i = 0; i < FIELDS; i++)
+		struct.uintLE('field' + i, 4);
+	struct.read(cb);
+}
+
+function run(file, name, options, cb) {
+	calls.read = calls.write = 0;
+	var start = process.hrtime();
+	var round = 0;
+
+	var next = (err) => {
+		if (err) return cb(err);
+		if (round++ == ROUNDS) {
+			var time = process.hrtime(start);
+			var ms = (time[0] * 1e3 + time[1] / 1e6) / ROUNDS;
+			console.log('%s: %d writes, %d reads per struct, %s ms',
+				name, calls.write / ROUNDS, calls.read / ROUNDS, ms.toFixed(3));
+			return cb(null);
+		}
+
+		writeHeader(file, options, (err) => {
+			if (err) return cb(err);
+			readHeader(file, options, next);
+		});
+	};
+	next();
+}
+
+var filepath = path.join(os.tmpdir(), 'bin-file-benchmark-' + process.pid);
+
+File.open(filepath, { flags: 'w+' }, (err, file) => {
+	if (err) throw err;
+
+	run(file, 'unbuffered', { buffered: false }, (err) => {
+		if (err) throw err;
+
+		run(file, 'buffered', {}, (err) => {
+			if (err) throw err;
+
+			file.close(() => fs.unlink(filepath, () => {}));
+		});
+	});
+});
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+"use strict";
+
+//
+// Command line tool for inspecting and editing binary files
+//
+// Usage: bin-file <command> [args]
+//
+
+var util = require('util');
+
+var File = require('..');
+var Struct = File.Struct;
+
+var usage = [
+	'Usage: bin-file <command> [args]',
+	'',
+	'Commands:',
+	'  hexdump <file> [offset] [length]          Hexdump of file, to end of file by default',
+	'  read <file> <offset> <type>               Read single value',
+	'  write <file> <offset> <type> <value>      Write single value',
+	'  parse <file> <schema.json> [offset]       Read records to end of file and print',
+	'        [--count <n>]                       them as JSON',
+	'  patch <file> <schema.json> <json>         Read record, apply JSON object to it',
+	'        [offset]                            and write it back',
+	'',
+	'Types are schema field types with optional endian and length, e.g.',
+	"'uint:2', 'intLE:4', 'doubleLE', 'bigUInt64', 'varUInt', 'string:8',",
+	"'cstring', 'stringLen:2' or 'buffer:16'. Buffers are given and printed",
+	'as hex, 64-bit integers as decimal strings in JSON. Offsets may be hex',
+	"with a '0x' prefix."
+].join('\n');
+
+// field types which are not values of their own
+var computedTypes = ['checksum', 'sizeOf'];
+
+/**
+ * Error in command line arguments.
+ */
+function UsageError(message) {
+	Error.call(this);
+	this.name = 'UsageError';
+	this.message = message;
+}
+util.inherits(UsageError, Error);
+
+/**
+ * Parse offset or length argument.
+ */
+function parseNumber(arg, name) {
+	var value = Number(arg);
+	if (arg === undefined || arg === '' || !Number.isSafeInteger(value) || value < 0)
+		throw new UsageError('Invalid ' + name + ": '" + arg + "'");
+	return value;
+}
+
+/**
+ * Parse type argument, e.g. 'uintLE:2', to a field specification.
+ */
+function parseType(arg) {
+	var match = /^(.+?)(BE|LE)?(?::(.+))?$/.exec(arg || '');
+	if (!match || computedTypes.indexOf(match[1]) != -1)
+		throw new UsageError("Invalid type: '" + arg + "'");
+
+	var spec = { type: match[1] };
+	if (match[2])
+		spec.endian = match[2];
+	if (match[3])
+		spec.length = match[3] == 'varint' ? match[3] : parseNumber(match[3], 'length');
+	return spec;
+}
+
+/**
+ * Parse value argument of a field.
+ */
+function parseValue(field, arg) {
+	switch (field.type) {
+	case 'string':
+	case 'cstring':
+	case 'stringLen':
+		return arg;
+	case 'buffer':
+	case 'bufferLen':
+		return parseHex(arg, field.name);
+	case 'bigInt64':
+	case 'bigUInt64':
+		try {
+			return BigInt(arg);
+		} catch (err) {
+			throw new UsageError("Invalid value: '" + arg + "'");
+		}
+	}
+
+	var value = Number(arg);
+	if (arg === '' || isNaN(value))
+		throw new UsageError("Invalid value: '" + arg + "'");
+	return value;
+}
+
+function parseHex(str, name) {
+	if (typeof str != 'string' || !/^([0-9a-fA-F]{2})*$/.test(str))
+		throw new UsageError("Invalid hex data for '" + name + "'");
+	return Buffer.from(str, 'hex');
+}
+
+function isObject(value) {
+	return value !== null && typeof value == 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+/**
+ * Convert result to JSON compatible value.
+ */
+function toJSON(value) {
+	if (Buffer.isBuffer(value))
+		return value.toString('hex');
+	if (typeof value == 'bigint')
+		return value.toString();
+	if (Array.isArray(value))
+		return value.map(toJSON);
+	if (isObject(value)) {
+		var json = {};
+		Object.keys(value).forEach((key) => json[key] = toJSON(value[key]));
+		return json;
+	}
+	return value;
+}
+
+/**
+ * Convert JSON values of schema fields back to field values.
+ */
+function fromJSON(schema, json, prefix) {
+	if (!isObject(json))
+		throw new UsageError("Value of '" + (prefix || 'record') + "' must be an object");
+
+	var value = {};
+	Object.keys(json).forEach((key) => {
+		var name = (prefix ? prefix + '.' : '') + key;
+		var field = schema.fields.find((field) => field.name === key);
+		if (!field)
+			throw new UsageError("Unknown field '" + name + "'");
+		if (computedTypes.indexOf(field.type) != -1)
+			throw new UsageError("Field '" + name + "' is computed on write");
+
+		var convert = (item) => {
+			if (field.type instanceof Struct.Schema)
+				return fromJSON(field.type, item, name);
+			if (field.type == 'buffer' || field.type == 'bufferLen')
+				return parseHex(item, name);
+			if (field.type == 'bigInt64' || field.type == 'bigUInt64')
+				return BigInt(item);
+			return item;
+		};
+
+		if (field.count === undefined)
+			return value[key] = convert(json[key]);
+		if (!Array.isArray(json[key]))
+			throw new UsageError("Value of '" + name + "' must be an array");
+		value[key] = json[key].map(convert);
+	});
+	return value;
+}
+
+/**
+ * Merge patch to value. Objects are merged, other values replaced.
+ */
+function merge(value, patch) {
+	var result = Object.assign({}, value);
+	Object.keys(patch).forEach((key) => {
+		result[key] = isObject(result[key]) && isObject(patch[key]) ?
+			merge(result[key], patch[key]) : patch[key];
+	});
+	return result;
+}
+
+function formatValue(value) {
+	if (Buffer.isBuffer(value))
+		return value.toString('hex');
+	return String(value);
+}
+
+var commands = {
+	hexdump: (args) => {
+		var file = File.openSync(args[0], { flags: 'r' });
+		try {
+			var pos = args[1] === undefined ? 0 : parseNumber(args[1], 'offset');
+			var len = args[2] === undefined ? undefined : parseNumber(args[2], 'length');
+			var text = file.hexdumpSync(pos, len);
+			if (text) console.log(text);
+		} finally {
+			file.closeSync();
+		}
+	},
+
+	read: (args) => {
+		var pos = parseNumber(args[1], 'offset');
+		var schema = Struct.define({ value: parseType(args[2]) });
+
+		var file = File.openSync(args[0], { flags: 'r' });
+		try {
+			console.log(formatValue(schema.readSync(file, pos).value));
+		} finally {
+			file.closeSync();
+		}
+	},
+
+	write: (args) => {
+		var pos = parseNumber(args[1], 'offset');
+		var schema = Struct.define({ value: parseType(args[2]) });
+		if (args[3] === undefined)
+			throw new UsageError('Missing value');
+		var value = parseValue(schema.fields[0], args[3]);
+
+		var file = File.openSync(args[0]);
+		try {
+			schema.writeSync(file, pos, { value: value });
+		} finally {
+			file.closeSync();
+		}
+	},
+
+	parse: (args, options) => {
+		var schema = Struct.loadSync(args[1]);
+		var pos = args[2] === undefined ? 0 : parseNumber(args[2], 'offset');
+		var count = options.count === undefined ? Infinity : parseNumber(options.count, 'count');
+
+		var file = File.openSync(args[0], { flags: 'r' });
+		try {
+			var size = file.statSync().size;
+			var records = [];
+			while (records.length < count && pos < size) {
+				var read = file.createReadStruct(pos, schema).readSync();
+				records.push(toJSON(read.result));
+				// records of no bytes would repeat forever
+				if (read.position <= pos)
+					throw new Error('Record at ' + pos + ' is empty');
+				pos = read.position;
+			}
+			console.log(JSON.stringify(records, null, 2));
+		} finally {
+			file.closeSync();
+		}
+	},
+
+	patch: (args) => {
+		var schema = Struct.loadSync(args[1]);
+		if (args[2] === undefined)
+			throw new UsageError('Missing JSON object');
+		var patch = fromJSON(schema, JSON.parse(args[2]));
+		var pos = args[3] === undefined ? 0 : parseNumber(args[3], 'offset');
+
+		var file = File.openSync(args[0]);
+		try {
+			// lock from the record to the end of file for the read and write
+			var lock = file.lockSync({ start: pos }, { wait: 1000 });
+			var read = file.createReadStruct(pos, schema).readSync();
+			var value = merge(read.result, patch);
+			var size = read.position - pos;
+
+			// the record must keep its size to not overwrite the data after it
+			var encoded = schema.writeSync(File.fromBuffer(new Buffer(0)), 0, value);
+			if (encoded != size)
+				throw new Error('Patched record is ' + encoded + ' bytes, was ' + size + ' bytes');
+
+			schema.writeSync(file, pos, value);
+		} finally {
+			if (lock) file.unlockSync(lock);
+			file.closeSync();
+		}
+	}
+};
+
+/**
+ * Split arguments to positional arguments and `--name value` options.
+ */
+function parseArgs(argv) {
+	var args = [];
+	var options = {};
+	for (var i = 0; i < argv.length; i++) {
+		var match = /^--(.+)$/.exec(argv[i]);
+		if (match)
+			options[match[1]] = argv[++i];
+		else
+			args.push(argv[i]);
+	}
+	return { args: args, options: options };
+}
+
+function main(argv) {
+	var command = argv[0];
+	if (!command || command == '-h' || command == '--help') {
+		console.log(usage);
+		return 0;
+	}
+
+	try {
+		if (!commands.hasOwnProperty(command))
+			throw new UsageError("Unknown command '" + command + "'");
+
+		var parsed = parseArgs(argv.slice(1));
+		if (!parsed.args[0])
+			throw new UsageError('Missing file');
+		commands[command](parsed.args.slice(), parsed.options);
+		return 0;
+	} catch (err) {
+		console.error('bin-file: ' + err.message);
+		if (err instanceof UsageError)
+			console.error("Run 'bin-file --help' for usage.");
+		return 1;
+	}
+}
+
+process.exitCode = main(process.argv.slice(2));
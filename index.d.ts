@@ -0,0 +1,1220 @@
+//
+// Type declarations of bin-file
+//
+// Struct.Read builders collect the names and value types of their fields, so
+// the result of e.g. `.uint('op', 2).string('title', 5).read()` is typed as
+// `{ op: number, title: string }`. Schemas defined with `Struct.define`
+// infer their read and write value types from the field specifications.
+//
+
+/// <reference types="node" />
+
+import { Stats } from 'fs';
+import { Readable, Writable, Transform, ReadableOptions, WritableOptions, TransformOptions } from 'stream';
+
+type Endian = 'BE' | 'LE' | 'be' | 'le';
+type BitOrder = 'msb' | 'lsb';
+type FieldName = string | number;
+
+// flatten intersections of accumulated fields for readable types
+type Merge<T> = { [K in keyof T]: T[K] } & {};
+type UnionToIntersection<U> = (U extends any ? (u: U) => void : never) extends (i: infer I) => void ? I : never;
+
+type Callback<T> = (err: Error | null, value: T) => void;
+type ReadCallback<T> = (err: Error | null, value: T, bytesRead: number) => void;
+type WriteCallback = (err: Error | null, bytesWritten: number, data: Buffer) => void;
+type DoneCallback = (err?: Error | null) => void;
+
+declare namespace File {
+	interface OpenOptions {
+		/** Open flags, 'r+' by default */
+		flags?: string;
+		/** File mode if the file is created */
+		mode?: number;
+		/** Create the file if it does not exist */
+		create?: boolean;
+		/** Allow short reads at end of file */
+		allowPartial?: boolean;
+		/** Enable page cache */
+		cache?: CacheOptions | boolean;
+	}
+
+	interface ReadOptions {
+		allowPartial?: boolean;
+	}
+
+	interface StringOptions {
+		encoding?: BufferEncoding;
+		padding?: string | number;
+		unit?: 'bytes' | 'chars';
+		maxLength?: number;
+	}
+
+	interface StringWriteOptions extends StringOptions {
+		/** Size in bytes, the string is padded or truncated to it */
+		length?: number;
+	}
+
+	interface CacheOptions {
+		pageSize?: number;
+		maxMemory?: number;
+		writeBack?: boolean;
+	}
+
+	interface CacheStats {
+		hits: number;
+		misses: number;
+		evictions: number;
+		flushes: number;
+		pages: number;
+		dirty: number;
+		memory: number;
+	}
+
+	interface LockRange {
+		start?: number;
+		end?: number;
+	}
+
+	interface LockOptions {
+		shared?: boolean;
+		exclusive?: boolean;
+		/** Wait for conflicting locks, or the maximum time to wait in milliseconds */
+		wait?: boolean | number;
+	}
+
+	interface Lock {
+		file: File;
+		start: number;
+		end: number;
+		shared: boolean;
+		id: string;
+	}
+
+	type LenSize = number | 'varint';
+	type StringArg = BufferEncoding | StringOptions;
+	type StringWriteArg = BufferEncoding | StringWriteOptions;
+
+	class MemoryFile extends File {
+		constructor(buffer?: Buffer, filepath?: string);
+		buffer: Buffer;
+		length: number;
+		/** File contents, shares memory with the file */
+		toBuffer(): Buffer;
+	}
+
+	class Cursor {
+		constructor(file: File, position?: number);
+		file: File;
+		position: number;
+
+		seek(pos: number): this;
+		tell(): number;
+		skip(len: number): this;
+		align(n: number): this;
+
+		readStruct<R>(layout: Struct.Schema<R, any>, cb: Callback<R>): void;
+		readStruct<R>(layout: Struct.Schema<R, any>): Promise<R>;
+		readStruct<R>(layout: (read: Struct.Read) => Struct.Read<R> | void, cb: Callback<R>): void;
+		readStruct<R>(layout: (read: Struct.Read) => Struct.Read<R> | void): Promise<R>;
+		readStructSync<R>(layout: Struct.Schema<R, any> | ((read: Struct.Read) => Struct.Read<R> | void)): R;
+		writeStruct<W>(layout: Struct.Schema<any, W>, value: W, cb: Callback<number>): void;
+		writeStruct<W>(layout: Struct.Schema<any, W>, value: W): Promise<number>;
+		writeStruct(layout: (write: Struct.Write) => void, cb: Callback<number>): void;
+		writeStruct(layout: (write: Struct.Write) => void): Promise<number>;
+		writeStructSync<W>(layout: Struct.Schema<any, W>, value: W): number;
+		writeStructSync(layout: (write: Struct.Write) => void): number;
+
+		read(len: number, options: ReadOptions | undefined, cb: Callback<Buffer>): void;
+		read(len: number, cb: Callback<Buffer>): void;
+		read(len: number, options?: ReadOptions): Promise<Buffer>;
+		readSync(len: number, options?: ReadOptions): Buffer;
+		readString(len: number, options: StringArg | undefined, cb: Callback<string>): void;
+		readString(len: number, cb: Callback<string>): void;
+		readString(len: number, options?: StringArg): Promise<string>;
+		readStringSync(len: number, options?: StringArg): string;
+		readCString(options: StringArg | undefined, cb: Callback<string>): void;
+		readCString(cb: Callback<string>): void;
+		readCString(options?: StringArg): Promise<string>;
+		readCStringSync(options?: StringArg): string;
+		readUIntBE(len: number, cb: Callback<number>): void;
+		readUIntBE(len: number): Promise<number>;
+		readUIntBESync(len: number): number;
+		readUIntLE(len: number, cb: Callback<number>): void;
+		readUIntLE(len: number): Promise<number>;
+		readUIntLESync(len: number): number;
+		readIntBE(len: number, cb: Callback<number>): void;
+		readIntBE(len: number): Promise<number>;
+		readIntBESync(len: number): number;
+		readIntLE(len: number, cb: Callback<number>): void;
+		readIntLE(len: number): Promise<number>;
+		readIntLESync(len: number): number;
+		readStringLenBE(len_size: LenSize, options: StringArg | undefined, cb: Callback<string>): void;
+		readStringLenBE(len_size: LenSize, cb: Callback<string>): void;
+		readStringLenBE(len_size: LenSize, options?: StringArg): Promise<string>;
+		readStringLenBESync(len_size: LenSize, options?: StringArg): string;
+		readStringLenLE(len_size: LenSize, options: StringArg | undefined, cb: Callback<string>): void;
+		readStringLenLE(len_size: LenSize, cb: Callback<string>): void;
+		readStringLenLE(len_size: LenSize, options?: StringArg): Promise<string>;
+		readStringLenLESync(len_size: LenSize, options?: StringArg): string;
+		readBufferLenBE(len_size: LenSize, cb: Callback<Buffer>): void;
+		readBufferLenBE(len_size: LenSize): Promise<Buffer>;
+		readBufferLenBESync(len_size: LenSize): Buffer;
+		readBufferLenLE(len_size: LenSize, cb: Callback<Buffer>): void;
+		readBufferLenLE(len_size: LenSize): Promise<Buffer>;
+		readBufferLenLESync(len_size: LenSize): Buffer;
+		readFloatBE(cb: Callback<number>): void;
+		readFloatBE(): Promise<number>;
+		readFloatBESync(): number;
+		readFloatLE(cb: Callback<number>): void;
+		readFloatLE(): Promise<number>;
+		readFloatLESync(): number;
+		readDoubleBE(cb: Callback<number>): void;
+		readDoubleBE(): Promise<number>;
+		readDoubleBESync(): number;
+		readDoubleLE(cb: Callback<number>): void;
+		readDoubleLE(): Promise<number>;
+		readDoubleLESync(): number;
+		readBigInt64BE(cb: Callback<bigint>): void;
+		readBigInt64BE(): Promise<bigint>;
+		readBigInt64BESync(): bigint;
+		readBigInt64LE(cb: Callback<bigint>): void;
+		readBigInt64LE(): Promise<bigint>;
+		readBigInt64LESync(): bigint;
+		readBigUInt64BE(cb: Callback<bigint>): void;
+		readBigUInt64BE(): Promise<bigint>;
+		readBigUInt64BESync(): bigint;
+		readBigUInt64LE(cb: Callback<bigint>): void;
+		readBigUInt64LE(): Promise<bigint>;
+		readBigUInt64LESync(): bigint;
+		readVarUInt(cb: Callback<number>): void;
+		readVarUInt(): Promise<number>;
+		readVarUIntSync(): number;
+		readVarInt(cb: Callback<number>): void;
+		readVarInt(): Promise<number>;
+		readVarIntSync(): number;
+		readZigZag(cb: Callback<number>): void;
+		readZigZag(): Promise<number>;
+		readZigZagSync(): number;
+
+		write(data: Buffer, cb: Callback<number>): void;
+		write(data: Buffer): Promise<number>;
+		writeSync(data: Buffer): number;
+		writeString(str: string, options: StringWriteArg | undefined, cb: Callback<number>): void;
+		writeString(str: string, cb: Callback<number>): void;
+		writeString(str: string, options?: StringWriteArg): Promise<number>;
+		writeStringSync(str: string, options?: StringWriteArg): number;
+		writeCString(str: string, options: StringArg | undefined, cb: Callback<number>): void;
+		writeCString(str: string, cb: Callback<number>): void;
+		writeCString(str: string, options?: StringArg): Promise<number>;
+		writeCStringSync(str: string, options?: StringArg): number;
+		writeUIntBE(value: number, len: number, cb: Callback<number>): void;
+		writeUIntBE(value: number, len: number): Promise<number>;
+		writeUIntBESync(value: number, len: number): number;
+		writeUIntLE(value: number, len: number, cb: Callback<number>): void;
+		writeUIntLE(value: number, len: number): Promise<number>;
+		writeUIntLESync(value: number, len: number): number;
+		writeIntBE(value: number, len: number, cb: Callback<number>): void;
+		writeIntBE(value: number, len: number): Promise<number>;
+		writeIntBESync(value: number, len: number): number;
+		writeIntLE(value: number, len: number, cb: Callback<number>): void;
+		writeIntLE(value: number, len: number): Promise<number>;
+		writeIntLESync(value: number, len: number): number;
+		writeStringLenBE(str: string, len_size: LenSize, options: StringArg | undefined, cb: Callback<number>): void;
+		writeStringLenBE(str: string, len_size: LenSize, cb: Callback<number>): void;
+		writeStringLenBE(str: string, len_size: LenSize, options?: StringArg): Promise<number>;
+		writeStringLenBESync(str: string, len_size: LenSize, options?: StringArg): number;
+		writeStringLenLE(str: string, len_size: LenSize, options: StringArg | undefined, cb: Callback<number>): void;
+		writeStringLenLE(str: string, len_size: LenSize, cb: Callback<number>): void;
+		writeStringLenLE(str: string, len_size: LenSize, options?: StringArg): Promise<number>;
+		writeStringLenLESync(str: string, len_size: LenSize, options?: StringArg): number;
+		writeBufferLenBE(data: Buffer, len_size: LenSize, cb: Callback<number>): void;
+		writeBufferLenBE(data: Buffer, len_size: LenSize): Promise<number>;
+		writeBufferLenBESync(data: Buffer, len_size: LenSize): number;
+		writeBufferLenLE(data: Buffer, len_size: LenSize, cb: Callback<number>): void;
+		writeBufferLenLE(data: Buffer, len_size: LenSize): Promise<number>;
+		writeBufferLenLESync(data: Buffer, len_size: LenSize): number;
+		writeFloatBE(value: number, cb: Callback<number>): void;
+		writeFloatBE(value: number): Promise<number>;
+		writeFloatBESync(value: number): number;
+		writeFloatLE(value: number, cb: Callback<number>): void;
+		writeFloatLE(value: number): Promise<number>;
+		writeFloatLESync(value: number): number;
+		writeDoubleBE(value: number, cb: Callback<number>): void;
+		writeDoubleBE(value: number): Promise<number>;
+		writeDoubleBESync(value: number): number;
+		writeDoubleLE(value: number, cb: Callback<number>): void;
+		writeDoubleLE(value: number): Promise<number>;
+		writeDoubleLESync(value: number): number;
+		writeBigInt64BE(value: bigint | number, cb: Callback<number>): void;
+		writeBigInt64BE(value: bigint | number): Promise<number>;
+		writeBigInt64BESync(value: bigint | number): number;
+		writeBigInt64LE(value: bigint | number, cb: Callback<number>): void;
+		writeBigInt64LE(value: bigint | number): Promise<number>;
+		writeBigInt64LESync(value: bigint | number): number;
+		writeBigUInt64BE(value: bigint | number, cb: Callback<number>): void;
+		writeBigUInt64BE(value: bigint | number): Promise<number>;
+		writeBigUInt64BESync(value: bigint | number): number;
+		writeBigUInt64LE(value: bigint | number, cb: Callback<number>): void;
+		writeBigUInt64LE(value: bigint | number): Promise<number>;
+		writeBigUInt64LESync(value: bigint | number): number;
+		writeVarUInt(value: number, cb: Callback<number>): void;
+		writeVarUInt(value: number): Promise<number>;
+		writeVarUIntSync(value: number): number;
+		writeVarInt(value: number, cb: Callback<number>): void;
+		writeVarInt(value: number): Promise<number>;
+		writeVarIntSync(value: number): number;
+		writeZigZag(value: number, cb: Callback<number>): void;
+		writeZigZag(value: number): Promise<number>;
+		writeZigZagSync(value: number): number;
+
+		// aliases of the big endian methods
+		readUInt: Cursor['readUIntBE'];
+		readUIntSync: Cursor['readUIntBESync'];
+		readInt: Cursor['readIntBE'];
+		readIntSync: Cursor['readIntBESync'];
+		readStringLen: Cursor['readStringLenBE'];
+		readStringLenSync: Cursor['readStringLenBESync'];
+		readBufferLen: Cursor['readBufferLenBE'];
+		readBufferLenSync: Cursor['readBufferLenBESync'];
+		readFloat: Cursor['readFloatBE'];
+		readFloatSync: Cursor['readFloatBESync'];
+		readDouble: Cursor['readDoubleBE'];
+		readDoubleSync: Cursor['readDoubleBESync'];
+		readBigInt64: Cursor['readBigInt64BE'];
+		readBigInt64Sync: Cursor['readBigInt64BESync'];
+		readBigUInt64: Cursor['readBigUInt64BE'];
+		readBigUInt64Sync: Cursor['readBigUInt64BESync'];
+		writeUInt: Cursor['writeUIntBE'];
+		writeUIntSync: Cursor['writeUIntBESync'];
+		writeInt: Cursor['writeIntBE'];
+		writeIntSync: Cursor['writeIntBESync'];
+		writeStringLen: Cursor['writeStringLenBE'];
+		writeStringLenSync: Cursor['writeStringLenBESync'];
+		writeBufferLen: Cursor['writeBufferLenBE'];
+		writeBufferLenSync: Cursor['writeBufferLenBESync'];
+		writeFloat: Cursor['writeFloatBE'];
+		writeFloatSync: Cursor['writeFloatBESync'];
+		writeDouble: Cursor['writeDoubleBE'];
+		writeDoubleSync: Cursor['writeDoubleBESync'];
+		writeBigInt64: Cursor['writeBigInt64BE'];
+		writeBigInt64Sync: Cursor['writeBigInt64BESync'];
+		writeBigUInt64: Cursor['writeBigUInt64BE'];
+		writeBigUInt64Sync: Cursor['writeBigUInt64BESync'];
+	}
+
+	interface RecordFileOptions<H = any, HW = H> {
+		header?: Struct.Schema<H, HW>;
+		headerSize?: number;
+		recordSize?: number;
+	}
+
+	class RecordFile<R = any, W = R, H = any, HW = H> {
+		constructor(file: File, record: Struct.Schema<R, W>, options?: RecordFileOptions<H, HW>);
+		file: File;
+		record: Struct.Schema<R, W>;
+		header: Struct.Schema<H, HW> | null;
+		headerSize: number;
+		recordSize: number;
+
+		position(i: number): number;
+		count(cb: Callback<number>): void;
+		count(): Promise<number>;
+		countSync(): number;
+		get(i: number, cb: Callback<R>): void;
+		get(i: number): Promise<R>;
+		getSync(i: number): R;
+		set(i: number, value: W, cb: DoneCallback): void;
+		set(i: number, value: W): Promise<void>;
+		setSync(i: number, value: W): void;
+		/** Resolves to the index of the appended record */
+		append(value: W, cb: Callback<number>): void;
+		append(value: W): Promise<number>;
+		appendSync(value: W): number;
+		truncate(n: number, cb: DoneCallback): void;
+		truncate(n: number): Promise<void>;
+		truncateSync(n: number): void;
+		readHeader(cb: Callback<H>): void;
+		readHeader(): Promise<H>;
+		readHeaderSync(): H;
+		writeHeader(value: HW, cb: DoneCallback): void;
+		writeHeader(value: HW): Promise<void>;
+		writeHeaderSync(value: HW): void;
+		records(start?: number, end?: number): AsyncIterableIterator<R>;
+		[Symbol.asyncIterator](): AsyncIterableIterator<R>;
+	}
+
+	class BinFileError extends Error {
+		constructor(reason: string, props?: object);
+		/** Message without the field */
+		reason: string;
+		/** Path of the struct field, e.g. 'header.size' */
+		field?: string;
+		path?: string;
+		offset?: number;
+		code?: string;
+		addField(name: FieldName): this;
+		[prop: string]: any;
+	}
+
+	class EOFError extends BinFileError {
+		constructor(props: { path?: string, offset: number, length: number, available: number });
+		code: 'EOF';
+		length: number;
+		available: number;
+	}
+
+	class SchemaError extends BinFileError {
+		constructor(problems: string[], props?: object);
+		code: 'ESCHEMA';
+		problems: string[];
+	}
+
+	type NumericChecksum = 'crc32' | 'crc16' | 'crc16ccitt' | 'adler32' | 'sum';
+	type ChecksumValue<A> = A extends NumericChecksum ? number : A extends string ? (string extends A ? number | Buffer : Buffer) : number | Buffer;
+
+	interface ChecksumOptions {
+		endian?: Endian;
+		/** Size in bytes of a 'sum' checksum */
+		size?: number;
+	}
+
+	class Checksum<A extends string = string> {
+		constructor(algorithm: A, options?: ChecksumOptions);
+		algorithm: A;
+		endian: 'BE' | 'LE';
+		size: number;
+		compute(data: Buffer | Buffer[]): ChecksumValue<A>;
+		computeFile(file: File, pos: number, len: number, cb: Callback<ChecksumValue<A>>): void;
+		computeFile(file: File, pos: number, len: number): Promise<ChecksumValue<A>>;
+		encode(value: ChecksumValue<A>): Buffer;
+		decode(data: Buffer): ChecksumValue<A>;
+		check(stored: ChecksumValue<A>, computed: ChecksumValue<A>, props?: object): BinFileError | null;
+	}
+
+	interface DumpField {
+		name: string;
+		offset: number;
+		size: number;
+		raw: Buffer;
+		value: any;
+	}
+
+	class Dump {
+		constructor(fields: DumpField[], error?: Error | null);
+		fields: DumpField[];
+		error: Error | null;
+		field(name: string): DumpField | undefined;
+		toString(): string;
+		toJSON(): object;
+		diff(other: Dump): { name: string, a: DumpField | undefined, b: DumpField | undefined }[];
+	}
+
+	namespace stream {
+		class ReadStream extends Readable {
+			constructor(file: File, start?: number, end?: number, options?: ReadableOptions);
+		}
+
+		class WriteStream extends Writable {
+			constructor(file: File, pos?: number, options?: WritableOptions);
+		}
+
+		class RecordParser<R = any> extends Transform {
+			constructor(layout: Struct.Schema<R, any> | ((read: Struct.Read) => Struct.Read<R> | void), options?: TransformOptions);
+		}
+
+		class RecordWriter<W = any> extends Writable {
+			constructor(file: File, pos: number, layout: Struct.Schema<any, W> | ((write: Struct.Write, record: W) => void), options?: WritableOptions);
+		}
+	}
+
+	namespace formats {
+		namespace riff {
+			interface Chunk {
+				id: string;
+				/** Offset of the chunk data */
+				offset: number;
+				size: number;
+			}
+
+			interface Riff {
+				form: string;
+				size: number;
+				chunks: Chunk[];
+			}
+
+			const Header: Struct.Schema<{ id: string, size: number, form: string }>;
+			const ChunkHeader: Struct.Schema<{ id: string, size: number }>;
+
+			function read(file: File, cb: Callback<Riff>): void;
+			function read(file: File): Promise<Riff>;
+			function readSync(file: File): Riff;
+		}
+
+		namespace wav {
+			interface Format {
+				audioFormat: number;
+				channels: number;
+				sampleRate: number;
+				byteRate: number;
+				blockAlign: number;
+				bitsPerSample: number;
+			}
+
+			interface Wav {
+				format: Format;
+				data: { offset: number, size: number };
+				chunks: riff.Chunk[];
+			}
+
+			interface WavValue {
+				format: Format;
+				data: Buffer;
+			}
+
+			const Format: Struct.Schema<Format>;
+
+			function read(file: File, cb: Callback<Wav>): void;
+			function read(file: File): Promise<Wav>;
+			function readSync(file: File): Wav;
+			function write(file: File, value: WavValue, cb: Callback<number>): void;
+			function write(file: File, value: WavValue): Promise<number>;
+			function writeSync(file: File, value: WavValue): number;
+		}
+
+		namespace png {
+			interface Chunk {
+				length: number;
+				type: string;
+				data: Buffer;
+				crc: number;
+			}
+
+			interface ChunkValue {
+				type: string;
+				data: Buffer;
+			}
+
+			interface IHDR {
+				width: number;
+				height: number;
+				bitDepth: number;
+				colorType: number;
+				compression: number;
+				filter: number;
+				interlace: number;
+			}
+
+			const signature: Buffer;
+			const Chunk: Struct.Schema<Chunk, ChunkValue>;
+			const IHDR: Struct.Schema<IHDR>;
+
+			function chunks(file: File): AsyncIterableIterator<Chunk>;
+			function read(file: File, cb: Callback<Chunk[]>): void;
+			function read(file: File): Promise<Chunk[]>;
+			function readSync(file: File): Chunk[];
+			function write(file: File, chunks: readonly ChunkValue[], cb: Callback<number>): void;
+			function write(file: File, chunks: readonly ChunkValue[]): Promise<number>;
+			function writeSync(file: File, chunks: readonly ChunkValue[]): number;
+		}
+
+		namespace zip {
+			interface LocalFileHeader {
+				signature: number;
+				version: number;
+				flags: number;
+				compression: number;
+				modTime: number;
+				modDate: number;
+				crc32: number;
+				compressedSize: number;
+				uncompressedSize: number;
+				nameLength: number;
+				extraLength: number;
+				name: string;
+				extra: Buffer;
+			}
+
+			interface CentralDirectoryHeader extends LocalFileHeader {
+				versionMadeBy: number;
+				commentLength: number;
+				disk: number;
+				internalAttributes: number;
+				externalAttributes: number;
+				localHeaderOffset: number;
+				comment: string;
+			}
+
+			interface EndOfCentralDirectory {
+				signature: number;
+				disk: number;
+				directoryDisk: number;
+				diskEntries: number;
+				entries: number;
+				directorySize: number;
+				directoryOffset: number;
+				commentLength: number;
+				comment: string;
+			}
+
+			type Computed = 'nameLength' | 'extraLength' | 'commentLength';
+
+			interface Zip {
+				entries: CentralDirectoryHeader[];
+				end: EndOfCentralDirectory;
+			}
+
+			interface FileValue {
+				name: string;
+				data: Buffer;
+				/** DOS time */
+				modTime?: number;
+				/** DOS date */
+				modDate?: number;
+			}
+
+			interface WriteOptions {
+				comment?: string;
+			}
+
+			const signatures: { localFile: number, centralDirectory: number, end: number };
+			const LocalFileHeader: Struct.Schema<LocalFileHeader, Omit<LocalFileHeader, Computed>>;
+			const CentralDirectoryHeader: Struct.Schema<CentralDirectoryHeader, Omit<CentralDirectoryHeader, Computed>>;
+			const EndOfCentralDirectory: Struct.Schema<EndOfCentralDirectory, Omit<EndOfCentralDirectory, Computed>>;
+
+			function read(file: File, cb: Callback<Zip>): void;
+			function read(file: File): Promise<Zip>;
+			function readSync(file: File): Zip;
+			function readData(file: File, entry: CentralDirectoryHeader, cb: Callback<Buffer>): void;
+			function readData(file: File, entry: CentralDirectoryHeader): Promise<Buffer>;
+			function readDataSync(file: File, entry: CentralDirectoryHeader): Buffer;
+			function write(file: File, files: readonly FileValue[], options: WriteOptions | undefined, cb: Callback<number>): void;
+			function write(file: File, files: readonly FileValue[], cb: Callback<number>): void;
+			function write(file: File, files: readonly FileValue[], options?: WriteOptions): Promise<number>;
+			function writeSync(file: File, files: readonly FileValue[], options?: WriteOptions): number;
+		}
+
+		namespace elf {
+			interface Ident {
+				magic: Buffer;
+				/** 1 for 32-bit, 2 for 64-bit files */
+				class: number;
+				/** 1 for little endian, 2 for big endian files */
+				data: number;
+				version: number;
+				osAbi: number;
+				abiVersion: number;
+				padding: Buffer;
+			}
+
+			/** File header, `A` is the type of addresses and offsets */
+			interface Header<A = number | bigint> {
+				ident: Ident;
+				type: number;
+				machine: number;
+				version: number;
+				entry: A;
+				phOffset: A;
+				shOffset: A;
+				flags: number;
+				ehSize: number;
+				phEntSize: number;
+				phNum: number;
+				shEntSize: number;
+				shNum: number;
+				shStrIndex: number;
+			}
+
+			const magic: Buffer;
+			const Ident: Struct.Schema<Ident>;
+			const Header32LE: Struct.Schema<Header<number>>;
+			const Header32BE: Struct.Schema<Header<number>>;
+			const Header64LE: Struct.Schema<Header<bigint>, Header<bigint | number>>;
+			const Header64BE: Struct.Schema<Header<bigint>, Header<bigint | number>>;
+
+			function layout(ident: { class: number, data: number }): Struct.Schema<Header, Header>;
+			function read(file: File, cb: Callback<Header>): void;
+			function read(file: File): Promise<Header>;
+			function readSync(file: File): Header;
+			function write(file: File, header: Header, cb: Callback<number>): void;
+			function write(file: File, header: Header): Promise<number>;
+			function writeSync(file: File, header: Header): number;
+		}
+	}
+
+	namespace Struct {
+		type NumberType = 'uint' | 'int' | 'float' | 'double' | 'varUInt' | 'varInt' | 'zigZag' | 'bits';
+		type BigIntType = 'bigInt64' | 'bigUInt64';
+		type StringType = 'string' | 'cstring' | 'stringLen';
+		type BufferType = 'buffer' | 'bufferLen';
+		type ComputedType = 'checksum' | 'sizeOf';
+		type FieldType = NumberType | BigIntType | StringType | BufferType | ComputedType;
+
+		interface FieldSpec {
+			/** Field name of specifications given as an array */
+			name?: string;
+			type: FieldType | Schema<any, any> | Fields;
+			length?: number | 'varint' | ((result: any) => number);
+			endian?: Endian;
+			count?: number | ((result: any) => number);
+			if?: (result: any) => boolean;
+			order?: BitOrder;
+			/** Measured field of a `sizeOf` field */
+			target?: string;
+			/** Algorithm of a `checksum` field */
+			algorithm?: string;
+			start?: string | number;
+			end?: string | number;
+			encoding?: BufferEncoding;
+			padding?: string | number;
+			unit?: 'bytes' | 'chars';
+			maxLength?: number;
+		}
+
+		type Fields = { [name: string]: FieldSpec | Schema<any, any> } | readonly (FieldSpec & { name: string })[];
+
+		interface SchemaOptions {
+			endian?: Endian;
+		}
+
+		// value types of field specifications
+		type TypeValue<T, S> =
+			T extends Schema<infer R, any> ? R :
+			T extends NumberType | 'sizeOf' ? number :
+			T extends BigIntType ? bigint :
+			T extends StringType ? string :
+			T extends BufferType ? Buffer :
+			T extends 'checksum' ? (S extends { algorithm: infer A } ? ChecksumValue<A> : number | Buffer) :
+			T extends Fields ? ReadValue<T> :
+			unknown;
+		type TypeWriteValue<T> =
+			T extends Schema<any, infer W> ? W :
+			T extends BigIntType ? bigint | number :
+			T extends Fields ? WriteValue<T> :
+			TypeValue<T, {}>;
+
+		type SpecRead<S> = S extends Schema<infer R, any> ? R : S extends { type: infer T } ? TypeValue<T, S> : unknown;
+		type SpecWrite<S> = S extends Schema<any, infer W> ? W : S extends { type: infer T } ? TypeWriteValue<T> : unknown;
+		type Counted<S, V> = S extends { count: number | ((result: any) => number) } ? V[] : V;
+		type Computed<S> = S extends { type: ComputedType } ? true : false;
+		type Optional<S> = S extends { if: (result: any) => boolean } ? true : false;
+
+		// specifications by name of array and object fields
+		type SpecMap<F> = F extends readonly any[] ?
+			{ [S in F[number] as S extends { name: infer N extends string } ? N : never]: S } : F;
+
+		type ReadFields<M> = Merge<
+			{ -readonly [K in keyof M as Optional<M[K]> extends true ? never : K]: Counted<M[K], SpecRead<M[K]>> } &
+			{ -readonly [K in keyof M as Optional<M[K]> extends true ? K : never]?: Counted<M[K], SpecRead<M[K]>> }>;
+		type WriteFields<M> = Merge<
+			{ -readonly [K in keyof M as Computed<M[K]> extends true ? never : Optional<M[K]> extends true ? never : K]: Counted<M[K], SpecWrite<M[K]>> } &
+			{ -readonly [K in keyof M as Computed<M[K]> extends true ? never : Optional<M[K]> extends true ? K : never]?: Counted<M[K], SpecWrite<M[K]>> }>;
+
+		/** Result type of a fields object or array */
+		type ReadValue<F> = ReadFields<SpecMap<F>>;
+		/** Value type written with a fields object or array, without computed fields */
+		type WriteValue<F> = WriteFields<SpecMap<F>>;
+
+		/** Value, or function of the partial result */
+		type Arg<T, V> = V | ((result: T) => V);
+
+		interface NormalizedField {
+			name: string;
+			type: FieldType | Schema<any, any>;
+			length?: number | 'varint' | ((result: any) => number);
+			endian: 'BE' | 'LE';
+			count?: number | ((result: any) => number);
+			if?: (result: any) => boolean;
+			order?: BitOrder;
+			target?: string;
+			algorithm?: string;
+			string: StringOptions;
+		}
+
+		/**
+		 * Reusable struct layout, `R` is the result of a read and `W` the value
+		 * to write.
+		 */
+		class Schema<R = any, W = R> {
+			constructor(fields: Fields, options?: SchemaOptions);
+			endian: 'BE' | 'LE';
+			fields: NormalizedField[];
+
+			/** Size in bytes, or null if the layout has variable size fields */
+			size(): number | null;
+			queueRead(reader: Read<any>): Read<any>;
+			queueWrite(writer: Write, value: W): Write;
+
+			read(file: File, pos: number, cb: (err: Error | null, result: R, position: number) => void): void;
+			read(file: File, pos: number): Promise<R>;
+			readSync(file: File, pos: number): R;
+			write(file: File, pos: number, value: W, cb: Callback<number>): void;
+			write(file: File, pos: number, value: W): Promise<number>;
+			writeSync(file: File, pos: number, value: W): number;
+		}
+
+		function define<const F extends Fields>(fields: F, options?: SchemaOptions): Schema<ReadValue<F>, WriteValue<F>>;
+
+		interface StructOptions {
+			/** Read or write through a buffer, true by default */
+			buffered?: boolean;
+		}
+
+		interface ReadStructOptions extends StructOptions {
+			/** Read-ahead buffer size, 4096 by default */
+			readAhead?: number;
+			allowPartial?: boolean;
+		}
+
+		interface WriteStructOptions extends StructOptions {
+			lock?: boolean | LockOptions;
+		}
+
+		interface ChecksumFieldOptions extends ChecksumOptions {
+			start?: string | number;
+			end?: string | number;
+		}
+
+		interface PointerOptions {
+			endian?: Endian;
+			relative?: boolean;
+		}
+
+		type Layout<U> = Schema<U, any> | ((read: Read) => Read<U> | void);
+		type Field<T, N extends FieldName, V> = Read<Merge<T & { [K in N]: V }>>;
+		type BuiltFields<F> = F extends (...args: any[]) => Read<infer U> ? U : {};
+
+		/**
+		 * Struct reader, `T` has the fields queued so far.
+		 */
+		class Read<T = {}> {
+			constructor(file: File, position?: number, options?: ReadStructOptions);
+			file: File;
+			position: number;
+			options: ReadStructOptions;
+
+			buffer<N extends FieldName>(name: N, len: Arg<T, number>): Field<T, N, Buffer>;
+			string<N extends FieldName>(name: N, len: Arg<T, number>, options?: StringArg): Field<T, N, string>;
+			cstring<N extends FieldName>(name: N, options?: StringArg): Field<T, N, string>;
+			uintBE<N extends FieldName>(name: N, len: Arg<T, number>): Field<T, N, number>;
+			uintLE<N extends FieldName>(name: N, len: Arg<T, number>): Field<T, N, number>;
+			intBE<N extends FieldName>(name: N, len: Arg<T, number>): Field<T, N, number>;
+			intLE<N extends FieldName>(name: N, len: Arg<T, number>): Field<T, N, number>;
+			stringLenBE<N extends FieldName>(name: N, len_size: LenSize, options?: StringArg): Field<T, N, string>;
+			stringLenLE<N extends FieldName>(name: N, len_size: LenSize, options?: StringArg): Field<T, N, string>;
+			bufferLenBE<N extends FieldName>(name: N, len_size: LenSize): Field<T, N, Buffer>;
+			bufferLenLE<N extends FieldName>(name: N, len_size: LenSize): Field<T, N, Buffer>;
+			floatBE<N extends FieldName>(name: N): Field<T, N, number>;
+			floatLE<N extends FieldName>(name: N): Field<T, N, number>;
+			doubleBE<N extends FieldName>(name: N): Field<T, N, number>;
+			doubleLE<N extends FieldName>(name: N): Field<T, N, number>;
+			bigInt64BE<N extends FieldName>(name: N): Field<T, N, bigint>;
+			bigInt64LE<N extends FieldName>(name: N): Field<T, N, bigint>;
+			bigUInt64BE<N extends FieldName>(name: N): Field<T, N, bigint>;
+			bigUInt64LE<N extends FieldName>(name: N): Field<T, N, bigint>;
+			varUInt<N extends FieldName>(name: N): Field<T, N, number>;
+			varInt<N extends FieldName>(name: N): Field<T, N, number>;
+			zigZag<N extends FieldName>(name: N): Field<T, N, number>;
+			bits<N extends FieldName>(name: N, n: Arg<T, number>, order?: BitOrder): Field<T, N, number>;
+			checksum<N extends FieldName, A extends string>(name: N, algorithm: A, options?: ChecksumFieldOptions): Field<T, N, ChecksumValue<A>>;
+			pointer<N extends FieldName, U>(name: N, len: number, layout: Layout<U>, options?: PointerOptions): Field<T, N, U>;
+			struct<N extends FieldName, U>(name: N, schema: Schema<U, any>): Field<T, N, U>;
+			/** `item` queues the field named by the index of an item */
+			array<N extends FieldName, V>(name: N, count: Arg<T, number>, item: (read: Read, i: number) => Read<{ [i: number]: V }> | void): Field<T, N, V[]>;
+			if<U>(cond: (result: T) => boolean, build: (read: Read<T>) => Read<U> | void): Read<Merge<T & Partial<Omit<U, keyof T>>>>;
+			switch<C extends { [value: string]: (read: Read<T>) => Read<any> | void }>(key: (keyof T & string) | ((result: T) => any), cases: C):
+				Read<Merge<T & Partial<Omit<UnionToIntersection<BuiltFields<C[keyof C]>>, keyof T>>>>;
+
+			read(cb: (err: Error | null, result: T, position: number) => void): void;
+			read(): Promise<T>;
+			readSync(): { result: T; position: number };
+			dump(cb: Callback<Dump>): void;
+			dump(): Promise<Dump>;
+			dumpSync(): Dump;
+
+			// aliases of the big endian methods
+			uint: Read<T>['uintBE'];
+			int: Read<T>['intBE'];
+			stringLen: Read<T>['stringLenBE'];
+			bufferLen: Read<T>['bufferLenBE'];
+			float: Read<T>['floatBE'];
+			double: Read<T>['doubleBE'];
+			bigInt64: Read<T>['bigInt64BE'];
+			bigUInt64: Read<T>['bigUInt64BE'];
+		}
+
+		/**
+		 * Struct writer.
+		 */
+		class Write {
+			constructor(file: File, position?: number, options?: WriteStructOptions);
+			file: File;
+			position: number;
+			options: WriteStructOptions;
+
+			buffer(data: Buffer): this;
+			string(str: string, options?: StringWriteArg): this;
+			cstring(str: string, options?: StringArg): this;
+			uintBE(value: number, len: number): this;
+			uintLE(value: number, len: number): this;
+			intBE(value: number, len: number): this;
+			intLE(value: number, len: number): this;
+			stringLenBE(str: string, len_size: LenSize, options?: StringArg): this;
+			stringLenLE(str: string, len_size: LenSize, options?: StringArg): this;
+			bufferLenBE(data: Buffer, len_size: LenSize): this;
+			bufferLenLE(data: Buffer, len_size: LenSize): this;
+			floatBE(value: number): this;
+			floatLE(value: number): this;
+			doubleBE(value: number): this;
+			doubleLE(value: number): this;
+			bigInt64BE(value: bigint | number): this;
+			bigInt64LE(value: bigint | number): this;
+			bigUInt64BE(value: bigint | number): this;
+			bigUInt64LE(value: bigint | number): this;
+			varUInt(value: number): this;
+			varInt(value: number): this;
+			zigZag(value: number): this;
+			bits(value: number, n: number, order?: BitOrder): this;
+			checksum(algorithm: string, options?: ChecksumFieldOptions): this;
+			reserve(name: string, len: number, options?: { endian?: Endian }): this;
+			target(name: string, options?: { relative?: boolean }): this;
+			sizeOf(name: string, len: number, target: string, options?: { endian?: Endian }): this;
+			field(name: string, build: (write: this) => void): this;
+			struct<W>(value: W, schema: Schema<any, W>): this;
+			array<V>(values: readonly V[], item: (write: this, value: V, i: number) => void): this;
+
+			write(cb: Callback<number>): void;
+			write(): Promise<number>;
+			writeSync(): number;
+
+			// aliases of the big endian methods
+			uint: Write['uintBE'];
+			int: Write['intBE'];
+			stringLen: Write['stringLenBE'];
+			bufferLen: Write['bufferLenBE'];
+			float: Write['floatBE'];
+			double: Write['doubleBE'];
+			bigInt64: Write['bigInt64BE'];
+			bigUInt64: Write['bigUInt64BE'];
+		}
+
+		interface VersionedOptions {
+			/** Name of the version field */
+			field: string;
+			/** Layout reading the version field */
+			discriminator?: Schema<any, any>;
+		}
+
+		interface UpgradeOptions {
+			pos?: number;
+			dryRun?: boolean;
+		}
+
+		interface UpgradeReport {
+			from: number;
+			to: number;
+			steps: number[];
+			before: any;
+			after: any;
+			oldSize: number;
+			newSize: number;
+			written: boolean;
+		}
+
+		class Versioned {
+			constructor(options: VersionedOptions);
+			field: string;
+			discriminator: Schema<any, any> | null;
+
+			add(version: number, layout: Schema<any, any>, migrate?: (value: any) => any): this;
+			versions(): number[];
+			latest(): number | undefined;
+			layout(version: number): Schema<any, any>;
+			detect(file: File, pos: number, cb: Callback<number>): void;
+			detect(file: File, pos: number): Promise<number>;
+			read(file: File, pos: number, cb: (err: Error | null, result: any, position: number) => void): void;
+			read(file: File, pos: number): Promise<any>;
+			readSync(file: File, pos: number): any;
+			write(file: File, pos: number, value: any, cb: Callback<number>): void;
+			write(file: File, pos: number, value: any): Promise<number>;
+			writeSync(file: File, pos: number, value: any): number;
+			migrate(value: any, to?: number): any;
+			upgrade(file: File, options: UpgradeOptions | undefined, cb: Callback<UpgradeReport>): void;
+			upgrade(file: File, cb: Callback<UpgradeReport>): void;
+			upgrade(file: File, options?: UpgradeOptions): Promise<UpgradeReport>;
+			upgradeSync(file: File, options?: UpgradeOptions): UpgradeReport;
+		}
+
+		function versioned(options: VersionedOptions): Versioned;
+
+		// JSON layouts
+		function validate(json: any): string[];
+		function fromJSON(json: any, options?: { path?: string }): Schema<any, any>;
+		function load(filepath: string, cb: Callback<Schema<any, any>>): void;
+		function load(filepath: string): Promise<Schema<any, any>>;
+		function loadSync(filepath: string): Schema<any, any>;
+	}
+}
+
+/**
+ * Binary file.
+ */
+declare class File {
+	constructor(filepath: string);
+	filepath: string;
+	fd: number | null;
+	/** Allow short reads at end of file */
+	allowPartial: boolean;
+
+	static open(filepath: string, options: File.OpenOptions | undefined, cb: Callback<File>): File;
+	static open(filepath: string, cb: Callback<File>): File;
+	static open(filepath: string, options?: File.OpenOptions): Promise<File>;
+	static openSync(filepath: string, options?: File.OpenOptions): File;
+	static fromBuffer(buffer: Buffer): File.MemoryFile;
+	static writeAtomic<W>(filepath: string, layout: File.Struct.Schema<any, W>, value: W, cb: Callback<number>): void;
+	static writeAtomic<W>(filepath: string, layout: File.Struct.Schema<any, W>, value: W): Promise<number>;
+	static writeAtomic(filepath: string, layout: Buffer | ((write: File.Struct.Write) => void), cb: Callback<number>): void;
+	static writeAtomic(filepath: string, layout: Buffer | ((write: File.Struct.Write) => void)): Promise<number>;
+	static writeAtomicSync<W>(filepath: string, layout: File.Struct.Schema<any, W>, value: W): number;
+	static writeAtomicSync(filepath: string, layout: Buffer | ((write: File.Struct.Write) => void)): number;
+
+	open(options: File.OpenOptions | undefined, cb: Callback<this>): void;
+	open(cb: Callback<this>): void;
+	open(options?: File.OpenOptions): Promise<this>;
+	openSync(options?: File.OpenOptions): void;
+	close(cb: DoneCallback): void;
+	close(): Promise<void>;
+	closeSync(): void;
+	isOpen(): boolean;
+
+	enableCache(options?: File.CacheOptions | boolean): this;
+	disableCache(cb: DoneCallback): void;
+	disableCache(): Promise<void>;
+	disableCacheSync(): void;
+	cacheStats(): File.CacheStats | null;
+
+	sync(cb: DoneCallback): void;
+	sync(): Promise<void>;
+	syncSync(): void;
+	stat(cb: Callback<Stats>): void;
+	stat(): Promise<Stats>;
+	statSync(): Stats;
+	utimes(atime: number | Date, mtime: number | Date, cb: DoneCallback): void;
+	utimes(atime: number | Date, mtime: number | Date): Promise<void>;
+	utimesSync(atime: number | Date, mtime: number | Date): void;
+	truncate(len: number, cb: DoneCallback): void;
+	truncate(len: number): Promise<void>;
+	truncateSync(len: number): void;
+	rename(dest: string, cb: DoneCallback): void;
+	rename(dest: string): Promise<void>;
+	renameSync(dest: string): void;
+
+	/** `fn` gets a copy of the file and a callback, or returns a promise */
+	transaction(fn: (file: File, done: DoneCallback) => void | PromiseLike<unknown>, cb: DoneCallback): void;
+	transaction(fn: (file: File, done: DoneCallback) => void | PromiseLike<unknown>): Promise<void>;
+	transactionSync<R>(fn: (file: File) => R): R;
+
+	lock(range: File.LockRange | undefined, options: File.LockOptions | undefined, cb: Callback<File.Lock>): void;
+	lock(range: File.LockRange | undefined, cb: Callback<File.Lock>): void;
+	lock(cb: Callback<File.Lock>): void;
+	lock(range?: File.LockRange, options?: File.LockOptions): Promise<File.Lock>;
+	lockSync(range?: File.LockRange, options?: File.LockOptions): File.Lock;
+	unlock(lock: File.Lock | undefined, cb: DoneCallback): void;
+	unlock(cb: DoneCallback): void;
+	unlock(lock?: File.Lock): Promise<void>;
+	unlockSync(lock?: File.Lock): void;
+
+	createReadStream(start?: number, end?: number, options?: ReadableOptions): File.stream.ReadStream;
+	createWriteStream(pos?: number, options?: WritableOptions): File.stream.WriteStream;
+	cursor(pos?: number): File.Cursor;
+	records<R, W, H = any, HW = H>(record: File.Struct.Schema<R, W>, options?: File.RecordFileOptions<H, HW>): File.RecordFile<R, W, H, HW>;
+
+	createReadStruct(pos?: number, options?: File.Struct.ReadStructOptions): File.Struct.Read;
+	createReadStruct<R>(pos: number, schema: File.Struct.Schema<R, any>, options?: File.Struct.ReadStructOptions): File.Struct.Read<R>;
+	createWriteStruct(pos?: number, options?: File.Struct.WriteStructOptions): File.Struct.Write;
+	createWriteStruct<W>(pos: number, schema: File.Struct.Schema<any, W>, value: W, options?: File.Struct.WriteStructOptions): File.Struct.Write;
+
+	hexdump(pos: number, len: number | undefined, cb: Callback<string>): void;
+	hexdump(pos: number, cb: Callback<string>): void;
+	hexdump(pos?: number, len?: number): Promise<string>;
+	hexdumpSync(pos?: number, len?: number): string;
+
+	read(pos: number, len: number, options: File.ReadOptions | undefined, cb: ReadCallback<Buffer>): void;
+	read(pos: number, len: number, cb: ReadCallback<Buffer>): void;
+	read(pos: number, len: number, options?: File.ReadOptions): Promise<Buffer>;
+	readSync(pos: number, len: number, options?: File.ReadOptions): Buffer;
+	readString(pos: number, len: number, options: File.StringArg | undefined, cb: ReadCallback<string>): void;
+	readString(pos: number, len: number, cb: ReadCallback<string>): void;
+	readString(pos: number, len: number, options?: File.StringArg): Promise<string>;
+	readStringSync(pos: number, len: number, options?: File.StringArg): string;
+	readCString(pos: number, options: File.StringArg | undefined, cb: ReadCallback<string>): void;
+	readCString(pos: number, cb: ReadCallback<string>): void;
+	readCString(pos: number, options?: File.StringArg): Promise<string>;
+	readCStringSync(pos: number, options?: File.StringArg): string;
+	readUIntBE(pos: number, len: number, cb: ReadCallback<number>): void;
+	readUIntBE(pos: number, len: number): Promise<number>;
+	readUIntBESync(pos: number, len: number): number;
+	readUIntLE(pos: number, len: number, cb: ReadCallback<number>): void;
+	readUIntLE(pos: number, len: number): Promise<number>;
+	readUIntLESync(pos: number, len: number): number;
+	readIntBE(pos: number, len: number, cb: ReadCallback<number>): void;
+	readIntBE(pos: number, len: number): Promise<number>;
+	readIntBESync(pos: number, len: number): number;
+	readIntLE(pos: number, len: number, cb: ReadCallback<number>): void;
+	readIntLE(pos: number, len: number): Promise<number>;
+	readIntLESync(pos: number, len: number): number;
+	readStringLenBE(pos: number, len_size: File.LenSize, options: File.StringArg | undefined, cb: ReadCallback<string>): void;
+	readStringLenBE(pos: number, len_size: File.LenSize, cb: ReadCallback<string>): void;
+	readStringLenBE(pos: number, len_size: File.LenSize, options?: File.StringArg): Promise<string>;
+	readStringLenBESync(pos: number, len_size: File.LenSize, options?: File.StringArg): string;
+	readStringLenLE(pos: number, len_size: File.LenSize, options: File.StringArg | undefined, cb: ReadCallback<string>): void;
+	readStringLenLE(pos: number, len_size: File.LenSize, cb: ReadCallback<string>): void;
+	readStringLenLE(pos: number, len_size: File.LenSize, options?: File.StringArg): Promise<string>;
+	readStringLenLESync(pos: number, len_size: File.LenSize, options?: File.StringArg): string;
+	readBufferLenBE(pos: number, len_size: File.LenSize, cb: ReadCallback<Buffer>): void;
+	readBufferLenBE(pos: number, len_size: File.LenSize): Promise<Buffer>;
+	readBufferLenBESync(pos: number, len_size: File.LenSize): Buffer;
+	readBufferLenLE(pos: number, len_size: File.LenSize, cb: ReadCallback<Buffer>): void;
+	readBufferLenLE(pos: number, len_size: File.LenSize): Promise<Buffer>;
+	readBufferLenLESync(pos: number, len_size: File.LenSize): Buffer;
+	readFloatBE(pos: number, cb: ReadCallback<number>): void;
+	readFloatBE(pos: number): Promise<number>;
+	readFloatBESync(pos: number): number;
+	readFloatLE(pos: number, cb: ReadCallback<number>): void;
+	readFloatLE(pos: number): Promise<number>;
+	readFloatLESync(pos: number): number;
+	readDoubleBE(pos: number, cb: ReadCallback<number>): void;
+	readDoubleBE(pos: number): Promise<number>;
+	readDoubleBESync(pos: number): number;
+	readDoubleLE(pos: number, cb: ReadCallback<number>): void;
+	readDoubleLE(pos: number): Promise<number>;
+	readDoubleLESync(pos: number): number;
+	readBigInt64BE(pos: number, cb: ReadCallback<bigint>): void;
+	readBigInt64BE(pos: number): Promise<bigint>;
+	readBigInt64BESync(pos: number): bigint;
+	readBigInt64LE(pos: number, cb: ReadCallback<bigint>): void;
+	readBigInt64LE(pos: number): Promise<bigint>;
+	readBigInt64LESync(pos: number): bigint;
+	readBigUInt64BE(pos: number, cb: ReadCallback<bigint>): void;
+	readBigUInt64BE(pos: number): Promise<bigint>;
+	readBigUInt64BESync(pos: number): bigint;
+	readBigUInt64LE(pos: number, cb: ReadCallback<bigint>): void;
+	readBigUInt64LE(pos: number): Promise<bigint>;
+	readBigUInt64LESync(pos: number): bigint;
+	readVarUInt(pos: number, cb: ReadCallback<number>): void;
+	readVarUInt(pos: number): Promise<number>;
+	readVarUIntSync(pos: number): number;
+	readVarInt(pos: number, cb: ReadCallback<number>): void;
+	readVarInt(pos: number): Promise<number>;
+	readVarIntSync(pos: number): number;
+	readZigZag(pos: number, cb: ReadCallback<number>): void;
+	readZigZag(pos: number): Promise<number>;
+	readZigZagSync(pos: number): number;
+
+	write(data: Buffer, pos: number, cb: WriteCallback): void;
+	write(data: Buffer, pos: number): Promise<number>;
+	writeSync(data: Buffer, pos: number): number;
+	writeString(str: string, pos: number, options: File.StringWriteArg | undefined, cb: WriteCallback): void;
+	writeString(str: string, pos: number, cb: WriteCallback): void;
+	writeString(str: string, pos: number, options?: File.StringWriteArg): Promise<number>;
+	writeStringSync(str: string, pos: number, options?: File.StringWriteArg): number;
+	writeCString(str: string, pos: number, options: File.StringArg | undefined, cb: WriteCallback): void;
+	writeCString(str: string, pos: number, cb: WriteCallback): void;
+	writeCString(str: string, pos: number, options?: File.StringArg): Promise<number>;
+	writeCStringSync(str: string, pos: number, options?: File.StringArg): number;
+	writeUIntBE(value: number, pos: number, len: number, cb: WriteCallback): void;
+	writeUIntBE(value: number, pos: number, len: number): Promise<number>;
+	writeUIntBESync(value: number, pos: number, len: number): number;
+	writeUIntLE(value: number, pos: number, len: number, cb: WriteCallback): void;
+	writeUIntLE(value: number, pos: number, len: number): Promise<number>;
+	writeUIntLESync(value: number, pos: number, len: number): number;
+	writeIntBE(value: number, pos: number, len: number, cb: WriteCallback): void;
+	writeIntBE(value: number, pos: number, len: number): Promise<number>;
+	writeIntBESync(value: number, pos: number, len: number): number;
+	writeIntLE(value: number, pos: number, len: number, cb: WriteCallback): void;
+	writeIntLE(value: number, pos: number, len: number): Promise<number>;
+	writeIntLESync(value: number, pos: number, len: number): number;
+	writeStringLenBE(str: string, pos: number, len_size: File.LenSize, options: File.StringArg | undefined, cb: WriteCallback): void;
+	writeStringLenBE(str: string, pos: number, len_size: File.LenSize, cb: WriteCallback): void;
+	writeStringLenBE(str: string, pos: number, len_size: File.LenSize, options?: File.StringArg): Promise<number>;
+	writeStringLenBESync(str: string, pos: number, len_size: File.LenSize, options?: File.StringArg): number;
+	writeStringLenLE(str: string, pos: number, len_size: File.LenSize, options: File.StringArg | undefined, cb: WriteCallback): void;
+	writeStringLenLE(str: string, pos: number, len_size: File.LenSize, cb: WriteCallback): void;
+	writeStringLenLE(str: string, pos: number, len_size: File.LenSize, options?: File.StringArg): Promise<number>;
+	writeStringLenLESync(str: string, pos: number, len_size: File.LenSize, options?: File.StringArg): number;
+	writeBufferLenBE(data: Buffer, pos: number, len_size: File.LenSize, cb: WriteCallback): void;
+	writeBufferLenBE(data: Buffer, pos: number, len_size: File.LenSize): Promise<number>;
+	writeBufferLenBESync(data: Buffer, pos: number, len_size: File.LenSize): number;
+	writeBufferLenLE(data: Buffer, pos: number, len_size: File.LenSize, cb: WriteCallback): void;
+	writeBufferLenLE(data: Buffer, pos: number, len_size: File.LenSize): Promise<number>;
+	writeBufferLenLESync(data: Buffer, pos: number, len_size: File.LenSize): number;
+	writeFloatBE(value: number, pos: number, cb: WriteCallback): void;
+	writeFloatBE(value: number, pos: number): Promise<number>;
+	writeFloatBESync(value: number, pos: number): number;
+	writeFloatLE(value: number, pos: number, cb: WriteCallback): void;
+	writeFloatLE(value: number, pos: number): Promise<number>;
+	writeFloatLESync(value: number, pos: number): number;
+	writeDoubleBE(value: number, pos: number, cb: WriteCallback): void;
+	writeDoubleBE(value: number, pos: number): Promise<number>;
+	writeDoubleBESync(value: number, pos: number): number;
+	writeDoubleLE(value: number, pos: number, cb: WriteCallback): void;
+	writeDoubleLE(value: number, pos: number): Promise<number>;
+	writeDoubleLESync(value: number, pos: number): number;
+	writeBigInt64BE(value: bigint | number, pos: number, cb: WriteCallback): void;
+	writeBigInt64BE(value: bigint | number, pos: number): Promise<number>;
+	writeBigInt64BESync(value: bigint | number, pos: number): number;
+	writeBigInt64LE(value: bigint | number, pos: number, cb: WriteCallback): void;
+	writeBigInt64LE(value: bigint | number, pos: number): Promise<number>;
+	writeBigInt64LESync(value: bigint | number, pos: number): number;
+	writeBigUInt64BE(value: bigint | number, pos: number, cb: WriteCallback): void;
+	writeBigUInt64BE(value: bigint | number, pos: number): Promise<number>;
+	writeBigUInt64BESync(value: bigint | number, pos: number): number;
+	writeBigUInt64LE(value: bigint | number, pos: number, cb: WriteCallback): void;
+	writeBigUInt64LE(value: bigint | number, pos: number): Promise<number>;
+	writeBigUInt64LESync(value: bigint | number, pos: number): number;
+	writeVarUInt(value: number, pos: number, cb: WriteCallback): void;
+	writeVarUInt(value: number, pos: number): Promise<number>;
+	writeVarUIntSync(value: number, pos: number): number;
+	writeVarInt(value: number, pos: number, cb: WriteCallback): void;
+	writeVarInt(value: number, pos: number): Promise<number>;
+	writeVarIntSync(value: number, pos: number): number;
+	writeZigZag(value: number, pos: number, cb: WriteCallback): void;
+	writeZigZag(value: number, pos: number): Promise<number>;
+	writeZigZagSync(value: number, pos: number): number;
+
+	// aliases of the big endian methods
+	readUInt: File['readUIntBE'];
+	readUIntSync: File['readUIntBESync'];
+	readInt: File['readIntBE'];
+	readIntSync: File['readIntBESync'];
+	readStringLen: File['readStringLenBE'];
+	readStringLenSync: File['readStringLenBESync'];
+	readBufferLen: File['readBufferLenBE'];
+	readBufferLenSync: File['readBufferLenBESync'];
+	readFloat: File['readFloatBE'];
+	readFloatSync: File['readFloatBESync'];
+	readDouble: File['readDoubleBE'];
+	readDoubleSync: File['readDoubleBESync'];
+	readBigInt64: File['readBigInt64BE'];
+	readBigInt64Sync: File['readBigInt64BESync'];
+	readBigUInt64: File['readBigUInt64BE'];
+	readBigUInt64Sync: File['readBigUInt64BESync'];
+	writeUInt: File['writeUIntBE'];
+	writeUIntSync: File['writeUIntBESync'];
+	writeInt: File['writeIntBE'];
+	writeIntSync: File['writeIntBESync'];
+	writeStringLen: File['writeStringLenBE'];
+	writeStringLenSync: File['writeStringLenBESync'];
+	writeBufferLen: File['writeBufferLenBE'];
+	writeBufferLenSync: File['writeBufferLenBESync'];
+	writeFloat: File['writeFloatBE'];
+	writeFloatSync: File['writeFloatBESync'];
+	writeDouble: File['writeDoubleBE'];
+	writeDoubleSync: File['writeDoubleBESync'];
+	writeBigInt64: File['writeBigInt64BE'];
+	writeBigInt64Sync: File['writeBigInt64BESync'];
+	writeBigUInt64: File['writeBigUInt64BE'];
+	writeBigUInt64Sync: File['writeBigUInt64BESync'];
+}
+
+export = File;
@@ -1,4 +1,13 @@
 "use strict";
 
 module.exports = require('./lib/file');
+module.exports.BinFileError = require('./lib/errors').BinFileError;
+module.exports.EOFError = require('./lib/errors').EOFError;
+module.exports.SchemaError = require('./lib/errors').SchemaError;
 module.exports.Struct = require('./lib/struct');
+module.exports.MemoryFile = require('./lib/memory');
+module.exports.Cursor = require('./lib/cursor');
+module.exports.RecordFile = require('./lib/records');
+module.exports.stream = require('./lib/stream');
+module.exports.Checksum = require('./lib/checksum');
+module.exports.formats = require('./lib/formats');
@@ -0,0 +1,382 @@
+"use strict";
+
+var fs = require('fs');
+var debug = require('debug')('file:cache');
+
+var errors = require('./errors');
+var Queue = require('./util').Queue;
+var series = require('./util').series;
+var runSync = require('./util').runSync;
+
+//
+// Page cache
+//
+// File contents are cached in pages of `pageSize` bytes, the least recently
+// used pages evicted once the cache holds more than `maxMemory` bytes.
+// Writes go to the file and update cached pages (write-through), or only
+// dirty the pages, which are written when evicted or flushed (write-back).
+//
+// Cached pages are not updated by writes of other processes or File objects.
+//
+// The same code runs the asynchronous and synchronous methods, with file I/O
+// given as `asyncIO` or `syncIO`. Asynchronous methods run one at a time in
+// call order.
+//
+
+var asyncIO = {
+	read: (fd, buffer, pos, cb) => fs.read(fd, buffer, 0, buffer.length, pos, cb),
+	write: (fd, buffer, pos, cb) => fs.write(fd, buffer, 0, buffer.length, pos, cb),
+	truncate: (fd, len, cb) => fs.ftruncate(fd, len, cb),
+	size: (fd, cb) => fs.fstat(fd, (err, stats) => cb(err, stats && stats.size))
+};
+
+function callSync(fn) {
+	return function() {
+		var args = Array.prototype.slice.call(arguments);
+		var cb = args.pop();
+		var result;
+		try {
+			result = fn.apply(null, args);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, result);
+	};
+}
+
+var syncIO = {
+	read: callSync((fd, buffer, pos) => fs.readSync(fd, buffer, 0, buffer.length, pos)),
+	write: callSync((fd, buffer, pos) => fs.writeSync(fd, buffer, 0, buffer.length, pos)),
+	truncate: callSync((fd, len) => fs.ftruncateSync(fd, len)),
+	size: callSync((fd) => fs.fstatSync(fd).size)
+};
+
+/**
+ * Write whole buffer.
+ */
+function writeAll(io, fd, data, pos, cb) {
+	if (!data.length) return cb(null);
+	io.write(fd, data, pos, (err, written) => {
+		if (err) return cb(err);
+		writeAll(io, fd, data.slice(written), pos + written, cb);
+	});
+}
+
+/**
+ * Page cache of an open file.
+ *
+ * @param {File}   file    Cached file
+ * @param {object} options `pageSize` (4 KiB by default), `maxMemory` (16 MiB
+ *                         by default) and `writeBack`
+ */
+function PageCache(file, options) {
+	if (!(this instanceof PageCache))
+		return new PageCache(file, options);
+
+	options = options || {};
+
+	this.file = file;
+	this.pageSize = options.pageSize || 4096;
+	this.maxMemory = Math.max(options.maxMemory || 16 * 1024 * 1024, this.pageSize);
+	this.writeBack = !!options.writeBack;
+
+	// file size including writes not yet flushed, read when needed
+	this.size = null;
+
+	this._pages = new Map();
+	this._flushing = new Map();
+	this._writes = 0;
+	this._queue = new Queue();
+
+	this._stats = { hits: 0, misses: 0, evictions: 0, flushes: 0 };
+}
+module.exports = PageCache;
+
+/**
+ * Load file size if it is not known.
+ */
+PageCache.prototype._loadSize = function(io, cb) {
+	if (this.size !== null) return cb(null);
+	io.size(this.file.fd, (err, size) => {
+		if (err) return cb(err);
+		this.size = size;
+		cb(null);
+	});
+};
+
+/**
+ * Get cache statistics.
+ * @return {object} `hits`, `misses`, `evictions` and `flushes` counts, and
+ *                  the current number of `pages`, `dirty` pages and
+ *                  `memory` use in bytes
+ */
+PageCache.prototype.stats = function() {
+	var dirty = 0;
+	this._pages.forEach((page) => dirty += page.dirty ? 1 : 0);
+
+	return Object.assign({}, this._stats, {
+		pages: this._pages.size,
+		dirty: dirty,
+		memory: this._pages.size * this.pageSize
+	});
+};
+
+/**
+ * Get page, loading it from the file if it is not cached.
+ */
+PageCache.prototype._page = function(io, index, cb) {
+	var page = this._pages.get(index);
+	if (page) {
+		this._stats.hits++;
+		// most recently used pages are kept last
+		this._pages.delete(index);
+		this._pages.set(index, page);
+		return cb(null, page);
+	}
+
+	this._stats.misses++;
+	page = this._flushing.get(index);
+	if (page)
+		return this._insert(io, index, page, cb);
+
+	var data = new Buffer(this.pageSize);
+	data.fill(0);
+	var writes = this._writes;
+
+	debug('load page %d', index);
+	io.read(this.file.fd, data, index * this.pageSize, (err) => {
+		if (err) return cb(err);
+
+		// synchronous calls may have loaded or written the page meanwhile
+		if (this._pages.has(index) || writes !== this._writes)
+			return this._page(io, index, cb);
+		this._insert(io, index, { data: data, dirty: false }, cb);
+	});
+};
+
+PageCache.prototype._insert = function(io, index, page, cb) {
+	this._pages.set(index, page);
+	this._evict(io, (err) => cb(err, page));
+};
+
+/**
+ * Evict least recently used pages until the cache fits in `maxMemory`.
+ */
+PageCache.prototype._evict = function(io, cb) {
+	if (this._pages.size * this.pageSize <= this.maxMemory)
+		return cb(null);
+
+	var index = this._pages.keys().next().value;
+	var page = this._pages.get(index);
+	this._pages.delete(index);
+	this._stats.evictions++;
+	if (!page.dirty)
+		return this._evict(io, cb);
+
+	// reads of the page are served from here until it is written
+	this._flushing.set(index, page);
+	this._flushPage(io, index, page, (err) => {
+		this._flushing.delete(index);
+		if (err) {
+			this._pages.set(index, page);
+			return cb(err);
+		}
+		this._evict(io, cb);
+	});
+};
+
+PageCache.prototype._flushPage = function(io, index, page, cb) {
+	var start = index * this.pageSize;
+	var len = Math.max(0, Math.min(this.pageSize, this.size - start));
+
+	debug('flush page %d', index);
+	this._stats.flushes++;
+	page.dirty = false;
+	writeAll(io, this.file.fd, page.data.slice(0, len), start, (err) => {
+		if (err) page.dirty = true;
+		cb(err);
+	});
+};
+
+PageCache.prototype._read = function(io, pos, len, options, cb) {
+	this._loadSize(io, (err) => {
+		if (err) return cb(err);
+		this._readLoaded(io, pos, len, options, cb);
+	});
+};
+
+PageCache.prototype._readLoaded = function(io, pos, len, options, cb) {
+	var bytesRead = Math.max(0, Math.min(len, this.size - pos));
+	var err = errors.checkRead(this.file, pos, len, bytesRead, options);
+	if (err) return cb(err);
+
+	var buffer = new Buffer(bytesRead);
+	var first = Math.floor(pos / this.pageSize);
+	var last = Math.floor((pos + bytesRead - 1) / this.pageSize);
+
+	series(bytesRead ? last - first + 1 : 0, (i, done) => {
+		var index = first + i;
+		this._page(io, index, (err, page) => {
+			if (err) return done(err);
+
+			var start = index * this.pageSize;
+			var from = Math.max(pos, start);
+			var to = Math.min(pos + bytesRead, start + this.pageSize);
+			page.data.copy(buffer, from - pos, from - start, to - start);
+			done(null);
+		});
+	}, (err) => cb(err, buffer, bytesRead));
+};
+
+/**
+ * Copy written data to a page.
+ */
+PageCache.prototype._update = function(page, index, data, pos) {
+	var start = index * this.pageSize;
+	var from = Math.max(pos, start);
+	var to = Math.min(pos + data.length, start + this.pageSize);
+	data.copy(page.data, from - start, from - pos, to - pos);
+};
+
+PageCache.prototype._write = function(io, data, pos, cb) {
+	this._loadSize(io, (err) => {
+		if (err) return cb(err);
+		this._writeLoaded(io, data, pos, cb);
+	});
+};
+
+PageCache.prototype._writeLoaded = function(io, data, pos, cb) {
+	var end = pos + data.length;
+	var first = Math.floor(pos / this.pageSize);
+	var last = Math.floor((end - 1) / this.pageSize);
+
+	this._writes++;
+	if (!this.writeBack) {
+		return writeAll(io, this.file.fd, data, pos, (err) => {
+			this._writes++;
+			if (err) return cb(err);
+
+			this.size = Math.max(this.size, end);
+			for (var index = first; index <= last; index++) {
+				var page = this._pages.get(index);
+				if (page) this._update(page, index, data, pos);
+			}
+			cb(null, data.length, data);
+		});
+	}
+
+	this.size = Math.max(this.size, end);
+	series(data.length ? last - first + 1 : 0, (i, done) => {
+		var index = first + i;
+		var start = index * this.pageSize;
+
+		var fill = (err, page) => {
+			if (err) return done(err);
+			this._update(page, index, data, pos);
+			page.dirty = true;
+			done(null);
+		};
+
+		// whole pages are not loaded before overwriting them
+		if (pos <= start && end >= start + this.pageSize && !this._pages.has(index) && !this._flushing.has(index))
+			return this._insert(io, index, { data: new Buffer(this.pageSize), dirty: false }, fill);
+		this._page(io, index, fill);
+	}, (err) => cb(err, data.length, data));
+};
+
+/**
+ * Write dirty pages, joining consecutive pages to single writes.
+ */
+PageCache.prototype._flush = function(io, cb) {
+	var dirty = [];
+	this._pages.forEach((page, index) => {
+		if (page.dirty) dirty.push(index);
+	});
+	dirty.sort((a, b) => a - b);
+
+	var runs = [];
+	dirty.forEach((index) => {
+		var run = runs[runs.length - 1];
+		if (run && run.last + 1 == index)
+			run.last = index;
+		else
+			runs.push({ first: index, last: index });
+	});
+
+	series(runs.length, (i, done) => {
+		var run = runs[i];
+		var pages = [];
+		for (var index = run.first; index <= run.last; index++) {
+			var page = this._pages.get(index);
+			page.dirty = false;
+			pages.push(page);
+		}
+
+		var start = run.first * this.pageSize;
+		var len = Math.min((run.last - run.first + 1) * this.pageSize, this.size - start);
+		var data = Buffer.concat(pages.map((page) => page.data)).slice(0, Math.max(0, len));
+
+		debug('flush pages %d-%d', run.first, run.last);
+		this._stats.flushes += pages.length;
+		writeAll(io, this.file.fd, data, start, (err) => {
+			if (err) pages.forEach((page) => page.dirty = true);
+			done(err);
+		});
+	}, cb);
+};
+
+PageCache.prototype._truncate = function(io, len, cb) {
+	io.truncate(this.file.fd, len, (err) => {
+		if (err) return cb(err);
+
+		this.size = len;
+		this._pages.forEach((page, index) => {
+			var start = index * this.pageSize;
+			if (start >= len)
+				this._pages.delete(index);
+			else if (start + this.pageSize > len)
+				page.data.fill(0, len - start);
+		});
+		cb(null);
+	});
+};
+
+/**
+ * Drop all pages. Dirty pages are lost, so flush first.
+ */
+PageCache.prototype.clear = function() {
+	this._pages.clear();
+	this.size = null;
+};
+
+PageCache.prototype.read = function(pos, len, options, cb) {
+	this._queue.push((done) => this._read(asyncIO, pos, len, options, done), cb);
+};
+
+PageCache.prototype.readSync = function(pos, len, options) {
+	return runSync((cb) => this._read(syncIO, pos, len, options, cb))[0];
+};
+
+PageCache.prototype.write = function(data, pos, cb) {
+	this._queue.push((done) => this._write(asyncIO, data, pos, done), cb);
+};
+
+PageCache.prototype.writeSync = function(data, pos) {
+	return runSync((cb) => this._write(syncIO, data, pos, cb))[0];
+};
+
+PageCache.prototype.flush = function(cb) {
+	this._queue.push((done) => this._flush(asyncIO, done), cb);
+};
+
+PageCache.prototype.flushSync = function() {
+	runSync((cb) => this._flush(syncIO, cb));
+};
+
+PageCache.prototype.truncate = function(len, cb) {
+	this._queue.push((done) => this._truncate(asyncIO, len, done), cb);
+};
+
+PageCache.prototype.truncateSync = function(len) {
+	runSync((cb) => this._truncate(syncIO, len, cb));
+};
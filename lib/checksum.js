@@ -0,0 +1,222 @@
+"use strict";
+
+var crypto = require('crypto');
+var debug = require('debug')('file:checksum');
+
+var errors = require('./errors');
+
+//
+// Checksum algorithms
+//
+//   crc32       CRC-32 (zlib, PNG, ZIP)
+//   crc16       CRC-16/ARC
+//   crc16ccitt  CRC-16/CCITT-FALSE
+//   adler32     Adler-32 (zlib)
+//   sum         Sum of bytes modulo 2^(8 * size), `size` 1 by default
+//
+// Any other algorithm is a `crypto` hash, e.g. 'md5' or 'sha256', and its
+// value is the digest buffer.
+//
+
+var crc32Table = makeTable(0xedb88320);
+var crc16Table = makeTable(0xa001);
+
+function makeTable(poly) {
+	var table = new Array(256);
+	for (var n = 0; n < 256; n++) {
+		var c = n;
+		for (var k = 0; k < 8; k++)
+			c = c & 1 ? (c >>> 1) ^ poly : c >>> 1;
+		table[n] = c >>> 0;
+	}
+	return table;
+}
+
+var algorithms = {
+	crc32: {
+		size: 4,
+		init: () => 0xffffffff,
+		update: (crc, data) => {
+			for (var i = 0; i < data.length; i++)
+				crc = crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+			return crc;
+		},
+		digest: (crc) => (crc ^ 0xffffffff) >>> 0
+	},
+	crc16: {
+		size: 2,
+		init: () => 0,
+		update: (crc, data) => {
+			for (var i = 0; i < data.length; i++)
+				crc = crc16Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+			return crc;
+		},
+		digest: (crc) => crc & 0xffff
+	},
+	crc16ccitt: {
+		size: 2,
+		init: () => 0xffff,
+		update: (crc, data) => {
+			for (var i = 0; i < data.length; i++) {
+				crc ^= data[i] << 8;
+				for (var k = 0; k < 8; k++)
+					crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+				crc &= 0xffff;
+			}
+			return crc;
+		},
+		digest: (crc) => crc
+	},
+	adler32: {
+		size: 4,
+		init: () => [1, 0],
+		update: (state, data) => {
+			var a = state[0];
+			var b = state[1];
+			for (var i = 0; i < data.length; i++) {
+				a = (a + data[i]) % 65521;
+				b = (b + a) % 65521;
+			}
+			return [a, b];
+		},
+		digest: (state) => (state[1] * 65536 + state[0]) >>> 0
+	}
+};
+
+/**
+ * Checksum of a byte range.
+ *
+ * Numeric checksums are stored as unsigned integers of `options.endian`
+ * ('BE' by default).
+ *
+ * @param {string} algorithm Algorithm name
+ * @param {object} options   `endian`, and `size` in bytes for 'sum'
+ */
+function Checksum(algorithm, options) {
+	if (!(this instanceof Checksum))
+		return new Checksum(algorithm, options);
+
+	options = options || {};
+	this.algorithm = algorithm;
+	this.endian = (options.endian || 'BE').toUpperCase();
+
+	if (algorithm == 'sum') {
+		var size = options.size || 1;
+		var modulo = Math.pow(2, 8 * size);
+		this.size = size;
+		this._impl = {
+			init: () => 0,
+			update: (sum, data) => {
+				for (var i = 0; i < data.length; i++)
+					sum = (sum + data[i]) % modulo;
+				return sum;
+			},
+			digest: (sum) => sum
+		};
+	} else if (algorithms.hasOwnProperty(algorithm)) {
+		this.size = algorithms[algorithm].size;
+		this._impl = algorithms[algorithm];
+	} else {
+		// throws for unknown algorithms
+		this.size = crypto.createHash(algorithm).digest().length;
+		this._impl = null;
+	}
+}
+module.exports = Checksum;
+
+/**
+ * Compute checksum of a buffer.
+ * @param  {Buffer|Buffer[]} data Data, or list of data chunks
+ * @return {int|Buffer}           Checksum value
+ */
+Checksum.prototype.compute = function(data) {
+	var chunks = Array.isArray(data) ? data : [data];
+
+	if (!this._impl) {
+		var hash = crypto.createHash(this.algorithm);
+		chunks.forEach((chunk) => hash.update(chunk));
+		return hash.digest();
+	}
+
+	var state = this._impl.init();
+	chunks.forEach((chunk) => state = this._impl.update(state, chunk));
+	return this._impl.digest(state);
+};
+
+/**
+ * Compute checksum of a range of file.
+ * @param  {File}     file File to read from
+ * @param  {int}      pos  Start position
+ * @param  {int}      len  Length of the range
+ * @param  {Function} cb   Callback function gets arguments (err, value)
+ */
+Checksum.prototype.computeFile = function(file, pos, len, cb) {
+	var chunkSize = 65536;
+	var chunks = [];
+	var offset = 0;
+
+	debug('%s over %d bytes at %d', this.algorithm, len, pos);
+	var next = () => {
+		if (offset >= len)
+			return cb(null, this.compute(chunks));
+
+		var size = Math.min(chunkSize, len - offset);
+		file.read(pos + offset, size, { allowPartial: false }, (err, data) => {
+			if (err) return cb(err);
+			chunks.push(data);
+			offset += size;
+			next();
+		});
+	};
+	next();
+};
+
+/**
+ * Encode checksum value.
+ * @param  {int|Buffer} value Checksum value
+ * @return {Buffer}           Stored checksum
+ */
+Checksum.prototype.encode = function(value) {
+	if (Buffer.isBuffer(value))
+		return value;
+
+	var buffer = new Buffer(this.size);
+	buffer['writeUInt' + this.endian](value, 0, this.size);
+	return buffer;
+};
+
+/**
+ * Decode stored checksum.
+ * @param  {Buffer} data Stored checksum
+ * @return {int|Buffer}  Checksum value
+ */
+Checksum.prototype.decode = function(data) {
+	if (!this._impl)
+		return data;
+	return data['readUInt' + this.endian](0, this.size);
+};
+
+/**
+ * Check stored checksum against computed value.
+ * @param  {int|Buffer} stored   Stored value
+ * @param  {int|Buffer} computed Computed value
+ * @param  {object}     props    Error properties
+ * @return {BinFileError}        Error, or null if the values match
+ */
+Checksum.prototype.check = function(stored, computed, props) {
+	var match = Buffer.isBuffer(stored) ? stored.equals(computed) : stored === computed;
+	if (match)
+		return null;
+
+	return new errors.BinFileError('Checksum mismatch: ' + this.algorithm + ' is ' +
+		format(stored) + ', computed ' + format(computed), Object.assign({
+			stored: stored,
+			computed: computed
+		}, props));
+};
+
+function format(value) {
+	if (Buffer.isBuffer(value))
+		return value.toString('hex');
+	return '0x' + value.toString(16);
+}
@@ -0,0 +1,273 @@
+"use strict";
+
+var debug = require('debug')('file:cursor');
+
+var makeCallback = require('./util').makeCallback;
+var Queue = require('./util').Queue;
+var numberTypes = require('./util').numberTypes;
+var varintTypes = require('./util').varintTypes;
+var view = require('./view');
+
+/**
+ * Cursor reading and writing at an implicit position in a file.
+ *
+ * Cursor has the read and write methods of File without the position
+ * argument. The position moves forward by the bytes read or written.
+ * Asynchronous operations are run one at a time in call order, so they can
+ * be issued without waiting for the previous ones.
+ *
+ * @param {File} file     File to read and write
+ * @param {int}  position Start position
+ */
+function Cursor(file, position) {
+	if (!(this instanceof Cursor))
+		return new Cursor(file, position);
+
+	this.file = file;
+	this.position = position || 0;
+
+	this._queue = new Queue();
+}
+module.exports = Cursor;
+
+/**
+ * Throw if asynchronous operations are still pending.
+ */
+Cursor.prototype._checkIdle = function() {
+	if (this._queue.pending())
+		throw new Error('Cursor has pending asynchronous operations');
+};
+
+/**
+ * Move cursor to position.
+ * @param  {int} pos Position in file
+ */
+Cursor.prototype.seek = function(pos) {
+	this._queue.push((done) => {
+		debug('seek: %d', pos);
+		this.position = pos;
+		done();
+	});
+	return this;
+};
+
+/**
+ * Get cursor position.
+ *
+ * Pending operations are not included.
+ */
+Cursor.prototype.tell = function() {
+	return this.position;
+};
+
+/**
+ * Move cursor forward.
+ * @param  {int} len Bytes to skip
+ */
+Cursor.prototype.skip = function(len) {
+	this._queue.push((done) => {
+		debug('skip: %d', len);
+		this.position += len;
+		done();
+	});
+	return this;
+};
+
+/**
+ * Move cursor forward to next multiple of `n`.
+ * @param  {int} n Alignment in bytes
+ */
+Cursor.prototype.align = function(n) {
+	this._queue.push((done) => {
+		this.position = Math.ceil(this.position / n) * n;
+		debug('align %d: %d', n, this.position);
+		done();
+	});
+	return this;
+};
+
+/**
+ * Run asynchronous file method at cursor position.
+ *
+ * Cursor is moved by the bytes read, or written if `write` is true.
+ *
+ * @param  {string}   method   File method name
+ * @param  {Function} makeArgs Function building the method arguments from
+ *                             the position
+ * @param  {boolean}  write    Method is a write method
+ * @param  {Function} cb       Callback function
+ */
+Cursor.prototype._call = function(method, makeArgs, write, cb) {
+	this._queue.push((done) => {
+		debug('%s at %d', method, this.position);
+		var args = makeArgs(this.position);
+
+		args.push((err, value, bytesRead) => {
+			if (!err) this.position += write ? value : bytesRead;
+			done(err, value);
+		});
+		this.file[method].apply(this.file, args);
+	}, cb);
+};
+
+/**
+ * Run file method synchronously at cursor position.
+ */
+Cursor.prototype._callSync = function(method, makeArgs, write) {
+	this._checkIdle();
+	debug('%s sync at %d', method, this.position);
+
+	var result = view.callSync(this.file, method, makeArgs(this.position));
+	this.position += write ? result[0] : result[1];
+	return result[0];
+};
+
+/**
+ * Create struct reader or writer at cursor position.
+ * @param  {string}          type   'Read' or 'Write'
+ * @param  {Schema|Function} layout Schema or function queuing the fields
+ * @param  {object}          value  Object to encode
+ */
+Cursor.prototype._struct = function(type, layout, value) {
+	if (typeof layout == 'function') {
+		var struct = this.file['create' + type + 'Struct'](this.position);
+		layout(struct);
+		return struct;
+	}
+	if (type == 'Read')
+		return this.file.createReadStruct(this.position, layout);
+	return this.file.createWriteStruct(this.position, layout, value);
+};
+
+/**
+ * Read struct at cursor position.
+ * @param  {Schema|Function} layout Schema or function queuing fields to a
+ *                                  Struct.Read
+ * @param  {Function}        cb     Callback function gets arguments (err, result)
+ */
+Cursor.prototype.readStruct = function(layout, cb) {
+	// layout may be a function, so only a second argument is the callback
+	cb = makeCallback(Array.prototype.slice.call(arguments, 1), this);
+
+	this._queue.push((done) => {
+		this._struct('Read', layout).read((err, result, position) => {
+			if (!err) this.position = position;
+			done(err, result);
+		});
+	}, cb);
+	return cb.promise;
+};
+
+/**
+ * Read struct at cursor position synchronously.
+ */
+Cursor.prototype.readStructSync = function(layout) {
+	this._checkIdle();
+	var struct = this._struct('Read', layout);
+	var read = struct.readSync();
+	this.position = read.position;
+	return read.result;
+};
+
+/**
+ * Write struct at cursor position.
+ * @param  {Schema|Function} layout Schema or function queuing fields to a
+ *                                  Struct.Write
+ * @param  {object}          value  Object to encode, omitted with a function
+ * @param  {Function}        cb     Callback function gets arguments (err, position)
+ */
+Cursor.prototype.writeStruct = function(layout, value, cb) {
+	var fn = typeof layout == 'function';
+	cb = makeCallback(Array.prototype.slice.call(arguments, fn ? 1 : 2), this);
+	if (fn) value = undefined;
+
+	this._queue.push((done) => {
+		this._struct('Write', layout, value).write((err, position) => {
+			if (!err) this.position = position;
+			done(err, position);
+		});
+	}, cb);
+	return cb.promise;
+};
+
+/**
+ * Write struct at cursor position synchronously.
+ */
+Cursor.prototype.writeStructSync = function(layout, value) {
+	this._checkIdle();
+	this.position = this._struct('Write', layout, value).writeSync();
+	return this.position;
+};
+
+function readMethod(method) {
+	Cursor.prototype[method] = function() {
+		var cb = makeCallback(arguments, this);
+		var args = methodArgs(arguments);
+
+		this._call(method, (pos) => [pos].concat(args), false, cb);
+		return cb.promise;
+	};
+
+	Cursor.prototype[method + 'Sync'] = function() {
+		var args = Array.prototype.slice.call(arguments);
+		return this._callSync(method, (pos) => [pos].concat(args), false);
+	};
+}
+
+function writeMethod(method) {
+	Cursor.prototype[method] = function(value) {
+		var cb = makeCallback(arguments, this);
+		var args = methodArgs(arguments).slice(1);
+
+		this._call(method, (pos) => [value, pos].concat(args), true, cb);
+		return cb.promise;
+	};
+
+	Cursor.prototype[method + 'Sync'] = function(value) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		return this._callSync(method, (pos) => [value, pos].concat(args), true);
+	};
+}
+
+/**
+ * Arguments without the trailing callback.
+ */
+function methodArgs(args) {
+	args = Array.prototype.slice.call(args);
+	if (typeof args[args.length - 1] == 'function')
+		args.pop();
+	return args;
+}
+
+[
+	'read', 'readString', 'readCString',
+	'readUIntBE', 'readUIntLE', 'readIntBE', 'readIntLE',
+	'readStringLenBE', 'readStringLenLE', 'readBufferLenBE', 'readBufferLenLE'
+].concat(Object.keys(numberTypes).map((type) => 'read' + type))
+	.concat(Object.keys(varintTypes).map((type) => 'read' + type))
+	.forEach(readMethod);
+
+[
+	'write', 'writeString', 'writeCString',
+	'writeUIntBE', 'writeUIntLE', 'writeIntBE', 'writeIntLE',
+	'writeStringLenBE', 'writeStringLenLE', 'writeBufferLenBE', 'writeBufferLenLE'
+].concat(Object.keys(numberTypes).map((type) => 'write' + type))
+	.concat(Object.keys(varintTypes).map((type) => 'write' + type))
+	.forEach(writeMethod);
+
+// Aliases
+[
+	['UInt', 'UIntBE'],
+	['Int', 'IntBE'],
+	['StringLen', 'StringLenBE'],
+	['BufferLen', 'BufferLenBE'],
+	['Float', 'FloatBE'],
+	['Double', 'DoubleBE'],
+	['BigInt64', 'BigInt64BE'],
+	['BigUInt64', 'BigUInt64BE']
+].forEach((alias) => {
+	['read', 'write'].forEach((prefix) => {
+		Cursor.prototype[prefix + alias[0]] = Cursor.prototype[prefix + alias[1]];
+		Cursor.prototype[prefix + alias[0] + 'Sync'] = Cursor.prototype[prefix + alias[1] + 'Sync'];
+	});
+});
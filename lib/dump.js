@@ -0,0 +1,182 @@
+"use strict";
+
+//
+// Debug dumps of files and structs
+//
+
+// bytes shown per line of hexdump, and of raw field bytes in dumps
+var lineWidth = 16;
+
+/**
+ * Format data as hexdump lines of offset, hex bytes and printable characters.
+ * @param  {Buffer} data   Data
+ * @param  {int}    offset File offset of the data
+ * @return {string}        Hexdump text
+ */
+function hexdump(data, offset) {
+	var lines = [];
+	offset = offset || 0;
+
+	for (var i = 0; i < data.length; i += lineWidth) {
+		var line = data.slice(i, i + lineWidth);
+		var hex = [];
+		for (var j = 0; j < lineWidth; j++) {
+			hex.push(j < line.length ? hexByte(line[j]) : '  ');
+			if (j == 7) hex.push('');
+		}
+		var text = Array.prototype.map.call(line, (c) => {
+			return c >= 0x20 && c < 0x7f ? String.fromCharCode(c) : '.';
+		}).join('');
+
+		lines.push(hexOffset(offset + i) + '  ' + hex.join(' ') + '  |' + text + '|');
+	}
+	return lines.join('\n');
+}
+module.exports.hexdump = hexdump;
+
+function hexByte(c) {
+	return (c < 16 ? '0' : '') + c.toString(16);
+}
+
+function hexOffset(offset) {
+	var str = offset.toString(16);
+	return '00000000'.slice(Math.min(8, str.length)) + str;
+}
+
+function isStruct(value) {
+	return value !== null && typeof value == 'object' && !Buffer.isBuffer(value);
+}
+
+/**
+ * Format field value for text dumps.
+ */
+function formatValue(value) {
+	if (Array.isArray(value))
+		return '[' + value.length + ']';
+	if (isStruct(value))
+		return '{}';
+	if (Buffer.isBuffer(value))
+		return '<' + value.slice(0, lineWidth).toString('hex') + (value.length > lineWidth ? '...' : '') + '>';
+	if (typeof value == 'bigint')
+		return value + 'n';
+	if (typeof value == 'string')
+		return JSON.stringify(value);
+	return String(value);
+}
+
+/**
+ * Convert field value to JSON compatible value.
+ */
+function jsonValue(value) {
+	if (Buffer.isBuffer(value))
+		return value.toString('hex');
+	if (typeof value == 'bigint')
+		return value.toString();
+	return value;
+}
+
+/**
+ * Annotated dump of a struct read.
+ *
+ * Fields are ordered by offset, structs and arrays before their items.
+ * Each field has the dotted `name`, file `offset`, `size` in bytes, `raw`
+ * bytes and decoded `value`. `error` is the error which stopped the read.
+ *
+ * @param {Array} fields Dumped fields
+ * @param {Error} error  Read error
+ */
+function Dump(fields, error) {
+	if (!(this instanceof Dump))
+		return new Dump(fields, error);
+
+	this.fields = fields.slice().sort((a, b) => a.offset - b.offset || b.size - a.size);
+	this.error = error || null;
+}
+module.exports.Dump = Dump;
+
+/**
+ * Get field by name.
+ * @param  {string} name Dotted field name
+ * @return {object}      Field, or undefined
+ */
+Dump.prototype.field = function(name) {
+	return this.fields.find((field) => field.name === name);
+};
+
+/**
+ * Format dump as text, one field a line.
+ * @return {string} Dump text
+ */
+Dump.prototype.toString = function() {
+	var lines = this.fields.map((field) => {
+		var depth = field.name.split('.').length - 1;
+		var raw = field.raw.slice(0, lineWidth).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+		if (field.raw.length > lineWidth)
+			raw += ' ...';
+
+		return hexOffset(field.offset) + '  ' + pad(String(field.size), 5) + '  ' +
+			pad(raw, 3 * lineWidth + 3) + '  ' + '  '.repeat(depth) +
+			field.name.split('.').pop() + ' = ' + formatValue(field.value);
+	});
+
+	if (this.error)
+		lines.push('error: ' + this.error.message);
+	return lines.join('\n');
+};
+
+function pad(str, len) {
+	return str.length < len ? str + ' '.repeat(len - str.length) : str;
+}
+
+/**
+ * Get JSON compatible object of the dump.
+ *
+ * Raw bytes are hex strings. Values of structs and arrays are left out as
+ * their fields are listed separately.
+ *
+ * @return {object} Dump object
+ */
+Dump.prototype.toJSON = function() {
+	return {
+		fields: this.fields.map((field) => {
+			var json = {
+				name: field.name,
+				offset: field.offset,
+				size: field.size,
+				raw: field.raw.toString('hex')
+			};
+			if (!isStruct(field.value))
+				json.value = jsonValue(field.value);
+			return json;
+		}),
+		error: this.error ? this.error.message : null
+	};
+};
+
+/**
+ * Compare fields with another dump.
+ *
+ * Fields differ if their raw bytes or offsets differ, or if the field is
+ * found in only one of the dumps.
+ *
+ * @param  {Dump}  other Other dump
+ * @return {Array}       Differences `{ name, a, b }` with the fields of this
+ *                       and the other dump
+ */
+Dump.prototype.diff = function(other) {
+	var diffs = [];
+	var names = {};
+
+	this.fields.concat(other.fields).forEach((field) => {
+		if (names.hasOwnProperty(field.name))
+			return;
+		names[field.name] = true;
+
+		var a = this.field(field.name);
+		var b = other.field(field.name);
+		if (a && b && a.offset === b.offset && a.raw.equals(b.raw))
+			return;
+		diffs.push({ name: field.name, a: a, b: b });
+	});
+	return diffs;
+};
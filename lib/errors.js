@@ -0,0 +1,115 @@
+"use strict";
+
+var util = require('util');
+
+/**
+ * Base class of bin-file errors.
+ *
+ * Error properties are copied from `props`. `field` is the path of the
+ * struct field being read, e.g. 'header.size', and is appended to the
+ * message.
+ *
+ * @param {string} reason Error message without field
+ * @param {object} props  Error properties
+ */
+function BinFileError(reason, props) {
+	Error.call(this);
+	Error.captureStackTrace(this, this.constructor);
+
+	this.name = 'BinFileError';
+	this.reason = reason;
+	Object.assign(this, props);
+	this._update();
+}
+util.inherits(BinFileError, Error);
+module.exports.BinFileError = BinFileError;
+
+BinFileError.prototype._update = function() {
+	this.message = this.reason;
+	if (this.field !== undefined)
+		this.message += " in field '" + this.field + "'";
+};
+
+/**
+ * Add field name to the front of the field path.
+ * @param {string|int} name Field name
+ */
+BinFileError.prototype.addField = function(name) {
+	this.field = this.field === undefined ? String(name) : name + '.' + this.field;
+	this._update();
+	return this;
+};
+
+/**
+ * Error of a read past the end of file.
+ *
+ * @param {object} props `path`, `offset`, requested `length` and `available`
+ *                       bytes
+ */
+function EOFError(props) {
+	var reason = 'Unexpected end of file: ' + props.length + ' bytes requested at ' +
+		props.offset + ', ' + props.available + ' available';
+	if (props.path)
+		reason += ' (' + props.path + ')';
+
+	BinFileError.call(this, reason, props);
+	this.name = 'EOFError';
+	this.code = 'EOF';
+}
+util.inherits(EOFError, BinFileError);
+module.exports.EOFError = EOFError;
+
+/**
+ * Error of an invalid schema.
+ *
+ * The message has the first problem found, all of them are listed in
+ * `problems`.
+ *
+ * @param {string[]} problems Problems, each with the path of the schema item
+ * @param {object}   props    Error properties, `path` of the schema file
+ */
+function SchemaError(problems, props) {
+	var reason = 'Invalid schema: ' + problems[0];
+	if (problems.length > 1)
+		reason += ' (and ' + (problems.length - 1) + ' more)';
+	if (props && props.path)
+		reason += ' (' + props.path + ')';
+
+	BinFileError.call(this, reason, props);
+	this.name = 'SchemaError';
+	this.code = 'ESCHEMA';
+	this.problems = problems;
+}
+util.inherits(SchemaError, BinFileError);
+module.exports.SchemaError = SchemaError;
+
+/**
+ * Check for a short read.
+ *
+ * Short reads are errors unless partial reads are allowed by
+ * `options.allowPartial`, or by `file.allowPartial` if the option is not
+ * given.
+ *
+ * @param  {File}   file      File read from
+ * @param  {int}    pos       Read position
+ * @param  {int}    len       Requested length
+ * @param  {int}    bytesRead Bytes read
+ * @param  {object} options   Read options
+ * @return {EOFError}         Error, or null if the read is accepted
+ */
+function checkRead(file, pos, len, bytesRead, options) {
+	if (bytesRead >= len)
+		return null;
+
+	var partial = options && options.allowPartial !== undefined ? options.allowPartial : file.allowPartial;
+	if (partial)
+		return null;
+
+	return new EOFError({
+		path: file.filepath,
+		offset: pos,
+		length: len,
+		available: bytesRead
+	});
+}
+module.exports.checkRead = checkRead;
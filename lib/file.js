@@ -5,6 +5,61 @@ var path = require('path');
 var debug = require('debug')('file:file');
 
 var Struct = require('./struct');
+var Cursor = require('./cursor');
+var RecordFile = require('./records');
+var PageCache = require('./cache');
+var makeCallback = require('./util').makeCallback;
+var callUser = require('./util').callUser;
+var numberTypes = require('./util').numberTypes;
+var varintTypes = require('./util').varintTypes;
+var errors = require('./errors');
+var locks = require('./lock');
+var strings = require('./strings');
+var varint = require('./varint');
+var view = require('./view');
+var hexdump = require('./dump').hexdump;
+
+// read options of values which can not be decoded from partial data
+var exact = { allowPartial: false };
+
+/**
+ * Write data made by `encode`, failing the callback if encoding throws.
+ */
+function writeEncoded(file, encode, pos, cb) {
+	var data;
+	try {
+		data = encode();
+	} catch (err) {
+		return cb(err);
+	}
+	file.write(data, pos, cb);
+}
+
+/**
+ * Read `len` bytes and decode them, failing the callback if decoding throws.
+ */
+function readDecoded(file, pos, len, decode, cb) {
+	file.read(pos, len, exact, (err, data, bytesRead) => {
+		if (err) return cb(err);
+
+		var value;
+		try {
+			value = decode(data);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, value, bytesRead);
+	});
+}
+
+/**
+ * Encode integer of `len` bytes with a Buffer write method, e.g. 'UIntBE'.
+ */
+function encodeInt(type, value, len) {
+	var buffer = new Buffer(len);
+	buffer['write' + type](value, 0, len);
+	return buffer;
+}
 
 /**
  * File representing a binary file.
@@ -19,18 +74,17 @@ function File(filepath) {
 	this.fd = null;
 	this._flags = undefined;
 	this._mode = undefined;
-}
-module.exports = File;
 
-function makeCallback(args, context) {
-	var callback = args[args.length - 1];
+	// allow short reads at end of file
+	this.allowPartial = false;
 
-	return function(err) {
-		if (typeof callback == 'function') {
-			callback.apply(context, arguments);
-		} else if (err) throw err;
-	}
+	// locks held by this object
+	this._locks = [];
+
+	// page cache, see enableCache
+	this._cache = null;
 }
+module.exports = File;
 
 /**
  * Open file asynchronously
@@ -38,7 +92,7 @@ function makeCallback(args, context) {
  * @param  {}   flags    Open flags
  * @param  {}   mode     File mode if file is created
  * @param  {Function} cb Callback is called when file is open with arguments (err, file)
- * @return {File}            File object
+ * @return {File|Promise}    File object, or promise of it if no callback is given
  */
 File.open = function(filepath, options, cb) {
 	var file = new File(filepath);
@@ -49,9 +103,31 @@ File.open = function(filepath, options, cb) {
 	}
 
 	file.open(options, cb);
+	return cb.promise || file;
+};
+
+/**
+ * Open file synchronously
+ * @param  {string} filepath File path to open
+ * @param  {object} options  Open options
+ * @return {File}            File object
+ */
+File.openSync = function(filepath, options) {
+	var file = new File(filepath);
+	file.openSync(options);
 	return file;
 };
 
+/**
+ * Create file stored in memory.
+ * @param  {Buffer} buffer Initial contents, not copied
+ * @return {MemoryFile}    MemoryFile object
+ */
+File.fromBuffer = function(buffer) {
+	var MemoryFile = require('./memory');
+	return new MemoryFile(buffer);
+};
+
 /**
  * Open file asyncrhonously.
  */
@@ -77,24 +153,123 @@ File.prototype.open = function(options, cb) {
 			}
 		}
 
-		this.fd = fd;
-		this._flags = options.flags;
-		this._mode = options.mode;
-
+		try {
+			this._opened(fd, options);
+		} catch (err) {
+			this.fd = null;
+			return fs.close(fd, () => cb(err));
+		}
 		cb(null, this);
 	});
+	return cb.promise;
+};
+
+/**
+ * Open file synchronously.
+ */
+File.prototype.openSync = function(options) {
+	options = options || {};
+	options.flags = options.flags || this._flags || 'r+';
+	options.mode = options.mode || this._mode;
+
+	debug('open sync: %s (%o)', this.filepath, options);
+
+	var fd;
+	try {
+		fd = fs.openSync(this.filepath, options.flags, options.mode);
+	} catch (err) {
+		if (err.code === 'ENOENT' && options.create) {
+			options.create = false;
+			options.flags = 'w+';
+			return this.openSync(options);
+		}
+		throw err;
+	}
+
+	try {
+		this._opened(fd, options);
+	} catch (err) {
+		this.fd = null;
+		fs.closeSync(fd);
+		throw err;
+	}
+	return this;
+};
+
+/**
+ * Set up opened file descriptor with open options.
+ */
+File.prototype._opened = function(fd, options) {
+	this.fd = fd;
+	this._flags = options.flags;
+	this._mode = options.mode;
+	if (options.allowPartial !== undefined)
+		this.allowPartial = options.allowPartial;
+
+	// the cache is kept over close and reopen, and replaced by a new one
+	if (options.cache) {
+		this._cache = null;
+		this.enableCache(options.cache);
+	}
 };
 
 /**
  * Close file asyncrhonously.
+ *
+ * Locks held by this File are released, also if closing fails.
  */
 File.prototype.close = function(cb) {
 	cb = makeCallback(arguments, this);
-	if (this.fd) {
-		fs.close(this.fd, cb);
+	this._close((err) => {
+		try {
+			this.unlockSync();
+		} catch (unlockErr) {
+			err = err || unlockErr;
+		}
+		cb(err || null);
+	});
+	return cb.promise;
+};
+
+/**
+ * Close file synchronously, releasing locks held by this File.
+ */
+File.prototype.closeSync = function() {
+	try {
+		this._closeSync();
+	} finally {
+		this.unlockSync();
 	}
 };
 
+/**
+ * Close file descriptor, keeping the locks for reopening the same path.
+ */
+File.prototype._close = function(cb) {
+	if (!this.fd)
+		return process.nextTick(cb, null);
+
+	this._flushCache((err) => {
+		if (err) return cb(err);
+		if (this._cache) this._cache.clear();
+
+		var fd = this.fd;
+		this.fd = null;
+		fs.close(fd, cb);
+	});
+};
+
+File.prototype._closeSync = function() {
+	if (!this.fd) return;
+
+	this._flushCacheSync();
+	if (this._cache) this._cache.clear();
+
+	var fd = this.fd;
+	this.fd = null;
+	fs.closeSync(fd);
+};
+
 /**
  * Check if file is open.
  */
@@ -102,12 +277,87 @@ File.prototype.isOpen = function() {
 	return !!this.fd;
 };
 
+/**
+ * Enable page cache of the open file.
+ *
+ * Reads are served from cached pages of `options.pageSize` bytes (4 KiB by
+ * default). Least recently used pages are evicted when the cache holds more
+ * than `options.maxMemory` bytes (16 MiB by default). Writes go to the file
+ * and update cached pages, or with `options.writeBack` only to the pages,
+ * which are written when evicted, or by `sync`, `stat`, `close` and
+ * `transaction`.
+ *
+ * The cache does not see changes made by other processes or File objects.
+ *
+ * @param  {object} options Cache options
+ * @return {File}           File object
+ */
+File.prototype.enableCache = function(options) {
+	if (this._cache)
+		throw new Error('File already has a page cache');
+	this._cache = new PageCache(this, options === true ? {} : options);
+	return this;
+};
+
+/**
+ * Write dirty pages and remove page cache.
+ */
+File.prototype.disableCache = function(cb) {
+	cb = makeCallback(arguments, this);
+	this._flushCache((err) => {
+		if (!err) this._cache = null;
+		cb(err);
+	});
+	return cb.promise;
+};
+
+/**
+ * Write dirty pages and remove page cache synchronously.
+ */
+File.prototype.disableCacheSync = function() {
+	this._flushCacheSync();
+	this._cache = null;
+};
+
+/**
+ * Get page cache statistics.
+ * @return {object} `hits`, `misses`, `evictions`, `flushes`, `pages`,
+ *                  `dirty` and `memory`, or null without a cache
+ */
+File.prototype.cacheStats = function() {
+	return this._cache ? this._cache.stats() : null;
+};
+
+/**
+ * Write dirty pages of the page cache.
+ */
+File.prototype._flushCache = function(cb) {
+	if (!this._cache) return cb(null);
+	this._cache.flush(cb);
+};
+
+File.prototype._flushCacheSync = function() {
+	if (this._cache) this._cache.flushSync();
+};
+
 /**
  * Sync file writes asynchronously.
  */
 File.prototype.sync = function(cb) {
 	cb = makeCallback(arguments, this);
-	fs.fsync(this.fd, cb);
+	this._flushCache((err) => {
+		if (err) return cb(err);
+		fs.fsync(this.fd, cb);
+	});
+	return cb.promise;
+};
+
+/**
+ * Sync file writes synchronously.
+ */
+File.prototype.syncSync = function() {
+	this._flushCacheSync();
+	fs.fsyncSync(this.fd);
 };
 
 /**
@@ -115,7 +365,20 @@ File.prototype.sync = function(cb) {
  */
 File.prototype.stat = function(cb) {
 	cb = makeCallback(arguments, this);
-	fs.fstat(this.fd, cb);
+	// size includes cached writes
+	this._flushCache((err) => {
+		if (err) return cb(err);
+		fs.fstat(this.fd, cb);
+	});
+	return cb.promise;
+};
+
+/**
+ * Get file stats synchronously.
+ */
+File.prototype.statSync = function() {
+	this._flushCacheSync();
+	return fs.fstatSync(this.fd);
 };
 
 /**
@@ -124,6 +387,14 @@ File.prototype.stat = function(cb) {
 File.prototype.utimes = function(atime, mtime, cb) {
 	cb = makeCallback(arguments, this);
 	fs.futimes(this.fd, atime, mtime, cb);
+	return cb.promise;
+};
+
+/**
+ * Set atime and utime synchronously.
+ */
+File.prototype.utimesSync = function(atime, mtime) {
+	fs.futimesSync(this.fd, atime, mtime);
 };
 
 /**
@@ -131,7 +402,20 @@ File.prototype.utimes = function(atime, mtime, cb) {
  */
 File.prototype.truncate = function(len, cb) {
 	cb = makeCallback(arguments, this);
-	fs.ftruncate(this.fd, len, cb);
+	if (this._cache)
+		this._cache.truncate(len, cb);
+	else
+		fs.ftruncate(this.fd, len, cb);
+	return cb.promise;
+};
+
+/**
+ * Truncate file size synchronously.
+ */
+File.prototype.truncateSync = function(len) {
+	if (this._cache)
+		return this._cache.truncateSync(len);
+	fs.ftruncateSync(this.fd, len);
 };
 
 /**
@@ -142,13 +426,429 @@ File.prototype.truncate = function(len, cb) {
 File.prototype.rename = function(dest, cb) {
 	cb = makeCallback(arguments, this);
 
-	this.close();
-	fs.rename(this.filepath, dest, (err) => {
+	this.close((err) => {
+		if (err) return cb(err);
+
+		fs.rename(this.filepath, dest, (err) => {
+			if (err) return cb(err);
+
+			this.filepath = dest;
+			// reopening with 'w' flags would truncate the file
+			if (/^w/.test(this._flags))
+				this._flags = 'r+';
+			this.open(cb);
+		});
+	});
+	return cb.promise;
+};
+
+/**
+ * Rename file synchronously.
+ */
+File.prototype.renameSync = function(dest) {
+	this.closeSync();
+	fs.renameSync(this.filepath, dest);
+
+	this.filepath = dest;
+	if (/^w/.test(this._flags))
+		this._flags = 'r+';
+	this.openSync();
+};
+
+//
+// Transactions
+//
+// Transactions and atomic writes write to a temporary file next to the
+// target, sync it and rename it over the target. A failed write leaves the
+// target untouched.
+//
+
+var tempCounter = 0;
+
+function tempPath(filepath) {
+	return filepath + '.' + process.pid + '.' + (tempCounter++) + '.tmp';
+}
+
+/**
+ * Sync directory of the file so that a rename survives a crash.
+ *
+ * Errors are ignored as directories can not be synced on all platforms.
+ */
+function syncDir(filepath, cb) {
+	fs.open(path.dirname(filepath), 'r', (err, fd) => {
+		if (err) return cb(null);
+		fs.fsync(fd, () => fs.close(fd, () => cb(null)));
+	});
+}
+
+function syncDirSync(filepath) {
+	try {
+		var fd = fs.openSync(path.dirname(filepath), 'r');
+		try {
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+	} catch (err) {
+		debug('sync dir: %s', err.message);
+	}
+}
+
+/**
+ * Write Buffer, Schema value or struct built by a function at start of file.
+ */
+function writeLayout(file, layout, value, cb) {
+	if (Buffer.isBuffer(layout))
+		return file.write(layout, 0, (err, written) => cb(err, written));
+
+	var struct;
+	try {
+		if (typeof layout == 'function') {
+			struct = file.createWriteStruct(0);
+			layout(struct);
+		} else {
+			struct = file.createWriteStruct(0, layout, value);
+		}
+	} catch (err) {
+		return cb(err);
+	}
+	struct.write(cb);
+}
+
+/**
+ * Replace file with `src` and reopen it.
+ */
+File.prototype._replace = function(src, cb) {
+	this._close((err) => {
 		if (err) return cb(err);
 
-		this.filepath = dest;
-		this.open(cb);
-	})
+		fs.rename(src, this.filepath, (renameErr) => {
+			if (/^w/.test(this._flags))
+				this._flags = 'r+';
+
+			// reopen also if the rename failed
+			this.open((err) => {
+				if (renameErr || err) return cb(renameErr || err);
+				syncDir(this.filepath, cb);
+			});
+		});
+	});
+};
+
+/**
+ * Run function on a copy of the file and replace the file with the copy.
+ *
+ * `fn` gets the copy as a File and a callback, or returns a promise. On
+ * success the copy is synced and renamed over the file, which is then
+ * reopened. On error the copy is removed and the file is left untouched.
+ *
+ * Other File objects of the same path keep the old contents open.
+ *
+ * @param  {Function} fn Transaction function gets arguments (file, done)
+ * @param  {Function} cb Callback function gets arguments (err)
+ */
+File.prototype.transaction = function(fn, cb) {
+	// fn is a function, so only a second argument is the callback
+	cb = makeCallback(Array.prototype.slice.call(arguments, 1), this);
+
+	var tmp = tempPath(this.filepath);
+	var tx = new File(tmp);
+	tx.allowPartial = this.allowPartial;
+
+	var rollback = (err) => {
+		debug('transaction rollback: %s', err.message);
+		tx.close(() => fs.unlink(tmp, () => cb(err)));
+	};
+
+	debug('transaction: %s', tmp);
+	// cached writes must be in the copy
+	this._flushCache((err) => {
+		if (err) return cb(err);
+
+		fs.copyFile(this.filepath, tmp, (err) => {
+			if (err) return cb(err);
+
+			tx.open({ flags: 'r+' }, (err) => {
+				if (err) return rollback(err);
+
+				callUser(fn, tx, (err) => {
+					if (err) return rollback(err);
+
+					tx.sync((err) => {
+						if (err) return rollback(err);
+
+						tx.close((err) => {
+							if (err) return rollback(err);
+
+							debug('transaction commit: %s', tmp);
+							this._replace(tmp, (err) => {
+								if (err) return rollback(err);
+								cb(null);
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+	return cb.promise;
+};
+
+/**
+ * Run synchronous function on a copy of the file and replace the file with
+ * the copy.
+ * @param  {Function} fn Transaction function gets argument (file)
+ * @return {}            Return value of `fn`
+ */
+File.prototype.transactionSync = function(fn) {
+	var tmp = tempPath(this.filepath);
+	var tx = new File(tmp);
+	tx.allowPartial = this.allowPartial;
+
+	debug('transaction sync: %s', tmp);
+	this._flushCacheSync();
+	fs.copyFileSync(this.filepath, tmp);
+
+	var result;
+	try {
+		tx.openSync({ flags: 'r+' });
+		result = fn(tx);
+		tx.syncSync();
+		tx.closeSync();
+	} catch (err) {
+		tx.closeSync();
+		fs.unlinkSync(tmp);
+		throw err;
+	}
+
+	this._closeSync();
+	try {
+		fs.renameSync(tmp, this.filepath);
+	} finally {
+		if (/^w/.test(this._flags))
+			this._flags = 'r+';
+		this.openSync();
+	}
+	syncDirSync(this.filepath);
+	return result;
+};
+
+/**
+ * Write whole file atomically.
+ *
+ * Contents are written to a temporary file which is synced and renamed over
+ * `filepath`, so readers see either the old or the new file.
+ *
+ * @param  {string}                 filepath File path
+ * @param  {Buffer|Schema|Function} layout   Data, Schema, or function which
+ *                                           gets a Struct.Write to queue to
+ * @param  {object}                 value    Object to encode with a Schema
+ * @param  {Function}               cb       Callback function gets arguments
+ *                                           (err, size)
+ */
+File.writeAtomic = function(filepath, layout, value, cb) {
+	// value is given only with a Schema
+	var schema = layout instanceof Struct.Schema;
+	cb = makeCallback(Array.prototype.slice.call(arguments, schema ? 3 : 2));
+
+	var tmp = tempPath(filepath);
+	var file = new File(tmp);
+
+	var fail = (err) => {
+		file.close(() => fs.unlink(tmp, () => cb(err)));
+	};
+
+	debug('write atomic: %s', filepath);
+	file.open({ flags: 'w+' }, (err) => {
+		if (err) return cb(err);
+
+		writeLayout(file, layout, value, (err, size) => {
+			if (err) return fail(err);
+
+			file.sync((err) => {
+				if (err) return fail(err);
+
+				file.close((err) => {
+					if (err) return fail(err);
+
+					fs.rename(tmp, filepath, (err) => {
+						if (err) return fail(err);
+						syncDir(filepath, () => cb(null, size));
+					});
+				});
+			});
+		});
+	});
+	return cb.promise;
+};
+
+/**
+ * Write whole file atomically and synchronously.
+ * @param  {string}                 filepath File path
+ * @param  {Buffer|Schema|Function} layout   Data, Schema, or function which
+ *                                           gets a Struct.Write to queue to
+ * @param  {object}                 value    Object to encode with a Schema
+ * @return {int}                             File size
+ */
+File.writeAtomicSync = function(filepath, layout, value) {
+	var tmp = tempPath(filepath);
+	var file = File.openSync(tmp, { flags: 'w+' });
+	var error, size;
+
+	debug('write atomic sync: %s', filepath);
+	try {
+		writeLayout(view.syncFile(file), layout, value, (err, written) => {
+			error = err;
+			size = written;
+		});
+		if (error) throw error;
+
+		file.syncSync();
+		file.closeSync();
+		fs.renameSync(tmp, filepath);
+	} catch (err) {
+		file.closeSync();
+		fs.unlinkSync(tmp);
+		throw err;
+	}
+
+	syncDirSync(filepath);
+	return size;
+};
+
+//
+// Locks
+//
+
+function lockArgs(range, options) {
+	// range has at least one of `start` and `end`
+	if (range && range.start === undefined && range.end === undefined) {
+		options = range;
+		range = null;
+	}
+	return { range: range, options: options || {} };
+}
+
+/**
+ * Lock byte range of the file.
+ *
+ * Locks are advisory and only exclude other locks, from this or other
+ * processes. Exclusive locks conflict with all overlapping locks, shared
+ * locks only with exclusive ones. A locked range fails with BinFileError of
+ * code 'ELOCKED' unless `options.wait` is true, or the maximum time to wait
+ * in milliseconds.
+ *
+ * @param  {object}   range   `start` and `end` (exclusive), whole file if
+ *                            omitted
+ * @param  {object}   options `shared` or `exclusive` (default), `wait`
+ * @param  {Function} cb      Callback function gets arguments (err, lock)
+ */
+File.prototype.lock = function(range, options, cb) {
+	cb = makeCallback(arguments, this);
+	if (typeof range === 'function')
+		range = undefined;
+	if (typeof options === 'function')
+		options = undefined;
+
+	var args = lockArgs(range, options);
+	var lock = new locks.Lock(this, args.range, args.options);
+
+	locks.acquire(lock, args.options, (err) => {
+		if (err) return cb(err);
+		this._locks.push(lock);
+		cb(null, lock);
+	});
+	return cb.promise;
+};
+
+/**
+ * Lock byte range of the file synchronously.
+ * @param  {object} range   `start` and `end` (exclusive)
+ * @param  {object} options Lock options
+ * @return {Lock}           Lock
+ */
+File.prototype.lockSync = function(range, options) {
+	var args = lockArgs(range, options);
+	var lock = locks.acquireSync(new locks.Lock(this, args.range, args.options), args.options);
+	this._locks.push(lock);
+	return lock;
+};
+
+/**
+ * Release lock, or all locks held by this File if no lock is given.
+ * @param  {Lock}     lock Lock to release
+ * @param  {Function} cb   Callback function gets arguments (err)
+ */
+File.prototype.unlock = function(lock, cb) {
+	cb = makeCallback(arguments, this);
+	if (typeof lock === 'function')
+		lock = undefined;
+
+	try {
+		this.unlockSync(lock);
+	} catch (err) {
+		process.nextTick(cb, err);
+		return cb.promise;
+	}
+	process.nextTick(cb, null);
+	return cb.promise;
+};
+
+/**
+ * Release lock synchronously.
+ * @param  {Lock} lock Lock to release, all if omitted
+ */
+File.prototype.unlockSync = function(lock) {
+	var released = lock ? [lock] : this._locks.slice();
+
+	released.forEach((lock) => {
+		locks.release(lock);
+		var index = this._locks.indexOf(lock);
+		if (index != -1)
+			this._locks.splice(index, 1);
+	});
+};
+
+/**
+ * Create readable stream of file contents.
+ * @param  {int}    start   Start position
+ * @param  {int}    end     End position (inclusive), defaults to end of file
+ * @param  {object} options Readable stream options
+ * @return {ReadStream}     Readable stream
+ */
+File.prototype.createReadStream = function(start, end, options) {
+	var stream = require('./stream');
+	return new stream.ReadStream(this, start, end, options);
+};
+
+/**
+ * Create writable stream to file.
+ * @param  {int}    pos     Start position
+ * @param  {object} options Writable stream options
+ * @return {WriteStream}    Writable stream
+ */
+File.prototype.createWriteStream = function(pos, options) {
+	var stream = require('./stream');
+	return new stream.WriteStream(this, pos, options);
+};
+
+/**
+ * Create cursor reading and writing at an implicit position.
+ * @param  {int} pos Start position
+ * @return {Cursor}  Cursor object
+ */
+File.prototype.cursor = function(pos) {
+	return new Cursor(this, pos || 0);
+};
+
+/**
+ * Create table of fixed size records.
+ * @param  {Schema} record  Record layout
+ * @param  {object} options RecordFile options
+ * @return {RecordFile}     RecordFile object
+ */
+File.prototype.records = function(record, options) {
+	return new RecordFile(this, record, options);
 };
 
 //
@@ -157,34 +857,162 @@ File.prototype.rename = function(dest, cb) {
 
 /**
  * Read buffer from file.
+ *
+ * Reads past the end of file fail with EOFError unless partial reads are
+ * allowed with `options.allowPartial` or the `allowPartial` open option. The
+ * data of a partial read is shortened to the bytes read.
+ *
  * @param  {int}   pos Position in file
  * @param  {int}   len Bytes to read
+ * @param  {object} options Optional read options
  * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
  */
-File.prototype.read = function(pos, len, cb) {
+File.prototype.read = function(pos, len, options, cb) {
 	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+
+	if (this._cache) {
+		this._cache.read(pos, len, options, cb);
+		return cb.promise;
+	}
 
 	debug('read: %d bytes at %d', len, pos);
+	try {
+		fs.read(this.fd, new Buffer(len), 0, len, pos, (err, bytesRead, data) => {
+			if (err) return cb(err);
+
+			err = errors.checkRead(this, pos, len, bytesRead, options);
+			if (err) return cb(err);
+			cb(null, bytesRead < len ? data.slice(0, bytesRead) : data, bytesRead);
+		});
+	} catch (err) {
+		// invalid length or position
+		process.nextTick(cb, err);
+	}
+	return cb.promise;
+};
+
+/**
+ * Read buffer from file synchronously.
+ * @param  {int}    pos     Position in file
+ * @param  {int}    len     Bytes to read
+ * @param  {object} options Optional read options
+ * @return {Buffer}  Data
+ */
+File.prototype.readSync = function(pos, len, options) {
+	if (this._cache)
+		return this._cache.readSync(pos, len, options);
+
+	debug('read sync: %d bytes at %d', len, pos);
 	var buffer = new Buffer(len);
-	fs.read(this.fd, buffer, 0, len, pos, (err, bytesRead, data) => {
-		cb(err, data, bytesRead);
-	});
+	var bytesRead = fs.readSync(this.fd, buffer, 0, len, pos);
+
+	var err = errors.checkRead(this, pos, len, bytesRead, options);
+	if (err) throw err;
+	return bytesRead < len ? buffer.slice(0, bytesRead) : buffer;
 };
 
 /**
  * Read string from file.
  * @param  {int}   pos Position in file
  * @param  {int}   len Bytes to read
+ * @param  {string|object} options Encoding or string options, `padding` is trimmed
  * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
  */
-File.prototype.readString = function(pos, len, cb) {
+File.prototype.readString = function(pos, len, options, cb) {
 	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+	options = strings.options(options);
 
 	debug('read string: %d bytes at %d', len, pos);
 	this.read(pos, len, (err, data, bytesRead) => {
 		if (err) return cb(err);
-		cb(null, data.toString(), bytesRead);
+
+		var str;
+		try {
+			str = strings.decode(data, options);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, str, bytesRead);
 	});
+	return cb.promise;
+};
+
+/**
+ * Read string from file synchronously.
+ * @param  {int} pos Position in file
+ * @param  {int} len Bytes to read
+ * @param  {string|object} options Encoding or string options
+ * @return {string}  String
+ */
+File.prototype.readStringSync = function(pos, len, options) {
+	return strings.decode(this.readSync(pos, len), strings.options(options));
+};
+
+/**
+ * Read NUL terminated string from file.
+ *
+ * Read length includes the terminator. Strings longer than
+ * `options.maxLength` bytes (64 KiB by default) are errors.
+ *
+ * @param  {int}   pos Position in file
+ * @param  {string|object} options Encoding or string options
+ * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
+ */
+File.prototype.readCString = function(pos, options, cb) {
+	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+	options = strings.options(options);
+
+	var size = strings.terminatorSize(options.encoding);
+	var maxLength = options.maxLength || 65536;
+	var data = new Buffer(0);
+
+	debug('read cstring at %d', pos);
+	var next = () => {
+		var len = Math.min(256, maxLength + size - data.length);
+		this.read(pos + data.length, len, { allowPartial: true }, (err, chunk, bytesRead) => {
+			if (err) return cb(err);
+			data = Buffer.concat([data, chunk]);
+
+			var end = strings.findTerminator(data, size);
+			if (end != -1) {
+				var str;
+				try {
+					str = strings.decode(data.slice(0, end), options);
+				} catch (err) {
+					return cb(err);
+				}
+				return cb(null, str, end + size);
+			}
+
+			if (bytesRead < len)
+				return cb(errors.checkRead(this, pos, data.length + size, data.length, exact));
+			if (data.length >= maxLength + size) {
+				return cb(new errors.BinFileError('String is not terminated within ' + maxLength + ' bytes', {
+					path: this.filepath,
+					offset: pos
+				}));
+			}
+			next();
+		});
+	};
+	next();
+	return cb.promise;
+};
+
+/**
+ * Read NUL terminated string from file synchronously.
+ * @param  {int} pos Position in file
+ * @param  {string|object} options Encoding or string options
+ * @return {string}  String
+ */
+File.prototype.readCStringSync = function(pos, options) {
+	return view.callSync(this, 'readCString', [pos, options])[0];
 };
 
 /**
@@ -197,11 +1025,18 @@ File.prototype.readUIntBE = function(pos, len, cb) {
 	cb = makeCallback(arguments, this);
 
 	debug('read uintBE: %d bytes at %d', len, pos);
-	this.read(pos, len, (err, data, bytesRead) => {
-		if (err) return cb(err);
-		var value = data.readUIntBE(0, len);
-		cb(null, value, bytesRead);
-	});
+	readDecoded(this, pos, len, (data) => data.readUIntBE(0, len), cb);
+	return cb.promise;
+};
+
+/**
+ * Read big-endian uint from file synchronously.
+ * @param  {int} pos Position in file
+ * @param  {int} len Bytes to read
+ * @return {int}     Value
+ */
+File.prototype.readUIntBESync = function(pos, len) {
+	return this.readSync(pos, len, exact).readUIntBE(0, len);
 };
 
 /**
@@ -214,11 +1049,18 @@ File.prototype.readUIntLE = function(pos, len, cb) {
 	cb = makeCallback(arguments, this);
 
 	debug('read uintLE: %d bytes at %d', len, pos);
-	this.read(pos, len, (err, data, bytesRead) => {
-		if (err) return cb(err);
-		var value = data.readUIntLE(0, len);
-		cb(null, value, bytesRead);
-	});
+	readDecoded(this, pos, len, (data) => data.readUIntLE(0, len), cb);
+	return cb.promise;
+};
+
+/**
+ * Read little-endian uint from file synchronously.
+ * @param  {int} pos Position in file
+ * @param  {int} len Bytes to read
+ * @return {int}     Value
+ */
+File.prototype.readUIntLESync = function(pos, len) {
+	return this.readSync(pos, len, exact).readUIntLE(0, len);
 };
 
 /**
@@ -231,11 +1073,18 @@ File.prototype.readIntBE = function(pos, len, cb) {
 	cb = makeCallback(arguments, this);
 
 	debug('read intBE: %d bytes at %d', len, pos);
-	this.read(pos, len, (err, data, bytesRead) => {
-		if (err) return cb(err);
-		var value = data.readIntBE(0, len);
-		cb(null, value, bytesRead);
-	});
+	readDecoded(this, pos, len, (data) => data.readIntBE(0, len), cb);
+	return cb.promise;
+};
+
+/**
+ * Read big-endian int from file synchronously.
+ * @param  {int} pos Position in file
+ * @param  {int} len Bytes to read
+ * @return {int}     Value
+ */
+File.prototype.readIntBESync = function(pos, len) {
+	return this.readSync(pos, len, exact).readIntBE(0, len);
 };
 
 /**
@@ -248,47 +1097,125 @@ File.prototype.readIntLE = function(pos, len, cb) {
 	cb = makeCallback(arguments, this);
 
 	debug('read intLE: %d bytes at %d', len, pos);
-	this.read(pos, len, (err, data, bytesRead) => {
-		if (err) return cb(err);
-		var value = data.readIntLE(0, len);
-		cb(null, value, bytesRead);
-	});
+	readDecoded(this, pos, len, (data) => data.readIntLE(0, len), cb);
+	return cb.promise;
+};
+
+/**
+ * Read little-endian int from file synchronously.
+ * @param  {int} pos Position in file
+ * @param  {int} len Bytes to read
+ * @return {int}     Value
+ */
+File.prototype.readIntLESync = function(pos, len) {
+	return this.readSync(pos, len, exact).readIntLE(0, len);
 };
 
 /**
  * Read big-endian length prefixed string from file.
  * @param  {int}   pos Position in file
- * @param  {int}   len Size of the length field
+ * @param  {int|string} len Size of the length field or 'varint'
+ * @param  {string|object} options Encoding or string options, `unit: 'chars'`
+ *                                 for prefixes counting characters
  * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
  */
-File.prototype.readStringLenBE = function(pos, len_size, cb) {
+File.prototype.readStringLenBE = function(pos, len_size, options, cb) {
 	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
 
-	debug('read string with len prefix %d bytes at %d', len_size, pos);
-	this.readUIntBE(pos, len_size, (err, len, lenBytesRead) => {
-		if (err) return cb(err);
+	this._readStringLen('BE', pos, len_size, options, cb);
+	return cb.promise;
+};
 
-		this.readString(pos + lenBytesRead, len, (err, str, strBytesRead) => {
-			cb(err, str, lenBytesRead + strBytesRead);
-		});
-	});
+/**
+ * Read big-endian length prefixed string from file synchronously.
+ * @param  {int} pos      Position in file
+ * @param  {int|string} len_size Size of the length field or 'varint'
+ * @param  {string|object} options Encoding or string options
+ * @return {string}       String
+ */
+File.prototype.readStringLenBESync = function(pos, len_size, options) {
+	return view.callSync(this, 'readStringLenBE', [pos, len_size, options])[0];
 };
 
 /**
  * Read little-endian length prefixed string from file.
  * @param  {int}   pos Position in file
- * @param  {int}   len Size of the length field
+ * @param  {int|string} len Size of the length field or 'varint'
+ * @param  {string|object} options Encoding or string options, `unit: 'chars'`
+ *                                 for prefixes counting characters
  * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
  */
-File.prototype.readStringLenLE = function(pos, len_size, cb) {
+File.prototype.readStringLenLE = function(pos, len_size, options, cb) {
 	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+
+	this._readStringLen('LE', pos, len_size, options, cb);
+	return cb.promise;
+};
+
+/**
+ * Read little-endian length prefixed string from file synchronously.
+ * @param  {int} pos      Position in file
+ * @param  {int|string} len_size Size of the length field or 'varint'
+ * @param  {string|object} options Encoding or string options
+ * @return {string}       String
+ */
+File.prototype.readStringLenLESync = function(pos, len_size, options) {
+	return view.callSync(this, 'readStringLenLE', [pos, len_size, options])[0];
+};
+
+/**
+ * Read length prefix of `len_size` bytes, or a varint if `len_size` is
+ * 'varint'.
+ */
+File.prototype._readLen = function(endian, pos, len_size, cb) {
+	if (len_size == 'varint')
+		return this.readVarUInt(pos, cb);
+	this['readUInt' + endian](pos, len_size, cb);
+};
+
+/**
+ * Read length prefixed string with prefix of the given endianness.
+ */
+File.prototype._readStringLen = function(endian, pos, len_size, options, cb) {
+	options = strings.options(options);
 
-	debug('read string with len prefix %d bytes at %d', len_size, pos);
-	this.readUIntLE(pos, len_size, (err, len, lenBytesRead) => {
+	debug('read string with len prefix %s at %d', len_size, pos);
+	this._readLen(endian, pos, len_size, (err, len, lenBytesRead) => {
 		if (err) return cb(err);
 
-		this.readString(pos + lenBytesRead, len, (err, str, strBytesRead) => {
-			cb(err, str, lenBytesRead + strBytesRead);
+		var start = pos + lenBytesRead;
+		if (options.unit != 'chars') {
+			return this.readString(start, len, options, (err, str, strBytesRead) => {
+				cb(err, str, lenBytesRead + strBytesRead);
+			});
+		}
+
+		// byte size of variable width characters is known only after reading
+		var limit;
+		try {
+			limit = strings.maxBytes(len, options.encoding);
+		} catch (err) {
+			return cb(err);
+		}
+
+		this.read(start, limit, { allowPartial: true }, (err, data, bytesRead) => {
+			if (err) return cb(err);
+
+			var size = strings.charBytes(data, len, options.encoding);
+			if (size == -1)
+				return cb(errors.checkRead(this, start, limit, bytesRead, exact));
+
+			var str;
+			try {
+				str = strings.decode(data.slice(0, size), options);
+			} catch (err) {
+				return cb(err);
+			}
+			cb(null, str, lenBytesRead + size);
 		});
 	});
 };
@@ -296,48 +1223,218 @@ File.prototype.readStringLenLE = function(pos, len_size, cb) {
 /**
  * Read big-endian length prefixed buffer from file.
  * @param  {int}   pos Position in file
- * @param  {int}   len Size of the length field
+ * @param  {int|string} len Size of the length field or 'varint'
  * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
  */
 File.prototype.readBufferLenBE = function(pos, len_size, cb) {
 	cb = makeCallback(arguments, this);
 
-	debug('read buffer with len prefix %d bytes at %d', len_size, pos);
-	this.readUIntBE(pos, len_size, (err, len, lenBytesRead) => {
+	debug('read buffer with len prefix %s at %d', len_size, pos);
+	this._readLen('BE', pos, len_size, (err, len, lenBytesRead) => {
 		if (err) return cb(err);
 
 		this.read(pos + lenBytesRead, len, (err, data, dataBytesRead) => {
-			cb(err, str, lenBytesRead + dataBytesRead);
+			cb(err, data, lenBytesRead + dataBytesRead);
 		});
 	});
+	return cb.promise;
+};
+
+/**
+ * Read big-endian length prefixed buffer from file synchronously.
+ * @param  {int} pos      Position in file
+ * @param  {int|string} len_size Size of the length field or 'varint'
+ * @return {Buffer}       Data
+ */
+File.prototype.readBufferLenBESync = function(pos, len_size) {
+	return view.callSync(this, 'readBufferLenBE', [pos, len_size])[0];
 };
 
 /**
  * Read little-endian length prefixed buffer from file.
  * @param  {int}   pos Position in file
- * @param  {int}   len Size of the length field
+ * @param  {int|string} len Size of the length field or 'varint'
  * @param  {function} cb  Callback function gets arguments (err, data, bytesRead)
  */
 File.prototype.readBufferLenLE = function(pos, len_size, cb) {
 	cb = makeCallback(arguments, this);
 
-	debug('read buffer with len prefix %d bytes at %d', len_size, pos);
-	this.readUIntLE(pos, len_size, (err, len, lenBytesRead) => {
+	debug('read buffer with len prefix %s at %d', len_size, pos);
+	this._readLen('LE', pos, len_size, (err, len, lenBytesRead) => {
 		if (err) return cb(err);
 
 		this.read(pos + lenBytesRead, len, (err, data, dataBytesRead) => {
-			cb(err, str, lenBytesRead + dataBytesRead);
+			cb(err, data, lenBytesRead + dataBytesRead);
 		});
 	});
+	return cb.promise;
 };
 
+/**
+ * Read little-endian length prefixed buffer from file synchronously.
+ * @param  {int} pos      Position in file
+ * @param  {int|string} len_size Size of the length field or 'varint'
+ * @return {Buffer}       Data
+ */
+File.prototype.readBufferLenLESync = function(pos, len_size) {
+	return view.callSync(this, 'readBufferLenLE', [pos, len_size])[0];
+};
+
+//
+// Number methods
+//
+// Each fixed size number type gets read and write methods with and without
+// `Sync` suffix, e.g. `readFloatBE(pos, cb)`, `readDoubleLESync(pos)` and
+// `writeBigInt64BE(value, pos, cb)`.
+//
+
+Object.keys(numberTypes).forEach((type) => {
+	var size = numberTypes[type];
+
+	/**
+	 * Read number from file.
+	 * @param  {int}   pos Position in file
+	 * @param  {function} cb  Callback function gets arguments (err, value, bytesRead)
+	 */
+	File.prototype['read' + type] = function(pos, cb) {
+		cb = makeCallback(arguments, this);
+
+		debug('read %s: %d bytes at %d', type, size, pos);
+		readDecoded(this, pos, size, (data) => data['read' + type](0), cb);
+		return cb.promise;
+	};
+
+	/**
+	 * Read number from file synchronously.
+	 * @param  {int} pos Position in file
+	 * @return {number|bigint} Value
+	 */
+	File.prototype['read' + type + 'Sync'] = function(pos) {
+		return this.readSync(pos, size, exact)['read' + type](0);
+	};
+});
+
+//
+// Varint methods
+//
+// Varint types get read and write methods with and without `Sync` suffix,
+// `readVarUInt(pos, cb)`, `readVarInt(pos, cb)` and `readZigZag(pos, cb)`
+// for unsigned LEB128, signed LEB128 and zigzag encoded values.
+//
+
+Object.keys(varintTypes).forEach((name) => {
+	var type = varintTypes[name];
+
+	/**
+	 * Read varint from file.
+	 * @param  {int}   pos Position in file
+	 * @param  {function} cb  Callback function gets arguments (err, value, bytesRead)
+	 */
+	File.prototype['read' + name] = function(pos, cb) {
+		cb = makeCallback(arguments, this);
+
+		debug('read %s at %d', name, pos);
+		this.read(pos, varint.maxSize, { allowPartial: true }, (err, data) => {
+			if (err) return cb(err);
+
+			var result;
+			try {
+				result = decodeVarint(this, pos, data, type);
+			} catch (err) {
+				return cb(err);
+			}
+			cb(null, result.value, result.size);
+		});
+		return cb.promise;
+	};
+
+	/**
+	 * Read varint from file synchronously.
+	 * @param  {int} pos Position in file
+	 * @return {int}     Value
+	 */
+	File.prototype['read' + name + 'Sync'] = function(pos) {
+		var data = this.readSync(pos, varint.maxSize, { allowPartial: true });
+		return decodeVarint(this, pos, data, type).value;
+	};
+});
+
+function decodeVarint(file, pos, data, type) {
+	var result;
+	try {
+		result = varint.decode(data, type);
+	} catch (err) {
+		throw new errors.BinFileError(err.message, {
+			path: file.filepath,
+			offset: pos
+		});
+	}
+
+	// data ended before the last byte
+	if (!result)
+		throw errors.checkRead(file, pos, data.length + 1, data.length, exact);
+	return result;
+}
+
 /**
  * Create structure reader
- * @param  {int} pos Start position
+ * @param  {int}    pos     Start position
+ * @param  {Schema} schema  Optional schema to queue reads from
+ * @param  {object} options Optional Struct.Read options
  * @return {ReadStruct} ReadStruct object
  */
-File.prototype.createReadStruct = function(pos) {
-	return new Struct.Read(this, pos || 0);
+File.prototype.createReadStruct = function(pos, schema, options) {
+	if (schema && !(schema instanceof Struct.Schema)) {
+		options = schema;
+		schema = null;
+	}
+
+	options = Object.assign({}, options);
+	// fixed size layouts are read with a single read of the exact size
+	if (schema && !options.readAhead)
+		options.readAhead = schema.size() || undefined;
+
+	var struct = new Struct.Read(this, pos || 0, options);
+	if (schema) schema.queueRead(struct);
+	return struct;
+};
+
+/**
+ * Format range of file as hexdump text.
+ *
+ * Lines have the offset, 16 bytes in hex and the printable characters.
+ *
+ * @param  {int}      pos Position in file
+ * @param  {int}      len Bytes to dump, to end of file if not given
+ * @param  {Function} cb  Callback function gets arguments (err, text)
+ */
+File.prototype.hexdump = function(pos, len, cb) {
+	cb = makeCallback(arguments, this);
+
+	var dump = (len) => {
+		this.read(pos, len, { allowPartial: true }, (err, data) => {
+			if (err) return cb(err);
+			cb(null, hexdump(data, pos));
+		});
+	};
+
+	if (typeof len == 'number')
+		dump(len);
+	else
+		this.stat((err, stats) => err ? cb(err) : dump(Math.max(0, stats.size - pos)));
+	return cb.promise;
+};
+
+/**
+ * Format range of file as hexdump text synchronously.
+ * @param  {int} pos Position in file
+ * @param  {int} len Bytes to dump, to end of file if not given
+ * @return {string}  Hexdump text
+ */
+File.prototype.hexdumpSync = function(pos, len) {
+	if (typeof len != 'number')
+		len = Math.max(0, this.statSync().size - pos);
+	return hexdump(this.readSync(pos, len, { allowPartial: true }), pos);
 };
 
 // Read aliases
@@ -345,6 +1442,18 @@ File.prototype.readUInt = File.prototype.readUIntBE;
 File.prototype.readInt = File.prototype.readIntBE;
 File.prototype.readStringLen = File.prototype.readStringLenBE;
 File.prototype.readBufferLen = File.prototype.readBufferLenBE;
+File.prototype.readFloat = File.prototype.readFloatBE;
+File.prototype.readDouble = File.prototype.readDoubleBE;
+File.prototype.readBigInt64 = File.prototype.readBigInt64BE;
+File.prototype.readBigUInt64 = File.prototype.readBigUInt64BE;
+File.prototype.readUIntSync = File.prototype.readUIntBESync;
+File.prototype.readIntSync = File.prototype.readIntBESync;
+File.prototype.readStringLenSync = File.prototype.readStringLenBESync;
+File.prototype.readBufferLenSync = File.prototype.readBufferLenBESync;
+File.prototype.readFloatSync = File.prototype.readFloatBESync;
+File.prototype.readDoubleSync = File.prototype.readDoubleBESync;
+File.prototype.readBigInt64Sync = File.prototype.readBigInt64BESync;
+File.prototype.readBigUInt64Sync = File.prototype.readBigUInt64BESync;
 
 //
 // Write methods
@@ -358,21 +1467,93 @@ File.prototype.readBufferLen = File.prototype.readBufferLenBE;
  */
 File.prototype.write = function(data, pos, cb) {
 	cb = makeCallback(arguments, this);
-	fs.write(this.fd, data, 0, data.length, pos, cb);
+	if (this._cache) {
+		this._cache.write(data, pos, cb);
+		return cb.promise;
+	}
+	try {
+		fs.write(this.fd, data, 0, data.length, pos, cb);
+	} catch (err) {
+		// invalid data or position
+		process.nextTick(cb, err);
+	}
+	return cb.promise;
+};
+
+/**
+ * Write buffer to file synchronously.
+ * @param  {Buffer} data Data to write
+ * @param  {int}    pos  Position to write to
+ * @return {int}         Bytes written
+ */
+File.prototype.writeSync = function(data, pos) {
+	if (this._cache)
+		return this._cache.writeSync(data, pos);
+	return fs.writeSync(this.fd, data, 0, data.length, pos);
 };
 
 /**
  * Write string to file.
  * @param  {} data Data to write
  * @param  {int}   pos  Position to write to
+ * @param  {string|object} options Encoding or string options, `length` pads
+ *                                 or truncates to a fixed size
+ * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
+ */
+File.prototype.writeString = function(str, pos, options, cb) {
+	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+
+	writeEncoded(this, () => strings.encode(str, strings.options(options)), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write string to file synchronously.
+ * @param  {string} str String to write
+ * @param  {int}    pos Position to write to
+ * @param  {string|object} options Encoding or string options
+ * @return {int}        Bytes written
+ */
+File.prototype.writeStringSync = function(str, pos, options) {
+	return this.writeSync(strings.encode(str, strings.options(options)), pos);
+};
+
+/**
+ * Write NUL terminated string to file.
+ * @param  {string} str String to write
+ * @param  {int}   pos  Position to write to
+ * @param  {string|object} options Encoding or string options
  * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
  */
-File.prototype.writeString = function(str, pos, cb) {
+File.prototype.writeCString = function(str, pos, options, cb) {
 	cb = makeCallback(arguments, this);
-	var buffer = new Buffer(str);
-	this.write(buffer, pos, cb);
+	if (typeof options === 'function')
+		options = undefined;
+
+	writeEncoded(this, () => encodeCString(str, options), pos, cb);
+	return cb.promise;
 };
 
+/**
+ * Write NUL terminated string to file synchronously.
+ * @param  {string} str String to write
+ * @param  {int}    pos Position to write to
+ * @param  {string|object} options Encoding or string options
+ * @return {int}        Bytes written
+ */
+File.prototype.writeCStringSync = function(str, pos, options) {
+	return this.writeSync(encodeCString(str, options), pos);
+};
+
+function encodeCString(str, options) {
+	options = strings.options(options);
+	var terminator = new Buffer(strings.terminatorSize(options.encoding));
+	terminator.fill(0);
+	return Buffer.concat([new Buffer(str, options.encoding), terminator]);
+}
+
 /**
  * Write big-endian uint to file.
  * @param  {} data Data to write
@@ -382,9 +1563,19 @@ File.prototype.writeString = function(str, pos, cb) {
  */
 File.prototype.writeUIntBE = function(value, pos, len, cb) {
 	cb = makeCallback(arguments, this);
-	var buffer = new Buffer(len);
-	buffer.writeUIntBE(value, 0, len);
-	this.write(buffer, pos, cb);
+	writeEncoded(this, () => encodeInt('UIntBE', value, len), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write big-endian uint to file synchronously.
+ * @param  {int} value Value to write
+ * @param  {int} pos   Position to write to
+ * @param  {int} len   Size in bytes
+ * @return {int}       Bytes written
+ */
+File.prototype.writeUIntBESync = function(value, pos, len) {
+	return this.writeSync(encodeInt('UIntBE', value, len), pos);
 };
 
 /**
@@ -396,9 +1587,19 @@ File.prototype.writeUIntBE = function(value, pos, len, cb) {
  */
 File.prototype.writeUIntLE = function(value, pos, len, cb) {
 	cb = makeCallback(arguments, this);
-	var buffer = new Buffer(len);
-	buffer.writeUIntLE(value, 0, len);
-	this.write(buffer, pos, cb);
+	writeEncoded(this, () => encodeInt('UIntLE', value, len), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write little-endian uint to file synchronously.
+ * @param  {int} value Value to write
+ * @param  {int} pos   Position to write to
+ * @param  {int} len   Size in bytes
+ * @return {int}       Bytes written
+ */
+File.prototype.writeUIntLESync = function(value, pos, len) {
+	return this.writeSync(encodeInt('UIntLE', value, len), pos);
 };
 
 /**
@@ -410,9 +1611,19 @@ File.prototype.writeUIntLE = function(value, pos, len, cb) {
  */
 File.prototype.writeIntBE = function(value, pos, len, cb) {
 	cb = makeCallback(arguments, this);
-	var buffer = new Buffer(len);
-	buffer.writeIntBE(value, 0, len);
-	this.write(buffer, pos, cb);
+	writeEncoded(this, () => encodeInt('IntBE', value, len), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write big-endian int to file synchronously.
+ * @param  {int} value Value to write
+ * @param  {int} pos   Position to write to
+ * @param  {int} len   Size in bytes
+ * @return {int}       Bytes written
+ */
+File.prototype.writeIntBESync = function(value, pos, len) {
+	return this.writeSync(encodeInt('IntBE', value, len), pos);
 };
 
 /**
@@ -424,80 +1635,225 @@ File.prototype.writeIntBE = function(value, pos, len, cb) {
  */
 File.prototype.writeIntLE = function(value, pos, len, cb) {
 	cb = makeCallback(arguments, this);
-	var buffer = new Buffer(len);
-	buffer.writeIntLE(value, 0, len);
-	this.write(buffer, pos, cb);
+	writeEncoded(this, () => encodeInt('IntLE', value, len), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write little-endian int to file synchronously.
+ * @param  {int} value Value to write
+ * @param  {int} pos   Position to write to
+ * @param  {int} len   Size in bytes
+ * @return {int}       Bytes written
+ */
+File.prototype.writeIntLESync = function(value, pos, len) {
+	return this.writeSync(encodeInt('IntLE', value, len), pos);
 };
 
 /**
  * Write big-endian length prefixed string to file.
  * @param  {} data Data to write
  * @param  {int}   pos  Position to write to
- * @param  {int} len Length prefix size in bytes
+ * @param  {int|string} len Length prefix size in bytes or 'varint'
+ * @param  {string|object} options Encoding or string options, `unit: 'chars'`
+ *                                 for prefixes counting characters
  * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
  */
-File.prototype.writeStringLenBE = function(str, pos, len_size, cb) {
+File.prototype.writeStringLenBE = function(str, pos, len_size, options, cb) {
 	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
 
-	var str_len = Buffer.byteLength(str);
-	var buffer = new Buffer(len_size + str_len);
-	buffer.writeUIntBE(str_len, 0, len_size);
-	buffer.write(str, len_size);
-	this.write(buffer, pos, cb);
+	writeEncoded(this, () => encodeStringLen(str, len_size, 'BE', options), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write big-endian length prefixed string to file synchronously.
+ * @param  {string} str      String to write
+ * @param  {int}    pos      Position to write to
+ * @param  {int|string} len_size Length prefix size in bytes or 'varint'
+ * @param  {string|object} options Encoding or string options
+ * @return {int}             Bytes written
+ */
+File.prototype.writeStringLenBESync = function(str, pos, len_size, options) {
+	return this.writeSync(encodeStringLen(str, len_size, 'BE', options), pos);
 };
 
 /**
  * Write little-endian length prefixed string to file.
  * @param  {} data Data to write
  * @param  {int}   pos  Position to write to
- * @param  {int} len Length prefix size in bytes
+ * @param  {int|string} len Length prefix size in bytes or 'varint'
+ * @param  {string|object} options Encoding or string options, `unit: 'chars'`
+ *                                 for prefixes counting characters
  * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
  */
-File.prototype.writeStringLenLE = function(str, pos, len_size, cb) {
+File.prototype.writeStringLenLE = function(str, pos, len_size, options, cb) {
 	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+
+	writeEncoded(this, () => encodeStringLen(str, len_size, 'LE', options), pos, cb);
+	return cb.promise;
+};
 
-	var str_len = Buffer.byteLength(str);
-	var buffer = new Buffer(len_size + str_len);
-	buffer.writeUIntLE(str_len, 0, len_size);
-	buffer.write(str, len_size);
-	this.write(buffer, pos, cb);
+/**
+ * Write little-endian length prefixed string to file synchronously.
+ * @param  {string} str      String to write
+ * @param  {int}    pos      Position to write to
+ * @param  {int|string} len_size Length prefix size in bytes or 'varint'
+ * @param  {string|object} options Encoding or string options
+ * @return {int}             Bytes written
+ */
+File.prototype.writeStringLenLESync = function(str, pos, len_size, options) {
+	return this.writeSync(encodeStringLen(str, len_size, 'LE', options), pos);
 };
 
+function encodeStringLen(str, len_size, endian, options) {
+	options = strings.options(options);
+
+	var data = new Buffer(str, options.encoding);
+	return Buffer.concat([encodeLen(strings.length(str, options), len_size, endian), data]);
+}
+
+/**
+ * Encode length prefix of `len_size` bytes, or a varint if `len_size` is
+ * 'varint'.
+ */
+function encodeLen(len, len_size, endian) {
+	if (len_size == 'varint')
+		return varint.encode(len, 'uint');
+
+	var buffer = new Buffer(len_size);
+	buffer['writeUInt' + endian](len, 0, len_size);
+	return buffer;
+}
+
 /**
  * Write big-endian length prefixed buffer to file.
  * @param  {} data Data to write
  * @param  {int}   pos  Position to write to
- * @param  {int} len Length prefix size in bytes
+ * @param  {int|string} len Length prefix size in bytes or 'varint'
  * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
  */
 File.prototype.writeBufferLenBE = function(data, pos, len_size, cb) {
 	cb = makeCallback(arguments, this);
-	var len_buffer = new Buffer(len_size);
-	len_buffer.writeUIntBE(data.length, 0, len_size);
-	this.write(Buffer.concat([len_buffer, data]), pos, cb);
+	writeEncoded(this, () => Buffer.concat([encodeLen(data.length, len_size, 'BE'), data]), pos, cb);
+	return cb.promise;
+};
+
+/**
+ * Write big-endian length prefixed buffer to file synchronously.
+ * @param  {Buffer} data     Data to write
+ * @param  {int}    pos      Position to write to
+ * @param  {int|string} len_size Length prefix size in bytes or 'varint'
+ * @return {int}             Bytes written
+ */
+File.prototype.writeBufferLenBESync = function(data, pos, len_size) {
+	return this.writeSync(Buffer.concat([encodeLen(data.length, len_size, 'BE'), data]), pos);
 };
 
 /**
  * Write little-endian length prefixed buffer to file.
  * @param  {} data Data to write
  * @param  {int}   pos  Position to write to
- * @param  {int} len Length prefix size in bytes
+ * @param  {int|string} len Length prefix size in bytes or 'varint'
  * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
  */
 File.prototype.writeBufferLenLE = function(data, pos, len_size, cb) {
 	cb = makeCallback(arguments, this);
-	var len_buffer = new Buffer(len_size);
-	len_buffer.writeUIntLE(data.length, 0, len_size);
-	this.write(Buffer.concat([len_buffer, data]), pos, cb);
+	writeEncoded(this, () => Buffer.concat([encodeLen(data.length, len_size, 'LE'), data]), pos, cb);
+	return cb.promise;
 };
 
+/**
+ * Write little-endian length prefixed buffer to file synchronously.
+ * @param  {Buffer} data     Data to write
+ * @param  {int}    pos      Position to write to
+ * @param  {int|string} len_size Length prefix size in bytes or 'varint'
+ * @return {int}             Bytes written
+ */
+File.prototype.writeBufferLenLESync = function(data, pos, len_size) {
+	return this.writeSync(Buffer.concat([encodeLen(data.length, len_size, 'LE'), data]), pos);
+};
+
+Object.keys(numberTypes).forEach((type) => {
+	var size = numberTypes[type];
+	var bigint = /^Big/.test(type);
+
+	function toBuffer(value) {
+		var buffer = new Buffer(size);
+		buffer['write' + type](bigint ? BigInt(value) : value, 0);
+		return buffer;
+	}
+
+	/**
+	 * Write number to file.
+	 * @param  {number|bigint} value Value to write
+	 * @param  {int}   pos  Position to write to
+	 * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
+	 */
+	File.prototype['write' + type] = function(value, pos, cb) {
+		cb = makeCallback(arguments, this);
+		writeEncoded(this, () => toBuffer(value), pos, cb);
+		return cb.promise;
+	};
+
+	/**
+	 * Write number to file synchronously.
+	 * @param  {number|bigint} value Value to write
+	 * @param  {int} pos Position to write to
+	 * @return {int}     Bytes written
+	 */
+	File.prototype['write' + type + 'Sync'] = function(value, pos) {
+		return this.writeSync(toBuffer(value), pos);
+	};
+});
+
+Object.keys(varintTypes).forEach((name) => {
+	var type = varintTypes[name];
+
+	/**
+	 * Write varint to file.
+	 * @param  {int}   value Value to write
+	 * @param  {int}   pos   Position to write to
+	 * @param  {Function} cb   Callback function get arguments (err, bytesWritten, data)
+	 */
+	File.prototype['write' + name] = function(value, pos, cb) {
+		cb = makeCallback(arguments, this);
+		writeEncoded(this, () => varint.encode(value, type), pos, cb);
+		return cb.promise;
+	};
+
+	/**
+	 * Write varint to file synchronously.
+	 * @param  {int} value Value to write
+	 * @param  {int} pos   Position to write to
+	 * @return {int}       Bytes written
+	 */
+	File.prototype['write' + name + 'Sync'] = function(value, pos) {
+		return this.writeSync(varint.encode(value, type), pos);
+	};
+});
+
 /**
  * Create struct writer.
- * @param  {int} pos Start position
+ * @param  {int}    pos     Start position
+ * @param  {Schema} schema  Optional schema to queue writes from
+ * @param  {object} value   Object encoded with the schema
+ * @param  {object} options Optional Struct.Write options
  * @return {WriteStruct}     WriteStruct object
  */
-File.prototype.createWriteStruct = function(pos) {
-	return new Struct.Write(this, pos || 0);
+File.prototype.createWriteStruct = function(pos, schema, value, options) {
+	if (schema && !(schema instanceof Struct.Schema)) {
+		options = schema;
+		schema = null;
+	}
+
+	var struct = new Struct.Write(this, pos || 0, options);
+	if (schema) schema.queueWrite(struct, value);
+	return struct;
 };
 
 // Write aliases
@@ -505,3 +1861,15 @@ File.prototype.writeUInt = File.prototype.writeUIntBE;
 File.prototype.writeInt = File.prototype.writeIntBE;
 File.prototype.writeStringLen = File.prototype.writeStringLenBE;
 File.prototype.writeBufferLen = File.prototype.writeBufferLenBE;
+File.prototype.writeFloat = File.prototype.writeFloatBE;
+File.prototype.writeDouble = File.prototype.writeDoubleBE;
+File.prototype.writeBigInt64 = File.prototype.writeBigInt64BE;
+File.prototype.writeBigUInt64 = File.prototype.writeBigUInt64BE;
+File.prototype.writeUIntSync = File.prototype.writeUIntBESync;
+File.prototype.writeIntSync = File.prototype.writeIntBESync;
+File.prototype.writeStringLenSync = File.prototype.writeStringLenBESync;
+File.prototype.writeBufferLenSync = File.prototype.writeBufferLenBESync;
+File.prototype.writeFloatSync = File.prototype.writeFloatBESync;
+File.prototype.writeDoubleSync = File.prototype.writeDoubleBESync;
+File.prototype.writeBigInt64Sync = File.prototype.writeBigInt64BESync;
+File.prototype.writeBigUInt64Sync = File.prototype.writeBigUInt64BESync;
@@ -0,0 +1,826 @@
+"use strict";
+
+var debug = require('debug')('file:formats');
+
+var makeCallback = require('./util').makeCallback;
+var repeat = require('./util').repeat;
+var Schema = require('./schema');
+var Checksum = require('./checksum');
+var errors = require('./errors');
+var view = require('./view');
+
+//
+// Binary container formats
+//
+// Layouts of well-known formats, and functions reading and writing whole
+// files of them:
+//
+//   riff  RIFF header and chunk list
+//   wav   WAVE audio format and sample data
+//   png   PNG chunks with CRC checks
+//   zip   ZIP local and central directory headers, stored entries
+//   elf   ELF file header of 32 and 64-bit, big and little endian files
+//
+// Functions writing whole files replace the file contents. Asynchronous
+// functions return a promise when the callback is omitted and have a
+// synchronous `*Sync` variant.
+//
+
+/**
+ * Run read function of a whole file with the file size.
+ * @param  {File}     file File to read from
+ * @param  {Function} fn   Read function gets arguments (file, size, cb)
+ * @param  {Function} cb   Callback function
+ */
+function readFile(file, fn, cb) {
+	file.stat((err, stats) => {
+		if (err) return cb(err);
+		fn(file, stats.size, cb);
+	});
+}
+
+function readFileSync(file, fn) {
+	var size = file.statSync().size;
+	return view.callSync(file, (sync, cb) => fn(sync, size, cb))[0];
+}
+
+/**
+ * Write struct built by `build` as the whole file.
+ */
+function writeFile(file, build, cb) {
+	var struct;
+	try {
+		struct = build(file.createWriteStruct(0));
+	} catch (err) {
+		return process.nextTick(cb, err);
+	}
+
+	struct.write((err, end) => {
+		if (err) return cb(err);
+		file.truncate(end, (err) => cb(err, end));
+	});
+}
+
+function writeFileSync(file, build) {
+	var end = build(file.createWriteStruct(0)).writeSync();
+	file.truncateSync(end);
+	return end;
+}
+
+/**
+ * Length of a variable size field, from the value to write, or from the
+ * length field read before it.
+ * @param  {string}   name        Name of the variable size field
+ * @param  {string}   lengthField Name of the length field
+ * @return {Function}             Length function of the struct value
+ */
+function lengthOf(name, lengthField) {
+	return (value) => {
+		var data = value[name];
+		if (data === undefined)
+			return value[lengthField];
+		return Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data);
+	};
+}
+
+function formatError(file, reason, offset) {
+	return new errors.BinFileError(reason, { path: file.filepath, offset: offset });
+}
+
+//
+// RIFF
+//
+
+var riff = {};
+module.exports.riff = riff;
+
+riff.Header = new Schema({
+	id: { type: 'string', length: 4 },
+	size: { type: 'uint', length: 4 },
+	form: { type: 'string', length: 4 }
+}, { endian: 'LE' });
+
+riff.ChunkHeader = new Schema({
+	id: { type: 'string', length: 4 },
+	size: { type: 'uint', length: 4 }
+}, { endian: 'LE' });
+
+function readRiff(file, size, cb) {
+	riff.Header.read(file, 0, (err, header, pos) => {
+		if (err) return cb(err);
+		if (header.id != 'RIFF')
+			return cb(formatError(file, "Invalid RIFF id '" + header.id + "'", 0));
+
+		// chunks end with the RIFF size, or the file if it is truncated
+		var end = Math.min(8 + header.size, size);
+		var chunks = [];
+		repeat((done) => {
+			if (pos + 8 > end) return done(null, false);
+
+			riff.ChunkHeader.read(file, pos, (err, chunk) => {
+				if (err) return done(err);
+
+				debug("riff chunk '%s' %d bytes at %d", chunk.id, chunk.size, pos);
+				chunks.push({ id: chunk.id, offset: pos + 8, size: chunk.size });
+				// chunks are padded to even size
+				pos += 8 + chunk.size + chunk.size % 2;
+				done(null, true);
+			});
+		}, (err) => {
+			if (err) return cb(err);
+			cb(null, { form: header.form, size: header.size, chunks: chunks });
+		});
+	});
+}
+
+/**
+ * Read RIFF header and list of chunks.
+ *
+ * Resolves to `{ form, size, chunks }`, each chunk with its `id`, and the
+ * `offset` and `size` of its data.
+ *
+ * @param  {File}     file File to read from
+ * @param  {Function} cb   Callback function gets arguments (err, riff)
+ */
+riff.read = function(file, cb) {
+	cb = makeCallback(arguments);
+	readFile(file, readRiff, cb);
+	return cb.promise;
+};
+
+/**
+ * Read RIFF header and list of chunks synchronously.
+ * @param  {File}   file File to read from
+ * @return {object}      `{ form, size, chunks }`
+ */
+riff.readSync = function(file) {
+	return readFileSync(file, readRiff);
+};
+
+//
+// WAV
+//
+
+var wav = {};
+module.exports.wav = wav;
+
+/**
+ * Data of the 'fmt ' chunk.
+ */
+wav.Format = new Schema({
+	audioFormat: { type: 'uint', length: 2 },
+	channels: { type: 'uint', length: 2 },
+	sampleRate: { type: 'uint', length: 4 },
+	byteRate: { type: 'uint', length: 4 },
+	blockAlign: { type: 'uint', length: 2 },
+	bitsPerSample: { type: 'uint', length: 2 }
+}, { endian: 'LE' });
+
+function findChunk(file, chunks, id) {
+	var chunk = chunks.find((chunk) => chunk.id == id);
+	if (!chunk)
+		throw formatError(file, "Missing '" + id + "' chunk");
+	return chunk;
+}
+
+function readWav(file, size, cb) {
+	readRiff(file, size, (err, info) => {
+		var format, data;
+		try {
+			if (err) throw err;
+			if (info.form != 'WAVE')
+				throw formatError(file, "Invalid WAVE form '" + info.form + "'", 8);
+			format = findChunk(file, info.chunks, 'fmt ');
+			data = findChunk(file, info.chunks, 'data');
+		} catch (err) {
+			return cb(err);
+		}
+
+		wav.Format.read(file, format.offset, (err, value) => {
+			if (err) return cb(err);
+			cb(null, { format: value, data: { offset: data.offset, size: data.size }, chunks: info.chunks });
+		});
+	});
+}
+
+/**
+ * Read WAVE format and location of the sample data.
+ *
+ * Resolves to `{ format, data, chunks }` with `data` having the `offset` and
+ * `size` of the samples.
+ *
+ * @param  {File}     file File to read from
+ * @param  {Function} cb   Callback function gets arguments (err, wav)
+ */
+wav.read = function(file, cb) {
+	cb = makeCallback(arguments);
+	readFile(file, readWav, cb);
+	return cb.promise;
+};
+
+/**
+ * Read WAVE format synchronously.
+ * @param  {File}   file File to read from
+ * @return {object}      `{ format, data, chunks }`
+ */
+wav.readSync = function(file) {
+	return readFileSync(file, readWav);
+};
+
+function buildWav(value) {
+	return (struct) => {
+		var data = value.data;
+		var padding = new Buffer(data.length % 2);
+		padding.fill(0);
+
+		return struct
+			.string('RIFF')
+			.sizeOf('size', 4, 'body', { endian: 'LE' })
+			.field('body', (body) => body
+				.string('WAVE')
+				.string('fmt ')
+				.sizeOf('formatSize', 4, 'format', { endian: 'LE' })
+				.field('format', (format) => format.struct(value.format, wav.Format))
+				.string('data')
+				.uintLE(data.length, 4)
+				.buffer(data)
+				.buffer(padding));
+	};
+}
+
+/**
+ * Write WAVE file of a format and sample data.
+ * @param  {File}     file  File to write
+ * @param  {object}   value `format` and `data` buffer of samples
+ * @param  {Function} cb    Callback function gets arguments (err, size)
+ */
+wav.write = function(file, value, cb) {
+	cb = makeCallback(arguments);
+	writeFile(file, buildWav(value), cb);
+	return cb.promise;
+};
+
+/**
+ * Write WAVE file synchronously.
+ * @param  {File}   file  File to write
+ * @param  {object} value `format` and `data` buffer of samples
+ * @return {int}          File size
+ */
+wav.writeSync = function(file, value) {
+	return writeFileSync(file, buildWav(value));
+};
+
+//
+// PNG
+//
+
+var png = {};
+module.exports.png = png;
+
+png.signature = new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Chunk with `type` and `data`. The length and CRC are computed on write
+ * and the CRC is verified on read.
+ */
+png.Chunk = new Schema({
+	length: { type: 'sizeOf', length: 4, target: 'data' },
+	type: { type: 'string', length: 4 },
+	data: { type: 'buffer', length: lengthOf('data', 'length') },
+	crc: { type: 'checksum', algorithm: 'crc32', start: 'type', end: 'data' }
+});
+
+/**
+ * Data of the 'IHDR' chunk.
+ */
+png.IHDR = new Schema({
+	width: { type: 'uint', length: 4 },
+	height: { type: 'uint', length: 4 },
+	bitDepth: { type: 'uint', length: 1 },
+	colorType: { type: 'uint', length: 1 },
+	compression: { type: 'uint', length: 1 },
+	filter: { type: 'uint', length: 1 },
+	interlace: { type: 'uint', length: 1 }
+});
+
+/**
+ * Create reader of consecutive chunks. The reader gets a callback which gets
+ * the next chunk, or null after 'IEND' or at end of file.
+ */
+function chunkReader(file, size) {
+	var pos = null;
+
+	var readChunk = (cb) => {
+		if (pos >= size) return cb(null, null);
+
+		png.Chunk.read(file, pos, (err, chunk, end) => {
+			if (err) return cb(err);
+
+			debug("png chunk '%s' %d bytes at %d", chunk.type, chunk.length, pos);
+			// nothing is read after the end chunk
+			pos = chunk.type == 'IEND' ? size : end;
+			cb(null, chunk);
+		});
+	};
+
+	return (cb) => {
+		if (pos !== null) return readChunk(cb);
+
+		file.read(0, png.signature.length, { allowPartial: true }, (err, data) => {
+			if (err) return cb(err);
+			if (!data.equals(png.signature))
+				return cb(formatError(file, 'Invalid PNG signature', 0));
+			pos = data.length;
+			readChunk(cb);
+		});
+	};
+}
+
+function readPng(file, size, cb) {
+	var next = chunkReader(file, size);
+	var chunks = [];
+
+	repeat((done) => {
+		next((err, chunk) => {
+			if (chunk) chunks.push(chunk);
+			done(err, !!chunk);
+		});
+	}, (err) => cb(err, chunks));
+}
+
+/**
+ * Iterate chunks asynchronously.
+ *
+ * Iteration ends after the 'IEND' chunk or at end of file.
+ *
+ * @param  {File}   file File to read from
+ * @return {object}      Async iterator of chunks
+ */
+png.chunks = function(file) {
+	var next = null;
+	var queue = Promise.resolve();
+
+	var step = () => {
+		var cb = makeCallback([]);
+		var read = (err) => {
+			if (err) return cb(err);
+			next((err, chunk) => {
+				cb(err, chunk ? { done: false, value: chunk } : { done: true, value: undefined });
+			});
+		};
+
+		if (next) read(null);
+		else file.stat((err, stats) => {
+			if (!err) next = chunkReader(file, stats.size);
+			read(err);
+		});
+		return cb.promise;
+	};
+
+	var iterator = {
+		// steps run one at a time in call order
+		next: () => queue = queue.then(step)
+	};
+	iterator[Symbol.asyncIterator] = () => iterator;
+	return iterator;
+};
+
+/**
+ * Read all chunks.
+ * @param  {File}     file File to read from
+ * @param  {Function} cb   Callback function gets arguments (err, chunks)
+ */
+png.read = function(file, cb) {
+	cb = makeCallback(arguments);
+	readFile(file, readPng, cb);
+	return cb.promise;
+};
+
+/**
+ * Read all chunks synchronously.
+ * @param  {File}  file File to read from
+ * @return {Array}      Chunks
+ */
+png.readSync = function(file) {
+	return readFileSync(file, readPng);
+};
+
+function buildPng(chunks) {
+	return (struct) => {
+		struct.buffer(png.signature);
+		chunks.forEach((chunk) => struct.struct(chunk, png.Chunk));
+		return struct;
+	};
+}
+
+/**
+ * Write PNG file of chunks with `type` and `data`.
+ * @param  {File}     file   File to write
+ * @param  {Array}    chunks Chunks, the first 'IHDR' and the last 'IEND'
+ * @param  {Function} cb     Callback function gets arguments (err, size)
+ */
+png.write = function(file, chunks, cb) {
+	cb = makeCallback(arguments);
+	writeFile(file, buildPng(chunks), cb);
+	return cb.promise;
+};
+
+/**
+ * Write PNG file synchronously.
+ * @param  {File}  file   File to write
+ * @param  {Array} chunks Chunks
+ * @return {int}          File size
+ */
+png.writeSync = function(file, chunks) {
+	return writeFileSync(file, buildPng(chunks));
+};
+
+//
+// ZIP
+//
+
+var zip = {};
+module.exports.zip = zip;
+
+zip.signatures = {
+	localFile: 0x04034b50,
+	centralDirectory: 0x02014b50,
+	end: 0x06054b50
+};
+
+// flag of UTF-8 names and comments
+var utf8Flag = 0x0800;
+
+zip.LocalFileHeader = new Schema({
+	signature: { type: 'uint', length: 4 },
+	version: { type: 'uint', length: 2 },
+	flags: { type: 'uint', length: 2 },
+	compression: { type: 'uint', length: 2 },
+	modTime: { type: 'uint', length: 2 },
+	modDate: { type: 'uint', length: 2 },
+	crc32: { type: 'uint', length: 4 },
+	compressedSize: { type: 'uint', length: 4 },
+	uncompressedSize: { type: 'uint', length: 4 },
+	nameLength: { type: 'sizeOf', length: 2, target: 'name' },
+	extraLength: { type: 'sizeOf', length: 2, target: 'extra' },
+	name: { type: 'string', length: lengthOf('name', 'nameLength') },
+	extra: { type: 'buffer', length: lengthOf('extra', 'extraLength') }
+}, { endian: 'LE' });
+
+zip.CentralDirectoryHeader = new Schema({
+	signature: { type: 'uint', length: 4 },
+	versionMadeBy: { type: 'uint', length: 2 },
+	version: { type: 'uint', length: 2 },
+	flags: { type: 'uint', length: 2 },
+	compression: { type: 'uint', length: 2 },
+	modTime: { type: 'uint', length: 2 },
+	modDate: { type: 'uint', length: 2 },
+	crc32: { type: 'uint', length: 4 },
+	compressedSize: { type: 'uint', length: 4 },
+	uncompressedSize: { type: 'uint', length: 4 },
+	nameLength: { type: 'sizeOf', length: 2, target: 'name' },
+	extraLength: { type: 'sizeOf', length: 2, target: 'extra' },
+	commentLength: { type: 'sizeOf', length: 2, target: 'comment' },
+	disk: { type: 'uint', length: 2 },
+	internalAttributes: { type: 'uint', length: 2 },
+	externalAttributes: { type: 'uint', length: 4 },
+	localHeaderOffset: { type: 'uint', length: 4 },
+	name: { type: 'string', length: lengthOf('name', 'nameLength') },
+	extra: { type: 'buffer', length: lengthOf('extra', 'extraLength') },
+	comment: { type: 'string', length: lengthOf('comment', 'commentLength') }
+}, { endian: 'LE' });
+
+zip.EndOfCentralDirectory = new Schema({
+	signature: { type: 'uint', length: 4 },
+	disk: { type: 'uint', length: 2 },
+	directoryDisk: { type: 'uint', length: 2 },
+	diskEntries: { type: 'uint', length: 2 },
+	entries: { type: 'uint', length: 2 },
+	directorySize: { type: 'uint', length: 4 },
+	directoryOffset: { type: 'uint', length: 4 },
+	commentLength: { type: 'sizeOf', length: 2, target: 'comment' },
+	comment: { type: 'string', length: lengthOf('comment', 'commentLength') }
+}, { endian: 'LE' });
+
+// end record without the comment, which has at most 65535 bytes
+var endSize = 22;
+var maxCommentSize = 65535;
+
+function checkSignature(file, record, expected, offset) {
+	if (record.signature !== expected)
+		return formatError(file, 'Invalid signature 0x' + record.signature.toString(16), offset);
+	return null;
+}
+
+/**
+ * Find the end of central directory record from the end of file.
+ */
+function findEnd(file, size, cb) {
+	if (size < endSize)
+		return cb(formatError(file, 'End of central directory not found'));
+
+	var start = Math.max(0, size - endSize - maxCommentSize);
+	file.read(start, size - start, (err, data) => {
+		if (err) return cb(err);
+
+		var magic = new Buffer(4);
+		magic.writeUInt32LE(zip.signatures.end, 0);
+		var index = data.lastIndexOf(magic, data.length - endSize);
+		if (index == -1)
+			return cb(formatError(file, 'End of central directory not found'));
+		cb(null, start + index);
+	});
+}
+
+function readZip(file, size, cb) {
+	findEnd(file, size, (err, offset) => {
+		if (err) return cb(err);
+
+		zip.EndOfCentralDirectory.read(file, offset, (err, end) => {
+			if (err) return cb(err);
+
+			debug('zip: %d entries at %d', end.entries, end.directoryOffset);
+			var pos = end.directoryOffset;
+			var entries = [];
+			repeat((done) => {
+				if (entries.length >= end.entries) return done(null, false);
+
+				zip.CentralDirectoryHeader.read(file, pos, (err, entry, next) => {
+					err = err || checkSignature(file, entry, zip.signatures.centralDirectory, pos);
+					if (err) return done(err);
+					entries.push(entry);
+					pos = next;
+					done(null, true);
+				});
+			}, (err) => cb(err, { entries: entries, end: end }));
+		});
+	});
+}
+
+/**
+ * Read central directory.
+ *
+ * Resolves to `{ entries, end }` with the central directory headers and the
+ * end of central directory record.
+ *
+ * @param  {File}     file File to read from
+ * @param  {Function} cb   Callback function gets arguments (err, zip)
+ */
+zip.read = function(file, cb) {
+	cb = makeCallback(arguments);
+	readFile(file, readZip, cb);
+	return cb.promise;
+};
+
+/**
+ * Read central directory synchronously.
+ * @param  {File}   file File to read from
+ * @return {object}      `{ entries, end }`
+ */
+zip.readSync = function(file) {
+	return readFileSync(file, readZip);
+};
+
+function readEntryData(file, entry, cb) {
+	var pos = entry.localHeaderOffset;
+	zip.LocalFileHeader.read(file, pos, (err, header, start) => {
+		err = err || checkSignature(file, header, zip.signatures.localFile, pos);
+		if (err) return cb(err);
+		// sizes of the local header may be in a data descriptor after the data
+		file.read(start, entry.compressedSize, { allowPartial: false }, cb);
+	});
+}
+
+/**
+ * Read data of an entry as stored, compressed with `entry.compression`.
+ * @param  {File}     file  File to read from
+ * @param  {object}   entry Central directory header
+ * @param  {Function} cb    Callback function gets arguments (err, data)
+ */
+zip.readData = function(file, entry, cb) {
+	cb = makeCallback(arguments);
+	readEntryData(file, entry, cb);
+	return cb.promise;
+};
+
+/**
+ * Read data of an entry synchronously.
+ * @param  {File}   file  File to read from
+ * @param  {object} entry Central directory header
+ * @return {Buffer}       Data
+ */
+zip.readDataSync = function(file, entry) {
+	return view.callSync(file, (sync, cb) => readEntryData(sync, entry, cb))[0];
+};
+
+function buildZip(files, comment) {
+	return (struct) => {
+		var crc32 = new Checksum('crc32');
+		var offset = 0;
+		var entries = files.map((item) => {
+			var entry = {
+				version: 20,
+				flags: utf8Flag,
+				compression: 0,
+				modTime: item.modTime || 0,
+				modDate: item.modDate || 0,
+				crc32: crc32.compute(item.data),
+				compressedSize: item.data.length,
+				uncompressedSize: item.data.length,
+				name: item.name,
+				extra: new Buffer(0)
+			};
+			entry.localHeaderOffset = offset;
+			offset += 30 + Buffer.byteLength(item.name) + item.data.length;
+			return entry;
+		});
+
+		var directorySize = 0;
+		var directory = entries.map((entry) => {
+			directorySize += 46 + Buffer.byteLength(entry.name);
+			return Object.assign({}, entry, {
+				signature: zip.signatures.centralDirectory,
+				versionMadeBy: 20,
+				comment: '',
+				disk: 0,
+				internalAttributes: 0,
+				externalAttributes: 0
+			});
+		});
+
+		entries.forEach((entry, i) => {
+			struct.struct(Object.assign({ signature: zip.signatures.localFile }, entry), zip.LocalFileHeader)
+				.buffer(files[i].data);
+		});
+		directory.forEach((entry) => struct.struct(entry, zip.CentralDirectoryHeader));
+		return struct.struct({
+			signature: zip.signatures.end,
+			disk: 0,
+			directoryDisk: 0,
+			diskEntries: entries.length,
+			entries: entries.length,
+			directorySize: directorySize,
+			directoryOffset: offset,
+			comment: comment || ''
+		}, zip.EndOfCentralDirectory);
+	};
+}
+
+/**
+ * Write ZIP file of uncompressed entries.
+ * @param  {File}     file  File to write
+ * @param  {Array}    files Entries with `name` and `data`, and optional DOS
+ *                          `modTime` and `modDate`
+ * @param  {object}   options `comment` of the archive
+ * @param  {Function} cb    Callback function gets arguments (err, size)
+ */
+zip.write = function(file, files, options, cb) {
+	cb = makeCallback(arguments);
+	if (typeof options === 'function')
+		options = undefined;
+
+	writeFile(file, buildZip(files, (options || {}).comment), cb);
+	return cb.promise;
+};
+
+/**
+ * Write ZIP file synchronously.
+ * @param  {File}   file    File to write
+ * @param  {Array}  files   Entries with `name` and `data`
+ * @param  {object} options `comment` of the archive
+ * @return {int}            File size
+ */
+zip.writeSync = function(file, files, options) {
+	return writeFileSync(file, buildZip(files, (options || {}).comment));
+};
+
+//
+// ELF
+//
+
+var elf = {};
+module.exports.elf = elf;
+
+elf.magic = new Buffer([0x7f, 0x45, 0x4c, 0x46]);
+
+elf.Ident = new Schema({
+	magic: { type: 'buffer', length: 4 },
+	class: { type: 'uint', length: 1 },
+	data: { type: 'uint', length: 1 },
+	version: { type: 'uint', length: 1 },
+	osAbi: { type: 'uint', length: 1 },
+	abiVersion: { type: 'uint', length: 1 },
+	padding: { type: 'buffer', length: 7 }
+});
+
+/**
+ * File header layout of an address size and endian.
+ */
+function elfHeader(address, endian) {
+	return new Schema({
+		ident: elf.Ident,
+		type: { type: 'uint', length: 2 },
+		machine: { type: 'uint', length: 2 },
+		version: { type: 'uint', length: 4 },
+		entry: address,
+		phOffset: address,
+		shOffset: address,
+		flags: { type: 'uint', length: 4 },
+		ehSize: { type: 'uint', length: 2 },
+		phEntSize: { type: 'uint', length: 2 },
+		phNum: { type: 'uint', length: 2 },
+		shEntSize: { type: 'uint', length: 2 },
+		shNum: { type: 'uint', length: 2 },
+		shStrIndex: { type: 'uint', length: 2 }
+	}, { endian: endian });
+}
+
+// 64-bit addresses are bigints
+elf.Header32LE = elfHeader({ type: 'uint', length: 4 }, 'LE');
+elf.Header32BE = elfHeader({ type: 'uint', length: 4 }, 'BE');
+elf.Header64LE = elfHeader({ type: 'bigUInt64' }, 'LE');
+elf.Header64BE = elfHeader({ type: 'bigUInt64' }, 'BE');
+
+var elfClasses = { 1: '32', 2: '64' };
+var elfEndians = { 1: 'LE', 2: 'BE' };
+
+/**
+ * Get file header layout of an identification.
+ * @param  {object} ident Identification with `class` and `data` encoding
+ * @return {Schema}       Header layout
+ */
+elf.layout = function(ident) {
+	if (!elfClasses.hasOwnProperty(ident.class))
+		throw new errors.BinFileError('Unknown ELF class ' + ident.class, { field: 'ident.class' });
+	if (!elfEndians.hasOwnProperty(ident.data))
+		throw new errors.BinFileError('Unknown ELF data encoding ' + ident.data, { field: 'ident.data' });
+	return elf['Header' + elfClasses[ident.class] + elfEndians[ident.data]];
+};
+
+function readElf(file, cb) {
+	elf.Ident.read(file, 0, (err, ident) => {
+		var layout;
+		try {
+			if (err) throw err;
+			if (!ident.magic.equals(elf.magic))
+				throw formatError(file, 'Invalid ELF magic', 0);
+			layout = elf.layout(ident);
+		} catch (err) {
+			return cb(err);
+		}
+		layout.read(file, 0, (err, header) => cb(err, header));
+	});
+}
+
+/**
+ * Read file header with the layout of its class and data encoding.
+ * @param  {File}     file File to read from
+ * @param  {Function} cb   Callback function gets arguments (err, header)
+ */
+elf.read = function(file, cb) {
+	cb = makeCallback(arguments);
+	readElf(file, cb);
+	return cb.promise;
+};
+
+/**
+ * Read file header synchronously.
+ * @param  {File}   file File to read from
+ * @return {object}      Header
+ */
+elf.readSync = function(file) {
+	return view.callSync(file, (sync, cb) => readElf(sync, cb))[0];
+};
+
+/**
+ * Write file header with the layout of `header.ident`.
+ *
+ * Only the header is written, the rest of the file is left as is.
+ *
+ * @param  {File}     file   File to write to
+ * @param  {object}   header File header
+ * @param  {Function} cb     Callback function gets arguments (err, position)
+ */
+elf.write = function(file, header, cb) {
+	cb = makeCallback(arguments);
+
+	var layout;
+	try {
+		layout = elf.layout(header.ident);
+	} catch (err) {
+		process.nextTick(cb, err);
+		return cb.promise;
+	}
+	layout.write(file, 0, header, cb);
+	return cb.promise;
+};
+
+/**
+ * Write file header synchronously.
+ * @param  {File}   file   File to write to
+ * @param  {object} header File header
+ * @return {int}           End position
+ */
+elf.writeSync = function(file, header) {
+	return elf.layout(header.ident).writeSync(file, 0, header);
+};
@@ -0,0 +1,390 @@
+"use strict";
+
+var fs = require('fs');
+var debug = require('debug')('file:loader');
+
+var errors = require('./errors');
+var Schema = require('./schema');
+var Checksum = require('./checksum');
+var makeCallback = require('./util').makeCallback;
+
+//
+// JSON layouts
+//
+// A layout is an object with the `fields` array, default `endian` and named
+// `types` of nested layouts:
+//
+//   {
+//     "endian": "LE",
+//     "types": {
+//       "Point": { "fields": [{ "name": "x", "type": "int", "length": 4 }] }
+//     },
+//     "fields": [
+//       { "name": "count", "type": "uint", "length": 2 },
+//       { "name": "points", "type": "Point", "count": "count" }
+//     ]
+//   }
+//
+// Fields have the same options as Schema fields. Functions are replaced by
+// references to earlier fields of the same struct: `length` and `count` may
+// be a field name, and `if` a field name or `{ "field", "equals" }`.
+// Field `type` may also be an inline layout object. `description` is allowed
+// everywhere for documentation.
+//
+
+// field types and their options; `length` is the kind of length the type takes
+var fieldTypes = {
+	uint: { length: 'size', endian: true },
+	int: { length: 'size', endian: true },
+	float: { endian: true },
+	double: { endian: true },
+	bigInt64: { endian: true },
+	bigUInt64: { endian: true },
+	varUInt: {},
+	varInt: {},
+	zigZag: {},
+	bits: { length: 'bits', keys: ['order'] },
+	string: { length: 'bytes', keys: ['encoding', 'padding'] },
+	cstring: { keys: ['encoding', 'padding', 'maxLength'] },
+	buffer: { length: 'bytes' },
+	stringLen: { length: 'prefix', endian: true, keys: ['encoding', 'padding', 'unit'] },
+	bufferLen: { length: 'prefix', endian: true },
+	checksum: { length: 'sum', endian: true, keys: ['algorithm', 'start', 'end'] },
+	sizeOf: { length: 'size', endian: true, keys: ['target'] }
+};
+
+var layoutKeys = ['description', 'endian', 'types', 'fields'];
+var fieldKeys = ['name', 'description', 'type', 'count', 'if'];
+
+function isObject(value) {
+	return value !== null && typeof value == 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+	return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Get fields of a layout as an array of field objects.
+ */
+function fieldList(layout) {
+	if (Array.isArray(layout.fields))
+		return layout.fields;
+	if (!isObject(layout.fields))
+		return [];
+	return Object.keys(layout.fields).map((name) => {
+		return isObject(layout.fields[name]) ? Object.assign({ name: name }, layout.fields[name]) : layout.fields[name];
+	});
+}
+
+/**
+ * Layout checker collecting problems.
+ */
+function Checker(json) {
+	this.types = isObject(json.types) ? json.types : {};
+	this.problems = [];
+}
+
+Checker.prototype.problem = function(path, message) {
+	this.problems.push(path + ': ' + message);
+};
+
+Checker.prototype.keys = function(obj, allowed, path) {
+	Object.keys(obj).forEach((key) => {
+		if (allowed.indexOf(key) == -1)
+			this.problem(path, "Unknown property '" + key + "'");
+	});
+};
+
+Checker.prototype.layout = function(layout, path) {
+	if (!isObject(layout))
+		return this.problem(path, 'Layout must be an object');
+
+	this.keys(layout, layoutKeys, path);
+	if (layout.endian !== undefined && layout.endian !== 'BE' && layout.endian !== 'LE')
+		this.problem(path + '.endian', "Endian must be 'BE' or 'LE'");
+
+	if (!Array.isArray(layout.fields) && !isObject(layout.fields))
+		return this.problem(path + '.fields', 'Fields must be an array or an object');
+
+	var fields = fieldList(layout);
+	var names = fields.map((field) => isObject(field) ? field.name : undefined);
+	fields.forEach((field, i) => {
+		var fieldPath = path + '.fields[' + i + ']';
+		if (!isObject(field))
+			return this.problem(fieldPath, 'Field must be an object');
+
+		if (typeof field.name == 'string' && field.name) {
+			fieldPath += " '" + field.name + "'";
+			if (names.indexOf(field.name) != i)
+				this.problem(fieldPath, 'Duplicate field name');
+		} else {
+			this.problem(fieldPath, 'Field must have a name');
+		}
+		this.field(field, fieldPath, names, names.slice(0, i));
+	});
+};
+
+Checker.prototype.field = function(field, path, names, earlier) {
+	var type = field.type;
+
+	if (isObject(type)) {
+		this.keys(field, fieldKeys, path);
+		this.layout(type, path + '.type');
+	} else if (typeof type != 'string') {
+		return this.problem(path, 'Field must have a type');
+	} else if (!fieldTypes.hasOwnProperty(type)) {
+		if (!this.types.hasOwnProperty(type))
+			return this.problem(path, "Unknown type '" + type + "'");
+		this.keys(field, fieldKeys, path);
+	} else {
+		var info = fieldTypes[type];
+		var allowed = fieldKeys.concat(info.keys || []);
+		if (info.length) allowed.push('length');
+		if (info.endian) allowed.push('endian');
+		this.keys(field, allowed, path);
+
+		if (info.endian && field.endian !== undefined && field.endian !== 'BE' && field.endian !== 'LE')
+			this.problem(path, "Endian must be 'BE' or 'LE'");
+		this.length(field, info.length, path, earlier);
+		this.options(field, path, names);
+	}
+
+	if (field.count !== undefined && !isCount(field.count) && !this.ref(field.count, earlier))
+		this.problem(path, 'Count must be a non-negative integer or the name of an earlier field');
+
+	var cond = field.if;
+	if (isObject(cond)) {
+		if (!this.ref(cond.field, earlier))
+			this.problem(path, 'Condition field must be the name of an earlier field');
+		if (!cond.hasOwnProperty('equals'))
+			this.problem(path, "Condition must have 'equals'");
+		this.keys(cond, ['field', 'equals'], path + '.if');
+	} else if (cond !== undefined && !this.ref(cond, earlier)) {
+		this.problem(path, 'Condition must be the name of an earlier field, or an object');
+	}
+};
+
+Checker.prototype.ref = function(value, earlier) {
+	return typeof value == 'string' && earlier.indexOf(value) != -1;
+};
+
+Checker.prototype.length = function(field, kind, path, earlier) {
+	var len = field.length;
+	var isSize = Number.isSafeInteger(len) && len >= 1 && len <= 6;
+
+	switch (kind) {
+	case 'size':
+		if (!isSize)
+			this.problem(path, 'Length must be an integer from 1 to 6');
+		break;
+	case 'bits':
+		if (!Number.isSafeInteger(len) || len < 1 || len > 53)
+			this.problem(path, 'Length must be an integer from 1 to 53');
+		break;
+	case 'bytes':
+		if (!isCount(len) && !this.ref(len, earlier))
+			this.problem(path, 'Length must be a non-negative integer or the name of an earlier field');
+		break;
+	case 'prefix':
+		if (!isSize && len !== 'varint')
+			this.problem(path, "Length must be an integer from 1 to 6 or 'varint'");
+		break;
+	case 'sum':
+		if (field.algorithm !== 'sum' && len !== undefined)
+			this.problem(path, "Length is only allowed for 'sum' checksums");
+		else if (len !== undefined && !isSize)
+			this.problem(path, 'Length must be an integer from 1 to 6');
+		break;
+	}
+};
+
+/**
+ * Check options of string, bits, checksum and sizeOf fields.
+ */
+Checker.prototype.options = function(field, path, names) {
+	if (field.encoding !== undefined && (typeof field.encoding != 'string' || !Buffer.isEncoding(field.encoding)))
+		this.problem(path, "Unknown encoding '" + field.encoding + "'");
+	if (field.padding !== undefined && typeof field.padding != 'string')
+		this.problem(path, 'Padding must be a string');
+	if (field.unit !== undefined && field.unit !== 'bytes' && field.unit !== 'chars')
+		this.problem(path, "Unit must be 'bytes' or 'chars'");
+	if (field.maxLength !== undefined && !isCount(field.maxLength))
+		this.problem(path, 'Maximum length must be a non-negative integer');
+	if (field.order !== undefined && field.order !== 'msb' && field.order !== 'lsb')
+		this.problem(path, "Bit order must be 'msb' or 'lsb'");
+
+	if (field.type == 'checksum') {
+		try {
+			new Checksum(field.algorithm);
+		} catch (err) {
+			this.problem(path, "Unknown checksum algorithm '" + field.algorithm + "'");
+		}
+		['start', 'end'].forEach((edge) => {
+			var value = field[edge];
+			if (value !== undefined && !isCount(value) && names.indexOf(value) == -1)
+				this.problem(path, 'Checksum ' + edge + ' must be an offset or a field name');
+		});
+	}
+
+	if (field.type == 'sizeOf' && names.indexOf(field.target) == -1)
+		this.problem(path, 'Target must be a field name');
+};
+
+/**
+ * Check that named types do not contain themselves.
+ */
+Checker.prototype.cycles = function() {
+	var refs = (layout) => {
+		if (!isObject(layout)) return [];
+		return fieldList(layout).reduce((list, field) => {
+			if (!isObject(field)) return list;
+			if (isObject(field.type)) return list.concat(refs(field.type));
+			if (this.types.hasOwnProperty(field.type) && !fieldTypes.hasOwnProperty(field.type))
+				list.push(field.type);
+			return list;
+		}, []);
+	};
+
+	var visit = (name, stack) => {
+		if (stack.indexOf(name) != -1)
+			return stack.slice(stack.indexOf(name)).concat(name);
+
+		var cycle = null;
+		refs(this.types[name]).some((ref) => cycle = visit(ref, stack.concat(name)));
+		return cycle;
+	};
+
+	Object.keys(this.types).some((name) => {
+		var cycle = visit(name, []);
+		if (cycle)
+			this.problem('types.' + name, 'Type contains itself: ' + cycle.join(' -> '));
+		return cycle;
+	});
+};
+
+/**
+ * Validate JSON layout.
+ * @param  {object}   json Layout object
+ * @return {string[]}      Problems found, each prefixed with the path of the
+ *                         item, empty if the layout is valid
+ */
+function validate(json) {
+	if (!isObject(json))
+		return ['schema: Layout must be an object'];
+
+	var checker = new Checker(json);
+	if (json.types !== undefined && !isObject(json.types))
+		checker.problem('types', 'Types must be an object');
+
+	Object.keys(checker.types).forEach((name) => {
+		if (fieldTypes.hasOwnProperty(name))
+			checker.problem('types.' + name, 'Type name is a built-in type');
+		checker.layout(checker.types[name], 'types.' + name);
+	});
+	checker.layout(json, 'schema');
+	if (!checker.problems.length)
+		checker.cycles();
+	return checker.problems;
+}
+module.exports.validate = validate;
+
+function ref(name) {
+	return (value) => value[name];
+}
+
+/**
+ * Build Schema of a validated layout.
+ */
+function build(layout, types, endian) {
+	endian = layout.endian || endian;
+
+	var fields = fieldList(layout).map((field) => {
+		var spec = Object.assign({}, field);
+		delete spec.description;
+
+		if (isObject(field.type))
+			spec.type = build(field.type, types, endian);
+		else if (!fieldTypes.hasOwnProperty(field.type))
+			spec.type = types(field.type);
+
+		if (typeof field.length == 'string' && field.length != 'varint')
+			spec.length = ref(field.length);
+		if (typeof field.count == 'string')
+			spec.count = ref(field.count);
+
+		var cond = field.if;
+		if (typeof cond == 'string')
+			spec.if = (value) => !!value[cond];
+		else if (cond)
+			spec.if = (value) => value[cond.field] === cond.equals;
+		return spec;
+	});
+
+	return new Schema(fields, { endian: endian });
+}
+
+/**
+ * Build Schema from JSON layout.
+ * @param  {object} json    Layout object
+ * @param  {object} options Error properties, e.g. `path` of the layout file
+ * @return {Schema}         Schema object
+ */
+function fromJSON(json, options) {
+	var problems = validate(json);
+	if (problems.length)
+		throw new errors.SchemaError(problems, options);
+
+	// named types are built once, on first use
+	var built = {};
+	var types = (name) => {
+		if (!built.hasOwnProperty(name))
+			built[name] = build(json.types[name], types, json.endian);
+		return built[name];
+	};
+	return build(json, types, json.endian);
+}
+module.exports.fromJSON = fromJSON;
+
+function parse(text, filepath) {
+	try {
+		return JSON.parse(text);
+	} catch (err) {
+		throw new errors.SchemaError([err.message], { path: filepath });
+	}
+}
+
+/**
+ * Load Schema from a JSON layout file.
+ * @param  {string}   filepath Layout file path
+ * @param  {Function} cb       Callback function gets arguments (err, schema)
+ */
+function load(filepath, cb) {
+	cb = makeCallback(arguments);
+	debug('load: %s', filepath);
+
+	fs.readFile(filepath, 'utf8', (err, text) => {
+		if (err) return cb(err);
+
+		var schema;
+		try {
+			schema = fromJSON(parse(text, filepath), { path: filepath });
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, schema);
+	});
+	return cb.promise;
+}
+module.exports.load = load;
+
+/**
+ * Load Schema from a JSON layout file synchronously.
+ * @param  {string} filepath Layout file path
+ * @return {Schema}          Schema object
+ */
+function loadSync(filepath) {
+	debug('load sync: %s', filepath);
+	return fromJSON(parse(fs.readFileSync(filepath, 'utf8'), filepath), { path: filepath });
+}
+module.exports.loadSync = loadSync;
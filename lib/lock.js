@@ -0,0 +1,306 @@
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('file:lock');
+
+var errors = require('./errors');
+
+//
+// Advisory locks
+//
+// Locks of a file on disk are entry files in a lock directory next to it,
+// `<file>.locks`, so they are seen by all processes and File objects using
+// the file. Entries are checked and added while holding a mutex directory
+// `<file>.locks/mutex`, as `mkdir` is atomic. Entries of processes which are
+// no longer running are removed.
+//
+// Memory files keep their locks in a table of the file object.
+//
+
+// mutex directories older than this are left by crashed processes
+var staleMutex = 10000;
+
+var counter = 0;
+
+// entry files of this process, removed at exit
+var entries = {};
+var exitHandler = false;
+
+/**
+ * Lock of a byte range.
+ * @param {File}   file    Locked file
+ * @param {object} range   `start` and `end` (exclusive), whole file if not given
+ * @param {object} options `shared` for a shared lock
+ */
+function Lock(file, range, options) {
+	if (!(this instanceof Lock))
+		return new Lock(file, range, options);
+
+	range = range || {};
+	options = options || {};
+
+	this.file = file;
+	this.start = range.start || 0;
+	this.end = range.end === undefined || range.end === null ? Infinity : range.end;
+	this.shared = !!options.shared || options.exclusive === false;
+	this.id = process.pid + '-' + (counter++);
+	this.entry = null;
+}
+module.exports.Lock = Lock;
+
+/**
+ * Check if two locks can not be held at the same time.
+ */
+Lock.prototype.conflicts = function(other) {
+	if (this.start >= other.end || other.start >= this.end)
+		return false;
+	return !(this.shared && other.shared);
+};
+
+Lock.prototype.toJSON = function() {
+	return {
+		pid: process.pid,
+		start: this.start,
+		end: this.end === Infinity ? null : this.end,
+		shared: this.shared
+	};
+};
+
+function lockDir(file) {
+	return file.filepath + '.locks';
+}
+
+function isRunning(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (err) {
+		return err.code == 'EPERM';
+	}
+}
+
+function removeEntries() {
+	Object.keys(entries).forEach((entry) => {
+		try {
+			fs.unlinkSync(entry);
+		} catch (err) {
+			// already removed
+		}
+	});
+}
+
+/**
+ * Check lock entries and add the entry of `lock` if there are no conflicts.
+ *
+ * Must be called while holding the mutex.
+ *
+ * @return {Boolean} True if the lock was taken
+ */
+function addEntry(lock) {
+	var dir = lockDir(lock.file);
+
+	var names = fs.readdirSync(dir);
+	for (var i = 0; i < names.length; i++) {
+		if (!/\.json$/.test(names[i]))
+			continue;
+
+		var entry = path.join(dir, names[i]);
+		var other;
+		try {
+			other = JSON.parse(fs.readFileSync(entry, 'utf8'));
+		} catch (err) {
+			// removed after listing, or being written
+			continue;
+		}
+
+		if (!isRunning(other.pid)) {
+			debug('remove stale lock: %s', entry);
+			try {
+				fs.unlinkSync(entry);
+			} catch (err) {
+				// removed by another process
+			}
+			continue;
+		}
+
+		if (other.end === null)
+			other.end = Infinity;
+		if (lock.conflicts(other))
+			return false;
+	}
+
+	lock.entry = path.join(dir, lock.id + '.json');
+	fs.writeFileSync(lock.entry, JSON.stringify(lock));
+	entries[lock.entry] = true;
+
+	if (!exitHandler) {
+		exitHandler = true;
+		process.on('exit', removeEntries);
+	}
+	return true;
+}
+
+/**
+ * Try to take the mutex of the lock directory.
+ * @return {Boolean} True if the mutex was taken
+ */
+function takeMutex(dir) {
+	var mutex = path.join(dir, 'mutex');
+	try {
+		fs.mkdirSync(mutex);
+		return true;
+	} catch (err) {
+		if (err.code == 'ENOENT') {
+			try {
+				fs.mkdirSync(dir);
+			} catch (err) {
+				if (err.code != 'EEXIST') throw err;
+			}
+			return takeMutex(dir);
+		}
+		if (err.code != 'EEXIST')
+			throw err;
+	}
+
+	try {
+		if (Date.now() - fs.statSync(mutex).mtime.getTime() > staleMutex) {
+			debug('remove stale mutex: %s', mutex);
+			fs.rmdirSync(mutex);
+		}
+	} catch (err) {
+		// released meanwhile
+	}
+	return false;
+}
+
+/**
+ * Try to take the lock once.
+ * @return {Boolean} True if the lock was taken, false if the range is locked
+ *                   or the mutex is busy
+ */
+function tryLock(lock) {
+	var table = lock.file._lockTable;
+	if (table) {
+		if (table.some((other) => lock.conflicts(other)))
+			return false;
+		table.push(lock);
+		return true;
+	}
+
+	var dir = lockDir(lock.file);
+	if (!takeMutex(dir))
+		return false;
+
+	try {
+		return addEntry(lock);
+	} finally {
+		fs.rmdirSync(path.join(dir, 'mutex'));
+	}
+}
+
+function lockedError(lock, reason) {
+	return new errors.BinFileError(reason, {
+		code: 'ELOCKED',
+		path: lock.file.filepath,
+		offset: lock.start
+	});
+}
+
+/**
+ * Take lock, waiting for conflicting locks if `options.wait` is given.
+ *
+ * `wait` is true to wait until the lock is free, or the maximum time to
+ * wait in milliseconds. Locks are polled every `options.interval`
+ * milliseconds, 10 by default.
+ *
+ * @param  {Lock}     lock    Lock to take
+ * @param  {object}   options Lock options
+ * @param  {Function} cb      Callback function gets arguments (err, lock)
+ */
+function acquire(lock, options, cb) {
+	var wait = options.wait;
+	var interval = options.interval || 10;
+	var deadline = typeof wait == 'number' ? Date.now() + wait : Infinity;
+
+	var attempt = () => {
+		var taken;
+		try {
+			taken = tryLock(lock);
+		} catch (err) {
+			return cb(err);
+		}
+
+		if (taken) {
+			debug('locked %s [%d, %d)', lock.id, lock.start, lock.end);
+			return cb(null, lock);
+		}
+		if (!wait)
+			return cb(lockedError(lock, 'File range is locked'));
+		if (Date.now() >= deadline)
+			return cb(lockedError(lock, 'Timed out waiting for lock'));
+		setTimeout(attempt, interval);
+	};
+	attempt();
+}
+module.exports.acquire = acquire;
+
+/**
+ * Take lock synchronously, see `acquire`.
+ *
+ * Waiting blocks the process, so locks held by the same process are never
+ * released while waiting.
+ *
+ * @return {Lock} Lock
+ */
+function acquireSync(lock, options) {
+	var wait = options.wait;
+	var interval = options.interval || 10;
+	var deadline = typeof wait == 'number' ? Date.now() + wait : Infinity;
+	var sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+	for (;;) {
+		if (tryLock(lock))
+			return lock;
+		if (!wait)
+			throw lockedError(lock, 'File range is locked');
+		if (Date.now() >= deadline)
+			throw lockedError(lock, 'Timed out waiting for lock');
+		Atomics.wait(sleeper, 0, 0, interval);
+	}
+}
+module.exports.acquireSync = acquireSync;
+
+/**
+ * Release lock.
+ * @param {Lock} lock Lock to release
+ */
+function release(lock) {
+	var table = lock.file._lockTable;
+	if (table) {
+		var index = table.indexOf(lock);
+		if (index != -1)
+			table.splice(index, 1);
+		return;
+	}
+
+	if (!lock.entry)
+		return;
+
+	debug('unlock %s', lock.id);
+	try {
+		fs.unlinkSync(lock.entry);
+	} catch (err) {
+		if (err.code != 'ENOENT') throw err;
+	}
+	delete entries[lock.entry];
+	lock.entry = null;
+
+	// remove the directory once there are no locks left
+	try {
+		fs.rmdirSync(lockDir(lock.file));
+	} catch (err) {
+		// still in use
+	}
+}
+module.exports.release = release;
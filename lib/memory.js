@@ -0,0 +1,236 @@
+"use strict";
+
+var util = require('util');
+var debug = require('debug')('file:memory');
+
+var File = require('./file');
+var makeCallback = require('./util').makeCallback;
+var callUser = require('./util').callUser;
+var errors = require('./errors');
+
+/**
+ * File stored in a growable memory buffer.
+ *
+ * MemoryFile has the same API as File and can be used anywhere a File is
+ * accepted. It is open when created and writes past the end grow the file.
+ *
+ * @param {Buffer} buffer   Initial contents, not copied
+ * @param {string} filepath Optional name used in debug and error messages
+ */
+function MemoryFile(buffer, filepath) {
+	if (!(this instanceof MemoryFile))
+		return new MemoryFile(buffer, filepath);
+
+	File.call(this, filepath || null);
+
+	this.buffer = buffer || new Buffer(0);
+	this.length = this.buffer.length;
+
+	var now = new Date();
+	this.atime = now;
+	this.mtime = now;
+	this.ctime = now;
+
+	this._open = true;
+
+	// locks are only held within the process
+	this._lockTable = [];
+}
+util.inherits(MemoryFile, File);
+module.exports = MemoryFile;
+
+/**
+ * Get file contents.
+ * @return {Buffer} Contents, shares memory with the file
+ */
+MemoryFile.prototype.toBuffer = function() {
+	return this.buffer.slice(0, this.length);
+};
+
+/**
+ * Grow buffer to hold at least `size` bytes.
+ */
+MemoryFile.prototype._reserve = function(size) {
+	if (size <= this.buffer.length) return;
+
+	var buffer = new Buffer(Math.max(size, this.buffer.length * 2, 64));
+	buffer.fill(0);
+	this.buffer.copy(buffer, 0, 0, this.length);
+	this.buffer = buffer;
+};
+
+/**
+ * Call back asynchronously with the result of a synchronous method.
+ *
+ * Array results are spread to the callback arguments.
+ */
+MemoryFile.prototype._async = function(args, fn) {
+	var cb = makeCallback(args, this);
+	var result;
+	try {
+		result = fn();
+	} catch (err) {
+		process.nextTick(cb, err);
+		return cb.promise;
+	}
+	process.nextTick(() => cb.apply(null, [null].concat(result)));
+	return cb.promise;
+};
+
+MemoryFile.prototype.openSync = function() {
+	this._open = true;
+	return this;
+};
+
+MemoryFile.prototype.open = function() {
+	return this._async(arguments, () => this.openSync());
+};
+
+MemoryFile.prototype.closeSync = function() {
+	this._open = false;
+	this.unlockSync();
+};
+
+MemoryFile.prototype.close = function() {
+	return this._async(arguments, () => this.closeSync());
+};
+
+MemoryFile.prototype.isOpen = function() {
+	return this._open;
+};
+
+// contents are already in memory
+MemoryFile.prototype.enableCache = function() {
+	throw new Error('Memory files can not have a page cache');
+};
+
+MemoryFile.prototype.syncSync = function() {
+};
+
+MemoryFile.prototype.sync = function() {
+	return this._async(arguments, () => this.syncSync());
+};
+
+MemoryFile.prototype.statSync = function() {
+	return {
+		size: this.length,
+		atime: this.atime,
+		mtime: this.mtime,
+		ctime: this.ctime,
+		birthtime: this.ctime,
+		isFile: () => true,
+		isDirectory: () => false
+	};
+};
+
+MemoryFile.prototype.stat = function() {
+	return this._async(arguments, () => this.statSync());
+};
+
+MemoryFile.prototype.utimesSync = function(atime, mtime) {
+	this.atime = new Date(atime);
+	this.mtime = new Date(mtime);
+};
+
+MemoryFile.prototype.utimes = function(atime, mtime) {
+	return this._async(arguments, () => this.utimesSync(atime, mtime));
+};
+
+MemoryFile.prototype.truncateSync = function(len) {
+	len = len || 0;
+	debug('truncate: %d bytes', len);
+
+	this._reserve(len);
+	if (len < this.length)
+		this.buffer.fill(0, len, this.length);
+	this.length = len;
+	this.mtime = new Date();
+};
+
+MemoryFile.prototype.truncate = function(len) {
+	return this._async(arguments, () => this.truncateSync(len));
+};
+
+MemoryFile.prototype.renameSync = function(dest) {
+	this.filepath = dest;
+};
+
+MemoryFile.prototype.rename = function(dest) {
+	return this._async(arguments, () => this.renameSync(dest));
+};
+
+/**
+ * Run function on a copy of the contents and keep the copy on success.
+ */
+MemoryFile.prototype.transaction = function(fn, cb) {
+	cb = makeCallback(Array.prototype.slice.call(arguments, 1), this);
+
+	var tx = this._copy();
+	callUser(fn, tx, (err) => {
+		if (!err) this._commit(tx);
+		cb(err || null);
+	});
+	return cb.promise;
+};
+
+MemoryFile.prototype.transactionSync = function(fn) {
+	var tx = this._copy();
+	var result = fn(tx);
+	this._commit(tx);
+	return result;
+};
+
+MemoryFile.prototype._copy = function() {
+	var tx = new MemoryFile(new Buffer(this.toBuffer()), this.filepath);
+	tx.allowPartial = this.allowPartial;
+	return tx;
+};
+
+MemoryFile.prototype._commit = function(tx) {
+	debug('transaction commit: %d bytes', tx.length);
+	this.buffer = tx.buffer;
+	this.length = tx.length;
+	this.mtime = tx.mtime;
+};
+
+/**
+ * Read buffer from memory.
+ * @return {Array} Data and bytes read
+ */
+MemoryFile.prototype._read = function(pos, len, options) {
+	debug('read: %d bytes at %d', len, pos);
+
+	var bytesRead = Math.max(0, Math.min(len, this.length - pos));
+	var err = errors.checkRead(this, pos, len, bytesRead, options);
+	if (err) throw err;
+
+	var data = new Buffer(bytesRead);
+	// positions past the buffer are not valid copy offsets
+	if (bytesRead)
+		this.buffer.copy(data, 0, pos, pos + bytesRead);
+	return [data, bytesRead];
+};
+
+MemoryFile.prototype.readSync = function(pos, len, options) {
+	return this._read(pos, len, options)[0];
+};
+
+MemoryFile.prototype.read = function(pos, len, options) {
+	if (typeof options === 'function')
+		options = undefined;
+	return this._async(arguments, () => this._read(pos, len, options));
+};
+
+MemoryFile.prototype.writeSync = function(data, pos) {
+	debug('write: %d bytes at %d', data.length, pos);
+
+	this._reserve(pos + data.length);
+	data.copy(this.buffer, pos);
+	this.length = Math.max(this.length, pos + data.length);
+	this.mtime = new Date();
+	return data.length;
+};
+
+MemoryFile.prototype.write = function(data, pos) {
+	return this._async(arguments, () => [this.writeSync(data, pos), data]);
+};
@@ -0,0 +1,337 @@
+"use strict";
+
+var debug = require('debug')('file:records');
+
+var makeCallback = require('./util').makeCallback;
+var Queue = require('./util').Queue;
+
+/**
+ * Table of fixed size records after an optional header.
+ *
+ * Record `i` is at `headerSize + i * recordSize`. The sizes come from the
+ * layouts, or from `options.headerSize` and `options.recordSize` to leave
+ * room after them. Variable size headers must give `headerSize`. The record
+ * count follows from the file size.
+ *
+ * Asynchronous operations run one at a time in call order, like those of a
+ * Cursor.
+ *
+ * @param {File}   file    File to read and write
+ * @param {Schema} record  Record layout
+ * @param {object} options `header` layout, `headerSize` and `recordSize`
+ */
+function RecordFile(file, record, options) {
+	if (!(this instanceof RecordFile))
+		return new RecordFile(file, record, options);
+
+	options = options || {};
+
+	this.file = file;
+	this.record = record;
+	this.header = options.header || null;
+
+	var layoutSize = record.size();
+	if (layoutSize === null)
+		throw new TypeError('Record layout must have a fixed size');
+	this.recordSize = options.recordSize || layoutSize;
+	if (this.recordSize < layoutSize || !this.recordSize)
+		throw new TypeError('Record size must be at least the layout size of ' + layoutSize + ' bytes');
+
+	var headerSize = this.header ? this.header.size() : 0;
+	this.headerSize = options.headerSize !== undefined ? options.headerSize : headerSize;
+	if (this.headerSize === null)
+		throw new TypeError('Header layout has variable size, headerSize must be given');
+	if (this.headerSize < headerSize)
+		throw new TypeError('Header size must be at least the layout size of ' + headerSize + ' bytes');
+
+	// padding written after appended records
+	this._padding = new Buffer(this.recordSize - layoutSize);
+	this._padding.fill(0);
+
+	this._queue = new Queue();
+}
+module.exports = RecordFile;
+
+/**
+ * Queue operation and pass its result to the callback.
+ * @param {Function} fn Operation, gets a callback function
+ * @param {Function} cb Callback function
+ */
+RecordFile.prototype._run = function(fn, cb) {
+	this._queue.push((done) => fn((err, value) => done(err, value)), cb);
+	return cb.promise;
+};
+
+RecordFile.prototype._checkIdle = function() {
+	if (this._queue.pending())
+		throw new Error('RecordFile has pending asynchronous operations');
+};
+
+/**
+ * Get file position of a record.
+ * @param  {int} i Record index
+ * @return {int}   Position
+ */
+RecordFile.prototype.position = function(i) {
+	return this.headerSize + i * this.recordSize;
+};
+
+RecordFile.prototype._countOf = function(size) {
+	return Math.max(0, Math.floor((size - this.headerSize) / this.recordSize));
+};
+
+RecordFile.prototype._count = function(cb) {
+	this.file.stat((err, stats) => {
+		if (err) return cb(err);
+		cb(null, this._countOf(stats.size));
+	});
+};
+
+function indexError(i, count) {
+	if (Number.isSafeInteger(i) && i >= 0 && i < count)
+		return null;
+	return new RangeError('Record index ' + i + ' is out of range, file has ' + count + ' records');
+}
+
+function headerError() {
+	return new Error('RecordFile has no header layout');
+}
+
+/**
+ * Get number of records.
+ * @param  {Function} cb Callback function gets arguments (err, count)
+ */
+RecordFile.prototype.count = function(cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => this._count(done), cb);
+};
+
+/**
+ * Get number of records synchronously.
+ * @return {int} Record count
+ */
+RecordFile.prototype.countSync = function() {
+	this._checkIdle();
+	return this._countOf(this.file.statSync().size);
+};
+
+/**
+ * Read record.
+ * @param  {int}      i  Record index
+ * @param  {Function} cb Callback function gets arguments (err, record)
+ */
+RecordFile.prototype.get = function(i, cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => {
+		this._count((err, count) => {
+			err = err || indexError(i, count);
+			if (err) return done(err);
+
+			debug('get %d at %d', i, this.position(i));
+			this.record.read(this.file, this.position(i), done);
+		});
+	}, cb);
+};
+
+/**
+ * Read record synchronously.
+ * @param  {int}    i Record index
+ * @return {object}   Record
+ */
+RecordFile.prototype.getSync = function(i) {
+	var err = indexError(i, this.countSync());
+	if (err) throw err;
+	return this.record.readSync(this.file, this.position(i));
+};
+
+/**
+ * Replace record.
+ * @param  {int}      i     Record index
+ * @param  {object}   value Record
+ * @param  {Function} cb    Callback function gets arguments (err)
+ */
+RecordFile.prototype.set = function(i, value, cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => {
+		this._count((err, count) => {
+			err = err || indexError(i, count);
+			if (err) return done(err);
+
+			debug('set %d at %d', i, this.position(i));
+			var struct;
+			try {
+				struct = this.file.createWriteStruct(this.position(i), this.record, value);
+			} catch (err) {
+				return done(err);
+			}
+			struct.write((err) => done(err));
+		});
+	}, cb);
+};
+
+/**
+ * Replace record synchronously.
+ * @param  {int}    i     Record index
+ * @param  {object} value Record
+ */
+RecordFile.prototype.setSync = function(i, value) {
+	var err = indexError(i, this.countSync());
+	if (err) throw err;
+	this.record.writeSync(this.file, this.position(i), value);
+};
+
+/**
+ * Append record after the last one.
+ * @param  {object}   value Record
+ * @param  {Function} cb    Callback function gets arguments (err, index)
+ */
+RecordFile.prototype.append = function(value, cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => {
+		this._count((err, count) => {
+			if (err) return done(err);
+
+			var pos = this.position(count);
+			debug('append %d at %d', count, pos);
+			var struct;
+			try {
+				struct = this.file.createWriteStruct(pos, this.record, value).buffer(this._padding);
+			} catch (err) {
+				return done(err);
+			}
+			struct.write((err) => done(err, count));
+		});
+	}, cb);
+};
+
+/**
+ * Append record synchronously.
+ * @param  {object} value Record
+ * @return {int}          Index of the record
+ */
+RecordFile.prototype.appendSync = function(value) {
+	var count = this.countSync();
+	this.file.createWriteStruct(this.position(count), this.record, value)
+		.buffer(this._padding)
+		.writeSync();
+	return count;
+};
+
+/**
+ * Set number of records. Added records are filled with zeros.
+ * @param  {int}      n  Record count
+ * @param  {Function} cb Callback function gets arguments (err)
+ */
+RecordFile.prototype.truncate = function(n, cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => {
+		debug('truncate to %d records', n);
+		this.file.truncate(this.position(n), (err) => done(err));
+	}, cb);
+};
+
+/**
+ * Set number of records synchronously.
+ * @param  {int} n Record count
+ */
+RecordFile.prototype.truncateSync = function(n) {
+	this._checkIdle();
+	this.file.truncateSync(this.position(n));
+};
+
+/**
+ * Read header.
+ * @param  {Function} cb Callback function gets arguments (err, header)
+ */
+RecordFile.prototype.readHeader = function(cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => {
+		if (!this.header) return done(headerError());
+		this.header.read(this.file, 0, done);
+	}, cb);
+};
+
+/**
+ * Read header synchronously.
+ * @return {object} Header
+ */
+RecordFile.prototype.readHeaderSync = function() {
+	this._checkIdle();
+	if (!this.header) throw headerError();
+	return this.header.readSync(this.file, 0);
+};
+
+/**
+ * Write header.
+ * @param  {object}   value Header
+ * @param  {Function} cb    Callback function gets arguments (err)
+ */
+RecordFile.prototype.writeHeader = function(value, cb) {
+	cb = makeCallback(arguments, this);
+	return this._run((done) => {
+		if (!this.header) return done(headerError());
+		this.header.write(this.file, 0, value, (err, position) => {
+			if (!err && position > this.headerSize)
+				err = new RangeError('Header of ' + position + ' bytes does not fit in ' + this.headerSize + ' bytes');
+			done(err);
+		});
+	}, cb);
+};
+
+/**
+ * Write header synchronously.
+ * @param  {object} value Header
+ */
+RecordFile.prototype.writeHeaderSync = function(value) {
+	this._checkIdle();
+	if (!this.header) throw headerError();
+	var position = this.header.writeSync(this.file, 0, value);
+	if (position > this.headerSize)
+		throw new RangeError('Header of ' + position + ' bytes does not fit in ' + this.headerSize + ' bytes');
+};
+
+/**
+ * Iterate records asynchronously.
+ *
+ * The records to iterate are counted on the first step.
+ *
+ * @param  {int} start Index of the first record, 0 by default
+ * @param  {int} end   Index after the last record, record count by default
+ * @return {object}    Async iterator of records
+ */
+RecordFile.prototype.records = function(start, end) {
+	var index = start || 0;
+	var last;
+
+	var step = (cb) => {
+		if (index >= last)
+			return cb(null, { done: true, value: undefined });
+
+		this.record.read(this.file, this.position(index++), (err, value) => {
+			cb(err, { done: false, value: value });
+		});
+	};
+
+	var iterator = {
+		next: () => {
+			var cb = makeCallback([]);
+			this._run((done) => {
+				if (last !== undefined)
+					return step(done);
+
+				this._count((err, count) => {
+					if (err) return done(err);
+					last = end === undefined ? count : Math.min(end, count);
+					step(done);
+				});
+			}, cb);
+			return cb.promise;
+		}
+	};
+	iterator[Symbol.asyncIterator] = () => iterator;
+	return iterator;
+};
+
+RecordFile.prototype[Symbol.asyncIterator] = function() {
+	return this.records();
+};
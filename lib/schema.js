@@ -0,0 +1,325 @@
+"use strict";
+
+var debug = require('debug')('file:schema');
+
+var makeCallback = require('./util').makeCallback;
+var Checksum = require('./checksum');
+
+/**
+ * Reusable struct layout that can both read and write.
+ *
+ * Fields are given as an object of field specifications in file order:
+ *
+ *     {
+ *         magic: { type: 'string', length: 4 },
+ *         version: { type: 'uint', length: 2, endian: 'LE' },
+ *         points: { type: Point, count: 3 }
+ *     }
+ *
+ * Field `type` is one of `uint`, `int`, `float`, `double`, `bigInt64`,
+ * `bigUInt64`, `varUInt`, `varInt`, `zigZag`, `bits`, `string`, `cstring`,
+ * `buffer`, `stringLen`, `bufferLen`, or another Schema (or plain fields
+ * object) for nested structs. `length` is the size of the field in bytes,
+ * number of bits for `bits` with bit `order` 'msb' or 'lsb', or size of the
+ * length prefix for `stringLen` and `bufferLen`, which may also be 'varint'.
+ * Floats, doubles, 64-bit integers, varints and C strings have implicit
+ * length. `endian` is 'BE' or 'LE' and defaults to the schema
+ * endian. String fields take the `encoding`, `padding` and `unit` string
+ * options. `count` makes the field a fixed size array. `length` and `count`
+ * may also be functions of the partial result, and `if` a function deciding
+ * whether the field is present at all.
+ *
+ * Fields other than `checksum` and `sizeOf` must have a value on write.
+ *
+ * `checksum` fields are computed on write and verified on read. They take the
+ * `algorithm`, and `start` and `end` field names or offsets of the range.
+ * `length` is the size of a 'sum' checksum. `sizeOf` fields are unsigned
+ * integers of `length` bytes filled with the size of the `target` field on
+ * write.
+ *
+ * Fields may also be given as an array of field specifications with `name`.
+ *
+ * @param {object|Array} fields  Field specifications
+ * @param {object}       options Schema options, `endian` sets default endianness
+ */
+function Schema(fields, options) {
+	if (!(this instanceof Schema))
+		return new Schema(fields, options);
+
+	options = options || {};
+	this.endian = options.endian || 'BE';
+	if (Array.isArray(fields))
+		this.fields = fields.map((spec) => this._field(spec.name, spec));
+	else
+		this.fields = Object.keys(fields).map((name) => this._field(name, fields[name]));
+}
+module.exports = Schema;
+
+var endianTypes = ['uint', 'int', 'stringLen', 'bufferLen', 'sizeOf'];
+var numberTypes = ['float', 'double', 'bigInt64', 'bigUInt64'];
+var plainTypes = ['string', 'buffer', 'bits'];
+var varintTypes = ['varUInt', 'varInt', 'zigZag'];
+var stringOptions = ['encoding', 'padding', 'unit', 'maxLength'];
+
+/**
+ * Normalize field specification.
+ */
+Schema.prototype._field = function(name, spec) {
+	if (spec instanceof Schema)
+		spec = { type: spec };
+	if (spec.type && typeof spec.type == 'object' && !(spec.type instanceof Schema))
+		spec = Object.assign({}, spec, { type: new Schema(spec.type, { endian: spec.endian || this.endian }) });
+
+	var field = {
+		name: name,
+		type: spec.type,
+		length: spec.length,
+		endian: (spec.endian || this.endian).toUpperCase(),
+		count: spec.count,
+		if: spec.if,
+		order: spec.order,
+		target: spec.target,
+		string: {}
+	};
+
+	if (field.type == 'checksum') {
+		field.checksum = {
+			start: spec.start,
+			end: spec.end,
+			endian: field.endian,
+			size: spec.length
+		};
+		// check the algorithm early
+		field.length = new Checksum(spec.algorithm, field.checksum).size;
+		field.algorithm = spec.algorithm;
+		return checkEndian(field);
+	}
+
+	stringOptions.forEach((option) => {
+		if (spec[option] !== undefined)
+			field.string[option] = spec[option];
+	});
+
+	if (field.type instanceof Schema || field.type == 'cstring' || varintTypes.indexOf(field.type) != -1)
+		return field;
+
+	if (numberTypes.indexOf(field.type) != -1)
+		return checkEndian(field);
+
+	if (endianTypes.indexOf(field.type) == -1 && plainTypes.indexOf(field.type) == -1)
+		throw new TypeError("Unknown type '" + field.type + "' for field '" + name + "'");
+	if (typeof field.length != 'number' && typeof field.length != 'function' &&
+		!(field.length == 'varint' && (field.type == 'stringLen' || field.type == 'bufferLen')))
+		throw new TypeError("Missing length for field '" + name + "'");
+	if (field.type == 'sizeOf' && typeof field.target != 'string')
+		throw new TypeError("Missing target for field '" + name + "'");
+
+	return checkEndian(field);
+};
+
+/**
+ * Get size of the struct in bytes.
+ * @return {int} Size, or null if the layout has variable size fields
+ */
+Schema.prototype.size = function() {
+	var size = 0;
+
+	for (var i = 0; i < this.fields.length; i++) {
+		var field = this.fields[i];
+		var fieldSize = fixedSize(field);
+
+		if (fieldSize === null || field.if || typeof field.count == 'function')
+			return null;
+		size += fieldSize * (field.count === undefined ? 1 : field.count);
+	}
+	return size;
+};
+
+/**
+ * Queue field reads to a Struct.Read.
+ * @param {Read} reader Struct reader
+ */
+Schema.prototype.queueRead = function(reader) {
+	this.fields.forEach((field) => {
+		if (field.if)
+			return reader.if(field.if, (sub) => queueReadField(sub, field));
+		queueReadField(reader, field);
+	});
+	return reader;
+};
+
+/**
+ * Queue field writes to a Struct.Write.
+ * @param {Write}  writer Struct writer
+ * @param {object} value  Object to encode
+ */
+Schema.prototype.queueWrite = function(writer, value) {
+	this.fields.forEach((field) => {
+		if (field.if && !field.if(value))
+			return;
+
+		var fieldValue = value == null ? undefined : value[field.name];
+		if (fieldValue === undefined && field.type != 'checksum' && field.type != 'sizeOf')
+			throw new TypeError("Missing value for field '" + field.name + "'");
+
+		writer.field(field.name, () => {
+			if (field.count === undefined)
+				return writeField(writer, fieldValue, field, value);
+
+			var count = resolve(field.count, value);
+			if (!Array.isArray(fieldValue) || fieldValue.length != count)
+				throw new TypeError("Field '" + field.name + "' must be an array of " + count + " items");
+			writer.array(fieldValue, (sub, item) => writeField(sub, item, field, value));
+		});
+	});
+	return writer;
+};
+
+/**
+ * Read struct from file.
+ * @param  {File}     file File to read from
+ * @param  {int}      pos  Start position
+ * @param  {Function} cb   Callback function gets arguments (err, result, position)
+ */
+Schema.prototype.read = function(file, pos, cb) {
+	return file.createReadStruct(pos, this).read(cb);
+};
+
+/**
+ * Read struct from file synchronously.
+ * @param  {File} file File to read from
+ * @param  {int}  pos  Start position
+ * @return {object}    Result object
+ */
+Schema.prototype.readSync = function(file, pos) {
+	return file.createReadStruct(pos, this).readSync().result;
+};
+
+/**
+ * Write struct to file.
+ * @param  {File}     file  File to write to
+ * @param  {int}      pos   Start position
+ * @param  {object}   value Object to encode
+ * @param  {Function} cb    Callback function gets arguments (err, position)
+ */
+Schema.prototype.write = function(file, pos, value, cb) {
+	cb = makeCallback(arguments, this);
+
+	var struct;
+	try {
+		struct = file.createWriteStruct(pos, this, value);
+	} catch (err) {
+		cb(err);
+		return cb.promise;
+	}
+	struct.write(cb);
+	return cb.promise;
+};
+
+/**
+ * Write struct to file synchronously.
+ * @param  {File}   file  File to write to
+ * @param  {int}    pos   Start position
+ * @param  {object} value Object to encode
+ * @return {int}          End position
+ */
+Schema.prototype.writeSync = function(file, pos, value) {
+	return file.createWriteStruct(pos, this, value).writeSync();
+};
+
+function checkEndian(field) {
+	if (field.endian != 'BE' && field.endian != 'LE')
+		throw new TypeError("Invalid endian '" + field.endian + "' for field '" + field.name + "'");
+	return field;
+}
+
+var numberSizes = { float: 4, double: 8, bigInt64: 8, bigUInt64: 8 };
+
+function fixedSize(field) {
+	if (field.type instanceof Schema)
+		return field.type.size();
+	if (numberSizes.hasOwnProperty(field.type))
+		return numberSizes[field.type];
+	if (field.type == 'stringLen' || field.type == 'bufferLen' || field.type == 'cstring')
+		return null;
+	if (field.type == 'bits' || varintTypes.indexOf(field.type) != -1)
+		return null;
+	if (typeof field.length == 'function')
+		return null;
+	return field.length;
+}
+
+function resolve(arg, value) {
+	return typeof arg == 'function' ? arg(value) : arg;
+}
+
+function queueReadField(reader, field) {
+	if (field.count === undefined)
+		return readField(reader, field.name, field);
+
+	reader.array(field.name, field.count, (sub, i) => readField(sub, i, field));
+}
+
+function readField(reader, name, field) {
+	debug("read field '%s' (%s)", name, field.type);
+
+	if (field.type instanceof Schema)
+		return reader.struct(name, field.type);
+	// fixed size fields trim the padding they were written with
+	if (field.type == 'string')
+		return reader.string(name, field.length, Object.assign({ padding: '\0' }, field.string));
+	if (field.type == 'cstring')
+		return reader.cstring(name, field.string);
+	if (field.type == 'buffer')
+		return reader.buffer(name, field.length);
+	if (field.type == 'bits')
+		return reader.bits(name, field.length, field.order);
+	if (field.type == 'checksum')
+		return reader.checksum(name, field.algorithm, field.checksum);
+	if (field.type == 'sizeOf')
+		return reader['uint' + field.endian](name, field.length);
+	if (varintTypes.indexOf(field.type) != -1)
+		return reader[field.type](name);
+	if (field.type == 'stringLen')
+		return reader['stringLen' + field.endian](name, field.length, field.string);
+	return reader[field.type + field.endian](name, field.length);
+}
+
+function writeField(writer, value, field, parent) {
+	debug("write field '%s' (%s)", field.name, field.type);
+
+	if (field.type instanceof Schema)
+		return writer.struct(value, field.type);
+
+	// fixed size fields are padded or truncated to keep the layout intact
+	if (field.type == 'string') {
+		return writer.string(value, Object.assign({}, field.string, {
+			length: resolve(field.length, parent)
+		}));
+	}
+	if (field.type == 'cstring')
+		return writer.cstring(value, field.string);
+	if (field.type == 'bits')
+		return writer.bits(value, resolve(field.length, parent), field.order);
+	if (field.type == 'checksum')
+		return writer.checksum(field.algorithm, field.checksum);
+	if (field.type == 'sizeOf')
+		return writer.sizeOf(field.name, resolve(field.length, parent), field.target, { endian: field.endian });
+	if (varintTypes.indexOf(field.type) != -1)
+		return writer[field.type](value);
+	if (field.type == 'buffer')
+		return writer.buffer(fixedBuffer(value, resolve(field.length, parent)));
+	if (field.type == 'stringLen')
+		return writer['stringLen' + field.endian](value, field.length, field.string);
+	return writer[field.type + field.endian](value, resolve(field.length, parent));
+}
+
+function fixedBuffer(data, len) {
+	if (data.length == len)
+		return data;
+
+	var buffer = new Buffer(len);
+	buffer.fill(0);
+	data.copy(buffer, 0, 0, Math.min(len, data.length));
+	return buffer;
+}
@@ -0,0 +1,209 @@
+"use strict";
+
+var stream = require('stream');
+var util = require('util');
+var debug = require('debug')('file:stream');
+
+var MemoryFile = require('./memory');
+var Struct = require('./struct');
+var errors = require('./errors');
+
+/**
+ * Readable stream of file contents.
+ *
+ * Reads go through `File#read`, so the file stays open when the stream ends.
+ *
+ * @param {File}   file    File to read from
+ * @param {int}    start   Start position
+ * @param {int}    end     End position (inclusive), defaults to end of file
+ * @param {object} options Readable stream options
+ */
+function ReadStream(file, start, end, options) {
+	if (!(this instanceof ReadStream))
+		return new ReadStream(file, start, end, options);
+
+	options = Object.assign({ highWaterMark: 64 * 1024 }, options);
+	stream.Readable.call(this, options);
+
+	this.file = file;
+	this.position = start || 0;
+	this.end = end === undefined || end === null ? Infinity : end;
+}
+util.inherits(ReadStream, stream.Readable);
+module.exports.ReadStream = ReadStream;
+
+ReadStream.prototype._read = function(size) {
+	var len = Math.min(size, this.end - this.position + 1);
+	if (len <= 0) return this.push(null);
+
+	debug('read stream: %d bytes at %d', len, this.position);
+	this.file.read(this.position, len, { allowPartial: true }, (err, data, bytesRead) => {
+		if (err) return this.destroy(err);
+		if (!bytesRead) return this.push(null);
+
+		this.position += bytesRead;
+		this.push(data);
+	});
+};
+
+/**
+ * Writable stream to file.
+ *
+ * Writes go through `File#write`, so the file stays open when the stream
+ * finishes.
+ *
+ * @param {File}   file    File to write to
+ * @param {int}    pos     Start position
+ * @param {object} options Writable stream options
+ */
+function WriteStream(file, pos, options) {
+	if (!(this instanceof WriteStream))
+		return new WriteStream(file, pos, options);
+
+	stream.Writable.call(this, options);
+
+	this.file = file;
+	this.position = pos || 0;
+}
+util.inherits(WriteStream, stream.Writable);
+module.exports.WriteStream = WriteStream;
+
+WriteStream.prototype._write = function(chunk, encoding, cb) {
+	debug('write stream: %d bytes at %d', chunk.length, this.position);
+	this.file.write(chunk, this.position, (err, written) => {
+		if (err) return cb(err);
+		this.position += written;
+		cb();
+	});
+};
+
+/**
+ * Transform stream decoding records from bytes.
+ *
+ * Records are read back to back with a struct layout and each result object
+ * is pushed to the readable side.
+ *
+ * @param {Schema|Function} layout  Schema, or function queuing fields to a
+ *                                  Struct.Read
+ * @param {object}          options Transform stream options
+ */
+function RecordParser(layout, options) {
+	if (!(this instanceof RecordParser))
+		return new RecordParser(layout, options);
+
+	options = Object.assign({}, options, { readableObjectMode: true });
+	stream.Transform.call(this, options);
+
+	this.layout = layout;
+	this.position = 0;
+	this._buffer = new Buffer(0);
+}
+util.inherits(RecordParser, stream.Transform);
+module.exports.RecordParser = RecordParser;
+
+/**
+ * Parse one record from the start of the buffer.
+ * @return {object} Record and its size, or null if data is incomplete
+ */
+RecordParser.prototype._parse = function() {
+	var source = new MemoryFile(this._buffer);
+	var struct = new Struct.Read(source, 0, { buffered: false });
+	if (typeof this.layout == 'function')
+		this.layout(struct);
+	else
+		this.layout.queueRead(struct);
+
+	var read;
+	try {
+		read = struct.readSync();
+	} catch (err) {
+		// rest of the record may still arrive
+		if (err instanceof errors.EOFError) return null;
+		throw err;
+	}
+	return { record: read.result, size: read.position };
+};
+
+RecordParser.prototype._transform = function(chunk, encoding, cb) {
+	this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+	try {
+		for (;;) {
+			var parsed = this._parse();
+			if (!parsed) break;
+			if (!parsed.size)
+				throw new Error('Record layout does not consume any bytes');
+
+			debug('record: %d bytes at %d', parsed.size, this.position);
+			this.position += parsed.size;
+			this._buffer = this._buffer.slice(parsed.size);
+			this.push(parsed.record);
+		}
+	} catch (err) {
+		return cb(err);
+	}
+	cb();
+};
+
+RecordParser.prototype._flush = function(cb) {
+	if (this._buffer.length) {
+		return cb(new errors.BinFileError('Incomplete record of ' + this._buffer.length +
+			' bytes at ' + this.position + ' at end of stream', {
+			offset: this.position,
+			available: this._buffer.length
+		}));
+	}
+	cb();
+};
+
+/**
+ * Writable stream encoding objects to file.
+ *
+ * Each object is written with a struct layout after the previous one.
+ * Buffered objects are written together with a single Struct.Write.
+ *
+ * @param {File}            file    File to write to
+ * @param {int}             pos     Start position
+ * @param {Schema|Function} layout  Schema, or function queuing fields of an
+ *                                  object to a Struct.Write
+ * @param {object}          options Writable stream options
+ */
+function RecordWriter(file, pos, layout, options) {
+	if (!(this instanceof RecordWriter))
+		return new RecordWriter(file, pos, layout, options);
+
+	options = Object.assign({}, options, { objectMode: true });
+	stream.Writable.call(this, options);
+
+	this.file = file;
+	this.position = pos || 0;
+	this.layout = layout;
+}
+util.inherits(RecordWriter, stream.Writable);
+module.exports.RecordWriter = RecordWriter;
+
+RecordWriter.prototype._write = function(record, encoding, cb) {
+	this._writev([{ chunk: record }], cb);
+};
+
+RecordWriter.prototype._writev = function(chunks, cb) {
+	var struct = new Struct.Write(this.file, this.position);
+
+	try {
+		chunks.forEach((item) => {
+			if (typeof this.layout == 'function')
+				this.layout(struct, item.chunk);
+			else
+				this.layout.queueWrite(struct, item.chunk);
+		});
+	} catch (err) {
+		return cb(err);
+	}
+
+	debug('write %d records at %d', chunks.length, this.position);
+	struct.write((err, position) => {
+		if (err) return cb(err);
+		this.position = position;
+		cb();
+	});
+};
@@ -0,0 +1,157 @@
+"use strict";
+
+//
+// String encoding helpers
+//
+// String methods take either an encoding name or an options object:
+//
+//   encoding  Buffer encoding, 'utf8' by default
+//   padding   Padding character used to fill fixed length strings on write
+//             ('\0' by default), and trimmed from the end on read if given
+//   length    Fixed length of a written string in bytes
+//   unit      Unit of length prefixes, 'bytes' (default) or 'chars'
+//
+
+/**
+ * Normalize string options.
+ * @param  {string|object} options Encoding name or options object
+ * @return {object}                Options object
+ */
+function stringOptions(options) {
+	if (typeof options == 'string')
+		options = { encoding: options };
+	options = Object.assign({}, options);
+	options.encoding = options.encoding || 'utf8';
+	return options;
+}
+module.exports.options = stringOptions;
+
+/**
+ * Decode string and trim padding if given.
+ * @param  {Buffer} data    Encoded string
+ * @param  {object} options String options
+ * @return {string}         String
+ */
+function decode(data, options) {
+	var str = data.toString(options.encoding);
+	var pad = options.padding;
+	if (typeof pad == 'number')
+		pad = String.fromCharCode(pad);
+
+	if (pad) {
+		var end = str.length;
+		while (end >= pad.length && str.slice(end - pad.length, end) === pad)
+			end -= pad.length;
+		str = str.slice(0, end);
+	}
+	return str;
+}
+module.exports.decode = decode;
+
+/**
+ * Encode string, padded or truncated to `options.length` bytes if given.
+ *
+ * Truncated strings are cut at a character boundary.
+ *
+ * @param  {string} str     String
+ * @param  {object} options String options
+ * @return {Buffer}         Encoded string
+ */
+function encode(str, options) {
+	if (options.length === undefined)
+		return new Buffer(str, options.encoding);
+
+	var buffer = new Buffer(options.length);
+	var written = buffer.write(str, 0, options.length, options.encoding);
+	if (written < options.length)
+		buffer.fill(options.padding || 0, written, options.length, options.encoding);
+	return buffer;
+}
+module.exports.encode = encode;
+
+var charSizes = {
+	ascii: 1,
+	latin1: 1,
+	binary: 1,
+	ucs2: 2,
+	'ucs-2': 2,
+	utf16le: 2,
+	'utf-16le': 2,
+	hex: 0.5
+};
+
+/**
+ * Get string length in the unit of `options.unit`.
+ *
+ * Characters are counted as JavaScript string length, so a character
+ * outside of the basic multilingual plane counts as two.
+ */
+function length(str, options) {
+	if (options.unit == 'chars')
+		return str.length;
+	return Buffer.byteLength(str, options.encoding);
+}
+module.exports.length = length;
+
+/**
+ * Get maximum byte size of `count` characters.
+ */
+function maxBytes(count, encoding) {
+	if (charSizes.hasOwnProperty(encoding))
+		return Math.ceil(count * charSizes[encoding]);
+	if (encoding == 'utf8' || encoding == 'utf-8')
+		return count * 3;
+	throw new TypeError("Character length prefix is not supported for encoding '" + encoding + "'");
+}
+module.exports.maxBytes = maxBytes;
+
+/**
+ * Get byte size of the first `count` characters of encoded data.
+ * @return {int} Byte size, or -1 if the data is too short
+ */
+function charBytes(data, count, encoding) {
+	if (charSizes.hasOwnProperty(encoding)) {
+		var size = Math.ceil(count * charSizes[encoding]);
+		return size <= data.length ? size : -1;
+	}
+
+	// utf8: leading byte gives the sequence length, four byte sequences are
+	// surrogate pairs counting as two characters
+	var pos = 0;
+	while (count > 0) {
+		if (pos >= data.length)
+			return -1;
+
+		var lead = data[pos];
+		if (lead >= 0xf0) {
+			pos += 4;
+			count -= 2;
+		} else {
+			pos += lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+			count -= 1;
+		}
+	}
+	return pos <= data.length ? pos : -1;
+}
+module.exports.charBytes = charBytes;
+
+/**
+ * Get size of the NUL terminator in bytes.
+ */
+function terminatorSize(encoding) {
+	return charSizes[encoding] == 2 ? 2 : 1;
+}
+module.exports.terminatorSize = terminatorSize;
+
+/**
+ * Find NUL terminator aligned to its size.
+ * @return {int} Terminator position, or -1 if not found
+ */
+function findTerminator(data, size) {
+	for (var i = 0; i + size <= data.length; i += size) {
+		if (data[i] === 0 && (size == 1 || data[i + 1] === 0))
+			return i;
+	}
+	return -1;
+}
+module.exports.findTerminator = findTerminator;
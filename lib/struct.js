@@ -2,19 +2,122 @@
 
 var debug = require('debug')('file:struct');
 
+var makeCallback = require('./util').makeCallback;
+var repeat = require('./util').repeat;
+var numberTypes = require('./util').numberTypes;
+var varintTypes = require('./util').varintTypes;
+var Schema = require('./schema');
+var view = require('./view');
+var errors = require('./errors');
+var Checksum = require('./checksum');
+var Dump = require('./dump').Dump;
+var loader = require('./loader');
+var Versioned = require('./versioned');
+
 module.exports = {};
 
+/**
+ * Define reusable struct layout.
+ * @param  {object|Array} fields  Field specifications
+ * @param  {object}       options Schema options
+ * @return {Schema}               Schema object
+ */
+module.exports.define = function(fields, options) {
+	return new Schema(fields, options);
+};
+module.exports.Schema = Schema;
+
+/**
+ * Define struct with a layout for each version of a format.
+ * @param  {object}    options Versioned options
+ * @return {Versioned}         Versioned object
+ */
+module.exports.versioned = function(options) {
+	return new Versioned(options);
+};
+module.exports.Versioned = Versioned;
+
+// JSON layouts
+module.exports.load = loader.load;
+module.exports.loadSync = loader.loadSync;
+module.exports.fromJSON = loader.fromJSON;
+module.exports.validate = loader.validate;
+
+/**
+ * Resolve field argument which may depend on the partial result.
+ * @param  {}       arg    Value or function of the result
+ * @param  {object} result Partial result
+ */
+function resolve(arg, result) {
+	if (typeof arg == 'function')
+		return arg(result);
+	return arg;
+}
+
+/**
+ * Check bit order argument.
+ * @param  {string}  order 'msb' (default) or 'lsb'
+ * @return {Boolean}       True if least significant bit is first
+ */
+function lsbFirst(order) {
+	order = (order || 'msb').toLowerCase();
+	if (order != 'msb' && order != 'lsb')
+		throw new TypeError("Invalid bit order '" + order + "'");
+	return order == 'lsb';
+}
+
+/**
+ * Resolve checksum range to offsets from the start of the struct.
+ *
+ * `start` and `end` are offsets, or names of fields starting and ending the
+ * range. The range defaults to everything before the checksum field.
+ *
+ * @param  {object} options Checksum options
+ * @param  {object} offsets Field offsets by name
+ * @param  {int}    offset  Offset of the checksum field
+ * @return {object}         `{ start, end }`
+ */
+function checksumRange(options, offsets, offset) {
+	var edge = (value, side, def) => {
+		if (value === undefined)
+			return def;
+		if (typeof value != 'string')
+			return value;
+		if (!offsets.hasOwnProperty(value) || offsets[value][side] === undefined)
+			throw new errors.BinFileError("Unknown field '" + value + "' in checksum range");
+		return offsets[value][side];
+	};
+
+	return {
+		start: edge(options.start, 'start', 0),
+		end: edge(options.end, 'end', offset)
+	};
+}
+
 /**
  * Write custom struct to file.
+ *
+ * Fields are encoded into memory and written to the file with a single write
+ * unless `options.buffered` is false.
+ *
+ * With `options.lock` the written range is locked for the write, waiting for
+ * other locks of the range. `lock` may also be an object of File#lock
+ * options. Unbuffered writes lock from the start position to the end of
+ * file as the size is not known in advance.
  */
-function Write(file, position) {
+function Write(file, position, options) {
 	if (!(this instanceof Write))
-		return new Write(file, position);
+		return new Write(file, position, options);
 
 	this.file = file;
 	this.position = position;
+	this.options = options || {};
 
 	this.queue = [];
+	this._bits = null;
+	this._scopes = [{ start: this.position, offsets: {}, reserved: {} }];
+	this._patches = [];
+	this._checksums = [];
 }
 module.exports.Write = Write;
 
@@ -26,10 +129,18 @@ Write.prototype.buffer = function(buffer) {
 	return this;
 };
 
-Write.prototype.string = function(str) {
+Write.prototype.string = function(str, options) {
+	this.queue.push((done) => {
+		debug('string: %s at %d', str, this.position);
+		this.file.writeString(str, this.position, options, done);
+	});
+	return this;
+};
+
+Write.prototype.cstring = function(str, options) {
 	this.queue.push((done) => {
-		debug('string: %d bytes at %d', Buffer.byteLength(str), this.position);
-		this.file.writeString(str, this.position, done);
+		debug('cstring: %s at %d', str, this.position);
+		this.file.writeCString(str, this.position, options, done);
 	});
 	return this;
 };
@@ -66,25 +177,25 @@ Write.prototype.intLE = function(value, len) {
 	return this;
 };
 
-Write.prototype.stringLenBE = function(str, len_size) {
+Write.prototype.stringLenBE = function(str, len_size, options) {
 	this.queue.push((done) => {
-		debug('stringLenBE: %d bytes at %d', Buffer.byteLength(str) + len_size, this.position);
-		this.file.writeStringLenBE(str, this.position, len_size, done);
+		debug('stringLenBE: %s at %d', str, this.position);
+		this.file.writeStringLenBE(str, this.position, len_size, options, done);
 	});
 	return this;
 };
 
-Write.prototype.stringLenLE = function(str, len_size) {
+Write.prototype.stringLenLE = function(str, len_size, options) {
 	this.queue.push((done) => {
-		debug('stringLenBE: %d bytes at %d', Buffer.byteLength(str) + len_size, this.position);
-		this.file.writeStringLenLE(str, this.position, len_size, done);
+		debug('stringLenLE: %s at %d', str, this.position);
+		this.file.writeStringLenLE(str, this.position, len_size, options, done);
 	});
 	return this;
 };
 
 Write.prototype.bufferLenBE = function(data, len_size) {
 	this.queue.push((done) => {
-		debug('bufferLenBE: %d bytes at %d', data.length + len_size, this.position);
+		debug('bufferLenBE: %d bytes at %d', data.length, this.position);
 		this.file.writeBufferLenBE(data, this.position, len_size, done);
 	});
 	return this;
@@ -92,115 +203,497 @@ Write.prototype.bufferLenBE = function(data, len_size) {
 
 Write.prototype.bufferLenLE = function(data, len_size) {
 	this.queue.push((done) => {
-		debug('bufferLenLE: %d bytes at %d', data.length + len_size, this.position);
+		debug('bufferLenLE: %d bytes at %d', data.length, this.position);
 		this.file.writeBufferLenLE(data, this.position, len_size, done);
 	});
 	return this;
 };
 
+// Number fields, e.g. floatBE(value), doubleLE(value), bigInt64BE(value),
+// and varints varUInt(value), varInt(value), zigZag(value)
+Object.keys(numberTypes).concat(Object.keys(varintTypes)).forEach((type) => {
+	var method = type[0].toLowerCase() + type.slice(1);
+
+	Write.prototype[method] = function(value) {
+		this.queue.push((done) => {
+			debug('%s: %s at %d', method, value, this.position);
+			this.file['write' + type](value, this.position, done);
+		});
+		return this;
+	};
+});
+
+/**
+ * Write `n` bits of an unsigned integer.
+ *
+ * Consecutive bit fields are packed into the same bytes. A partially filled
+ * byte is padded with zero bits and written before the next byte field.
+ *
+ * @param  {int}    value Value to write
+ * @param  {int}    n     Number of bits
+ * @param  {string} order Bit order in a byte, 'msb' (default) or 'lsb' first
+ */
+Write.prototype.bits = function(value, n, order) {
+	var lsb = lsbFirst(order);
+	var fn = (done) => {
+		debug('bits: %d in %d bits at %d', value, n, this.position);
+		if (value < 0 || value >= Math.pow(2, n) || Math.floor(value) !== value)
+			return done(new RangeError('Value ' + value + ' does not fit in ' + n + ' bits'));
+
+		var state = this._bits || { byte: 0, used: 0 };
+		var bytes = [];
+		for (var i = 0; i < n; i++) {
+			var bit = Math.floor(value / Math.pow(2, lsb ? i : n - 1 - i)) % 2;
+			state.byte |= bit << (lsb ? state.used : 7 - state.used);
+			if (++state.used == 8) {
+				bytes.push(state.byte);
+				state = { byte: 0, used: 0 };
+			}
+		}
+		this._bits = state.used ? state : null;
+
+		if (!bytes.length) return done(null, 0);
+		this.file.write(new Buffer(bytes), this.position, done);
+	};
+	fn.unaligned = true;
+	this.queue.push(fn);
+	return this;
+};
+
+/**
+ * Write pending bits padded to a full byte.
+ */
+Write.prototype._align = function(done) {
+	var byte = new Buffer([this._bits.byte]);
+	debug('align: 0x%s at %d', byte.toString('hex'), this.position);
+	this._bits = null;
+	this.file.write(byte, this.position, done);
+};
+
+/**
+ * Write checksum of a range of the struct.
+ *
+ * The field is written as zeros and filled in after the rest of the struct
+ * is written, so the range may also cover fields after the checksum.
+ *
+ * @param  {string} algorithm Checksum algorithm, see lib/checksum.js
+ * @param  {object} options   `start` and `end` of the range as offsets from
+ *                            the start of the struct or field names,
+ *                            `endian`, and `size` for 'sum'
+ */
+Write.prototype.checksum = function(algorithm, options) {
+	options = options || {};
+	var checksum = new Checksum(algorithm, options);
+
+	this.queue.push((done) => {
+		var scope = this._scopes[this._scopes.length - 1];
+		var pos = this.position;
+		debug('checksum: %s at %d', algorithm, pos);
+
+		this._checksums.push((cb) => {
+			var range;
+			try {
+				range = checksumRange(options, scope.offsets, pos - scope.start);
+			} catch (err) {
+				return cb(err);
+			}
+
+			checksum.computeFile(this.file, scope.start + range.start, range.end - range.start, (err, value) => {
+				if (err) return cb(err);
+				this.file.write(checksum.encode(value), pos, cb);
+			});
+		});
+
+		this._placeholder(checksum.size, done);
+	});
+	return this;
+};
+
+/**
+ * Reserve unsigned integer field filled in later by `target`.
+ * @param  {string} name    Field name
+ * @param  {int}    len     Size in bytes
+ * @param  {object} options `endian`, 'BE' by default
+ */
+Write.prototype.reserve = function(name, len, options) {
+	var endian = ((options && options.endian) || 'BE').toUpperCase();
+
+	return this.field(name, () => this.queue.push((done) => {
+		var field = { position: this.position, value: undefined };
+		this._scopes[this._scopes.length - 1].reserved[name] = field;
+		debug("reserve '%s': %d bytes at %d", name, len, field.position);
+
+		this._patches.push((cb) => {
+			if (field.value === undefined)
+				return cb(new errors.BinFileError("Reserved field '" + name + "' was not filled"));
+			this.file['writeUInt' + endian](field.value, field.position, len, cb);
+		});
+		this._placeholder(len, done);
+	}));
+};
+
+/**
+ * Fill reserved field with the current position.
+ * @param  {string} name    Name of the reserved field
+ * @param  {object} options `relative` to store the offset from the start of
+ *                          the struct instead of the file
+ */
+Write.prototype.target = function(name, options) {
+	var relative = options && options.relative;
+
+	this.queue.push((done) => {
+		for (var i = this._scopes.length - 1; i >= 0; i--) {
+			var scope = this._scopes[i];
+			if (!scope.reserved.hasOwnProperty(name))
+				continue;
+
+			debug("target '%s': %d", name, this.position);
+			scope.reserved[name].value = relative ? this.position - scope.start : this.position;
+			return done(null, 0);
+		}
+		done(new errors.BinFileError("Unknown reserved field '" + name + "'"));
+	});
+	return this;
+};
+
+/**
+ * Write size of a named field as an unsigned integer.
+ *
+ * The size is filled in after the rest of the struct is written, so the
+ * field may come before or after this one.
+ *
+ * @param  {string} name    Field name
+ * @param  {int}    len     Size in bytes
+ * @param  {string} target  Name of the measured field
+ * @param  {object} options `endian`, 'BE' by default
+ */
+Write.prototype.sizeOf = function(name, len, target, options) {
+	var endian = ((options && options.endian) || 'BE').toUpperCase();
+
+	return this.field(name, () => this.queue.push((done) => {
+		var scope = this._scopes[this._scopes.length - 1];
+		var pos = this.position;
+		debug("sizeOf '%s': '%s' at %d", name, target, pos);
+
+		this._patches.push((cb) => {
+			var field = scope.offsets[target];
+			if (!field || field.end === undefined)
+				return cb(new errors.BinFileError("Unknown field '" + target + "' in sizeOf '" + name + "'"));
+			this.file['writeUInt' + endian](field.end - field.start, pos, len, cb);
+		});
+		this._placeholder(len, done);
+	}));
+};
+
+/**
+ * Write zeros in place of a value filled in later.
+ */
+Write.prototype._placeholder = function(size, done) {
+	var placeholder = new Buffer(size);
+	placeholder.fill(0);
+	this.file.write(placeholder, this.position, done);
+};
+
+/**
+ * Write fields under a name which checksum ranges and `sizeOf` can refer to.
+ * @param  {string}   name  Field name
+ * @param  {Function} build Function gets this Write to queue the fields to
+ */
+Write.prototype.field = function(name, build) {
+	var field = {};
+	var mark = (side) => {
+		var fn = (done) => {
+			var scope = this._scopes[this._scopes.length - 1];
+			scope.offsets[name] = field;
+			field[side] = this.position - scope.start;
+			done(null, 0);
+		};
+		fn.unaligned = true;
+		this.queue.push(fn);
+	};
+
+	mark('start');
+	build(this);
+	mark('end');
+	return this;
+};
+
+/**
+ * Queue fields in a new scope for field offsets.
+ *
+ * Scopes start and end at byte boundary.
+ */
+Write.prototype._scope = function(queue) {
+	this.queue.push((done) => {
+		this._scopes.push({ start: this.position, offsets: {}, reserved: {} });
+		done(null, 0);
+	});
+	queue();
+	this.queue.push((done) => {
+		this._scopes.pop();
+		done(null, 0);
+	});
+	return this;
+};
+
+Write.prototype.struct = function(value, schema) {
+	debug('struct');
+	return this._scope(() => schema.queueWrite(this, value));
+};
+
+Write.prototype.array = function(values, item) {
+	debug('array: %d items', values.length);
+	return this._scope(() => values.forEach((value, i) => item(this, value, i)));
+};
+
 Write.prototype.write = function(cb) {
-	var next = () => {
-		var fn = this.queue.shift();
+	cb = makeCallback(arguments, this);
 
-		if (!fn) return cb(null, this.position);
+	var file = this.file;
+	var start = this.position;
+	if (this.options.buffered !== false && !file.writeBehind)
+		this.file = view.writeBehind(file);
+	var buffered = this.file !== file;
 
-		fn((err, written) => {
+	var held = null;
+	var lock = (end, done) => {
+		if (!this.options.lock) return done(null);
+
+		var options = Object.assign({ wait: true }, this.options.lock);
+		file.lock({ start: start, end: end }, options, (err, lock) => {
+			held = lock;
+			done(err);
+		});
+	};
+
+	var finish = (err) => {
+		this.file = file;
+		if (!held) return err ? cb(err) : cb(null, this.position);
+
+		file.unlock(held, (unlockErr) => {
+			err = err || unlockErr;
 			if (err) return cb(err);
-			this.position += written;
-			next();
+			cb(null, this.position);
 		});
 	};
-	next();
+
+	// unbuffered writes are locked first as their size is not known yet
+	var none = (done) => done(null);
+	var before = buffered ? none : (done) => lock(Infinity, done);
+	var after = buffered ? (done) => lock(this.position, done) : none;
+	var flush = buffered ? (done) => this.file.flush(done) : none;
+
+	before((err) => {
+		if (err) return finish(err);
+
+		this._write((err) => {
+			if (err) return finish(err);
+
+			after((err) => {
+				if (err) return finish(err);
+
+				flush((err) => {
+					this.file = file;
+					if (err) return finish(err);
+					this._patch(finish);
+				});
+			});
+		});
+	});
+	return cb.promise;
 };
 
+/**
+ * Run deferred patches of fields written before their values were known.
+ *
+ * Checksums are computed last so that they cover the patched values.
+ */
+Write.prototype._patch = function(cb) {
+	repeat((done) => {
+		var fn = this._patches.shift() || this._checksums.shift();
+		if (!fn) return done(null, false);
+		fn((err) => done(err, true));
+	}, cb);
+};
+
+/**
+ * Run queued writes.
+ *
+ * Pending bits are written before any byte field and at the end.
+ */
+Write.prototype._write = function(cb) {
+	repeat((done) => {
+		var fn = this.queue.shift();
+		if (this._bits && !(fn && fn.unaligned)) {
+			if (fn) this.queue.unshift(fn);
+			fn = this._align.bind(this);
+		}
+		if (!fn) return done(null, false);
+
+		fn((err, written) => {
+			if (err) return done(err);
+			this.position += written;
+			done(null, true);
+		});
+	}, cb);
+};
+
+/**
+ * Write struct synchronously.
+ * @return {int} End position
+ */
+Write.prototype.writeSync = function() {
+	var file = this.file;
+	var error, position;
+
+	this.file = view.syncFile(file);
+	try {
+		this.write((err, pos) => {
+			error = err;
+			position = pos;
+		});
+	} finally {
+		this.file = file;
+	}
+
+	if (error) throw error;
+	return position;
+};
 
 // Write aliases
 Write.prototype.uint = Write.prototype.uintBE;
 Write.prototype.int = Write.prototype.intBE;
 Write.prototype.stringLen = Write.prototype.stringLenBE;
 Write.prototype.bufferLen = Write.prototype.bufferLenBE;
+Write.prototype.float = Write.prototype.floatBE;
+Write.prototype.double = Write.prototype.doubleBE;
+Write.prototype.bigInt64 = Write.prototype.bigInt64BE;
+Write.prototype.bigUInt64 = Write.prototype.bigUInt64BE;
 
 /**
  * Read custom struct from file.
+ *
+ * Fields are parsed from a read-ahead buffer of `options.readAhead` bytes
+ * (4096 by default) unless `options.buffered` is false.
+ *
+ * Reads past the end of file fail with EOFError naming the field. With
+ * `options.allowPartial` the fields read before the end are returned instead.
  */
-function Read(file, position) {
+function Read(file, position, options) {
 	if (!(this instanceof Read))
-		return new Read(file, position);
+		return new Read(file, position, options);
 
 	this.file = file;
 	this.position = position || 0;
+	this.options = options || {};
 
 	this.queue = [];
+	this._bits = null;
+	this._start = this.position;
+	this._offsets = {};
+
+	// fields read are traced for dumps
+	this._trace = null;
+	this._prefix = '';
 }
 module.exports.Read = Read;
 
+/**
+ * Create reader of nested fields.
+ * @param  {int}    position Start position
+ * @param  {string} name     Name of the nested struct, or null if the fields
+ *                           are merged to this struct
+ * @return {Read}            Read object
+ */
+Read.prototype._sub = function(position, name) {
+	var sub = new Read(this.file, position);
+	sub._trace = this._trace;
+	sub._prefix = name === null ? this._prefix : this._prefix + name + '.';
+	return sub;
+};
+
 Read.prototype.buffer = function(name, len) {
-	this.queue.push((done) => {
-		debug("buffer '%s' %d bytes at %d", name, len, this.position);
-		this.file.read(this.position, len, (err, data, bytesRead) => {
+	this.queue.push((done, result) => {
+		var size = resolve(len, result);
+		debug("buffer '%s' %d bytes at %d", name, size, this.position);
+		this.file.read(this.position, size, (err, data, bytesRead) => {
 			done(err, name, data, bytesRead);
 		});
 	});
 	return this;
 };
-Read.prototype.string = function(name, len) {
+Read.prototype.string = function(name, len, options) {
+	this.queue.push((done, result) => {
+		var size = resolve(len, result);
+		debug("string '%s' %d bytes at %d", name, size, this.position);
+		this.file.readString(this.position, size, options, (err, value, bytesRead) => {
+			done(err, name, value, bytesRead);
+		});
+	});
+	return this;
+};
+Read.prototype.cstring = function(name, options) {
 	this.queue.push((done) => {
-		debug("string '%s' %d bytes at %d", name, len, this.position);
-		this.file.readString(this.position, len, (err, value, bytesRead) => {
+		debug("cstring '%s' at %d", name, this.position);
+		this.file.readCString(this.position, options, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
 	return this;
 };
 Read.prototype.uintBE = function(name, len) {
-	this.queue.push((done) => {
-		debug("uintBE '%s' %d bytes at %d", name, len, this.position);
-		this.file.readUIntBE(this.position, len, (err, value, bytesRead) => {
+	this.queue.push((done, result) => {
+		var size = resolve(len, result);
+		debug("uintBE '%s' %d bytes at %d", name, size, this.position);
+		this.file.readUIntBE(this.position, size, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
 	return this;
 };
 Read.prototype.uintLE = function(name, len) {
-	this.queue.push((done) => {
-		debug("uintLE '%s' %d bytes at %d", name, len, this.position);
-		this.file.readUIntLE(this.position, len, (err, value, bytesRead) => {
+	this.queue.push((done, result) => {
+		var size = resolve(len, result);
+		debug("uintLE '%s' %d bytes at %d", name, size, this.position);
+		this.file.readUIntLE(this.position, size, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
 	return this;
 };
 Read.prototype.intBE = function(name, len) {
-	this.queue.push((done) => {
-		debug("intBE '%s' %d bytes at %d", name, len, this.position);
-		this.file.readIntBE(this.position, len, (err, value, bytesRead) => {
+	this.queue.push((done, result) => {
+		var size = resolve(len, result);
+		debug("intBE '%s' %d bytes at %d", name, size, this.position);
+		this.file.readIntBE(this.position, size, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
 	return this;
 };
 Read.prototype.intLE = function(name, len) {
-	this.queue.push((done) => {
-		debug("intLE '%s' %d bytes at %d", name, len, this.position);
-		this.file.readIntLE(this.position, len, (err, value, bytesRead) => {
+	this.queue.push((done, result) => {
+		var size = resolve(len, result);
+		debug("intLE '%s' %d bytes at %d", name, size, this.position);
+		this.file.readIntLE(this.position, size, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
 	return this;
 };
-Read.prototype.stringLenBE = function(name, len_size) {
+Read.prototype.stringLenBE = function(name, len_size, options) {
 	this.queue.push((done) => {
 		debug("stringLenBE '%s' at %d", name, this.position);
-		this.file.readStringLenBE(this.position, len_size, (err, value, bytesRead) => {
+		this.file.readStringLenBE(this.position, len_size, options, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
 	return this;
 };
-Read.prototype.stringLenLE = function(name, len_size) {
+Read.prototype.stringLenLE = function(name, len_size, options) {
 	this.queue.push((done) => {
 		debug("stringLenLE '%s' at %d", name, this.position);
-		this.file.readStringLenLE(this.position, len_size, (err, value, bytesRead) => {
+		this.file.readStringLenLE(this.position, len_size, options, (err, value, bytesRead) => {
 			done(err, name, value, bytesRead);
 		});
 	});
@@ -227,25 +720,388 @@ Read.prototype.bufferLenLE = function(name, len_size) {
 	return this;
 };
 
+// Number fields, e.g. floatBE(name), doubleLE(name), bigInt64BE(name),
+// and varints varUInt(name), varInt(name), zigZag(name)
+Object.keys(numberTypes).concat(Object.keys(varintTypes)).forEach((type) => {
+	var method = type[0].toLowerCase() + type.slice(1);
+
+	Read.prototype[method] = function(name) {
+		this.queue.push((done) => {
+			debug("%s '%s' at %d", method, name, this.position);
+			this.file['read' + type](this.position, (err, value, bytesRead) => {
+				done(err, name, value, bytesRead);
+			});
+		});
+		return this;
+	};
+});
+
+/**
+ * Read `n` bits as an unsigned integer.
+ *
+ * Consecutive bit fields are read from the same bytes. The rest of a
+ * partially read byte is skipped before the next byte field.
+ *
+ * @param  {string} name  Field name
+ * @param  {int}    n     Number of bits, or function of the partial result
+ * @param  {string} order Bit order in a byte, 'msb' (default) or 'lsb' first
+ */
+Read.prototype.bits = function(name, n, order) {
+	var lsb = lsbFirst(order);
+	var fn = (done, result) => {
+		var count = resolve(n, result);
+		var state = this._bits || { byte: 0, used: 8 };
+		var size = Math.max(0, Math.ceil((count - 8 + state.used) / 8));
+		debug("bits '%s' %d bits at %d", name, count, this.position);
+
+		var extract = (data) => {
+			var value = 0;
+			var byte = state.byte;
+			var used = state.used;
+			for (var i = 0, j = 0; i < count; i++) {
+				if (used == 8) {
+					byte = data[j++];
+					used = 0;
+				}
+				var bit = (byte >> (lsb ? used : 7 - used)) & 1;
+				used++;
+				value = lsb ? value + bit * Math.pow(2, i) : value * 2 + bit;
+			}
+			this._bits = used < 8 ? { byte: byte, used: used } : null;
+			return value;
+		};
+
+		if (!size)
+			return done(null, name, extract(), 0);
+
+		this.file.read(this.position, size, (err, data, bytesRead) => {
+			if (err) return done(err, name);
+			done(null, name, extract(data), bytesRead);
+		});
+	};
+	fn.unaligned = true;
+	this.queue.push(fn);
+	return this;
+};
+
+/**
+ * Read and verify checksum of a range of the struct.
+ *
+ * Fields named in the range must be read before the checksum. Mismatches
+ * fail with BinFileError which has the `stored` and `computed` values.
+ *
+ * @param  {string} name      Field name
+ * @param  {string} algorithm Checksum algorithm, see lib/checksum.js
+ * @param  {object} options   `start` and `end` of the range as offsets from
+ *                            the start of the struct or field names,
+ *                            `endian`, and `size` for 'sum'
+ */
+Read.prototype.checksum = function(name, algorithm, options) {
+	options = options || {};
+	var checksum = new Checksum(algorithm, options);
+
+	this.queue.push((done) => {
+		var pos = this.position;
+		var range;
+		try {
+			range = checksumRange(options, this._offsets, pos - this._start);
+		} catch (err) {
+			return done(err, name);
+		}
+
+		debug("checksum '%s' %s at %d", name, algorithm, pos);
+		this.file.read(pos, checksum.size, { allowPartial: false }, (err, data, bytesRead) => {
+			if (err) return done(err, name);
+
+			var stored = checksum.decode(data);
+			checksum.computeFile(this.file, this._start + range.start, range.end - range.start, (err, computed) => {
+				if (err) return done(err, name);
+				done(checksum.check(stored, computed, {
+					path: this.file.filepath,
+					offset: pos
+				}), name, stored, bytesRead);
+			});
+		});
+	});
+	return this;
+};
+
+/**
+ * Read unsigned integer offset and a struct at that offset.
+ *
+ * Reading continues after the offset field.
+ *
+ * @param  {string}          name    Field name
+ * @param  {int}             len     Size of the offset in bytes
+ * @param  {Schema|Function} layout  Schema, or function which gets a Read to
+ *                                   queue the fields to
+ * @param  {object}          options `endian`, 'BE' by default, and `relative`
+ *                                   for offsets from the start of the struct
+ */
+Read.prototype.pointer = function(name, len, layout, options) {
+	options = options || {};
+	var method = 'readUInt' + (options.endian || 'BE').toUpperCase();
+
+	this.queue.push((done) => {
+		debug("pointer '%s' %d bytes at %d", name, len, this.position);
+		this.file[method](this.position, len, (err, offset, bytesRead) => {
+			if (err) return done(err, name);
+
+			var sub = this._sub(options.relative ? this._start + offset : offset, name);
+			if (layout instanceof Schema)
+				layout.queueRead(sub);
+			else
+				layout(sub);
+
+			sub.read((err, value) => {
+				done(err, name, value, bytesRead);
+			});
+		});
+	});
+	return this;
+};
+
+Read.prototype.struct = function(name, schema) {
+	this.queue.push((done) => {
+		debug("struct '%s' at %d", name, this.position);
+		var start = this.position;
+		var sub = this._sub(start, name);
+		schema.queueRead(sub);
+		sub.read((err, value, end) => {
+			done(err, name, value, end - start);
+		});
+	});
+	return this;
+};
+
+Read.prototype.array = function(name, count, item) {
+	this.queue.push((done, result) => {
+		var n = resolve(count, result);
+		debug("array '%s' %d items at %d", name, n, this.position);
+		var start = this.position;
+		var sub = this._sub(start, name);
+		for (var i = 0; i < n; i++)
+			item(sub, i);
+		sub.read((err, res, end) => {
+			if (err) return done(err, name);
+			var value = [];
+			for (var i = 0; i < n; i++)
+				value.push(res[i]);
+			done(null, name, value, end - start);
+		});
+	});
+	return this;
+};
+
+/**
+ * Read fields only if condition is true.
+ *
+ * Fields queued by `build` are read into the same result object.
+ *
+ * @param  {Function} cond  Condition function gets the partial result
+ * @param  {Function} build Function gets a Read to queue the fields to
+ */
+Read.prototype.if = function(cond, build) {
+	var fn = (done, result) => {
+		if (!cond(result)) {
+			debug('if: skipped at %d', this.position);
+			return done(null, null, undefined, 0);
+		}
+
+		debug('if: read at %d', this.position);
+		this._merge(build, result, done);
+	};
+	fn.unaligned = true;
+	this.queue.push(fn);
+	return this;
+};
+
+/**
+ * Read fields selected by value of a previously read field.
+ *
+ * `cases` maps field values to functions which get a Read to queue the
+ * fields to. The `default` case is used for values without a case.
+ *
+ * @param  {string|Function} key   Field name or function returning the value
+ * @param  {object}          cases Cases by field value
+ */
+Read.prototype.switch = function(key, cases) {
+	var fn = (done, result) => {
+		var value = typeof key == 'function' ? key(result) : result[key];
+		var build = cases.hasOwnProperty(value) ? cases[value] : cases.default;
+
+		debug("switch '%s': %s at %d", key, value, this.position);
+		if (!build)
+			return done(new errors.BinFileError("No case for value '" + value + "' of '" + key + "'", {
+				path: this.file.filepath,
+				offset: this.position
+			}));
+
+		this._merge(build, result, done);
+	};
+	fn.unaligned = true;
+	this.queue.push(fn);
+	return this;
+};
+
+/**
+ * Read fields queued by `build` into an existing result.
+ *
+ * Bit fields continue from the bit position of this reader.
+ */
+Read.prototype._merge = function(build, result, done) {
+	var start = this.position;
+	var sub = this._sub(start, null);
+	sub._bits = this._bits;
+	sub._start = this._start;
+	sub._offsets = this._offsets;
+	build(sub);
+	sub._read(result, (err, res, end) => {
+		this._bits = sub._bits;
+		done(err, null, undefined, end - start);
+	});
+};
+
 Read.prototype.read = function(cb) {
+	cb = makeCallback(arguments, this);
+
+	var file = this.file;
+	if (this.options.buffered !== false && !file.readAhead)
+		this.file = view.readAhead(file, this.options.readAhead || 4096);
+
 	var result = {};
+	this._read(result, (err, res, position) => {
+		this.file = file;
 
-	var next = () => {
-		var fn = this.queue.shift();
+		if (err instanceof errors.EOFError && this.options.allowPartial) {
+			debug('partial read: %s', err.message);
+			return cb(null, result, this.position);
+		}
+		cb(err, res, position);
+	});
+	return cb.promise;
+};
 
-		if (!fn) return cb(null, result, this.position);
+/**
+ * Run queued reads and store fields to `result`.
+ *
+ * Queued functions get the partial result so that fields can depend on the
+ * values read before them. Fields without a name are not stored. Byte fields
+ * drop the rest of a partially read byte.
+ */
+Read.prototype._read = function(result, cb) {
+	repeat((done) => {
+		var fn = this.queue.shift();
+		if (!fn) return done(null, false);
+		if (!fn.unaligned)
+			this._bits = null;
 
 		debug('read position: %d', this.position);
+
+		var start = this.position;
 		fn((err, name, value, bytesRead) => {
-			if (err) return cb(err);
+			if (err) {
+				if (err instanceof errors.BinFileError && name !== null && name !== undefined)
+					err.addField(name);
+				return done(err);
+			}
 
 			this.position += bytesRead;
-			result[name] = value;
-			
-			next();
+			if (name !== null) {
+				result[name] = value;
+				this._offsets[name] = {
+					start: start - this._start,
+					end: this.position - this._start
+				};
+				if (this._trace) {
+					this._trace.push({
+						name: this._prefix + name,
+						offset: start,
+						size: bytesRead,
+						value: value
+					});
+				}
+			}
+			done(null, true);
+		}, result);
+	}, (err) => err ? cb(err) : cb(null, result, this.position));
+};
+
+/**
+ * Read struct and dump the fields read with their raw bytes.
+ *
+ * The dump is made also if the read fails, with the error in `dump.error`.
+ *
+ * @param  {Function} cb Callback function gets arguments (err, dump)
+ */
+Read.prototype.dump = function(cb) {
+	cb = makeCallback(arguments, this);
+
+	var trace = this._trace = [];
+	this.read((error) => {
+		this._trace = null;
+
+		var file = view.readAhead(this.file, 4096);
+		var i = 0;
+		var next = () => {
+			var field = trace[i++];
+			if (!field) return cb(null, new Dump(trace, error));
+
+			file.read(field.offset, field.size, { allowPartial: true }, (err, data) => {
+				if (err) return cb(err);
+				field.raw = data;
+				next();
+			});
+		};
+		next();
+	});
+	return cb.promise;
+};
+
+/**
+ * Read struct and dump the fields synchronously.
+ * @return {Dump} Dump object
+ */
+Read.prototype.dumpSync = function() {
+	var file = this.file;
+	var error, result;
+
+	this.file = view.syncFile(file);
+	try {
+		this.dump((err, dump) => {
+			error = err;
+			result = dump;
 		});
-	};
-	next();
+	} finally {
+		this.file = file;
+	}
+
+	if (error) throw error;
+	return result;
+};
+
+/**
+ * Read struct synchronously.
+ * @return {object} `result` object and end `position`, the arguments `read`
+ *                  passes to its callback
+ */
+Read.prototype.readSync = function() {
+	var file = this.file;
+	var error, result, position;
+
+	this.file = view.syncFile(file);
+	try {
+		this.read((err, res, pos) => {
+			error = err;
+			result = res;
+			position = pos;
+		});
+	} finally {
+		this.file = file;
+	}
+
+	if (error) throw error;
+	return { result: result, position: position };
 };
 
 // Read aliases
@@ -253,3 +1109,7 @@ Read.prototype.uint = Read.prototype.uintBE;
 Read.prototype.int = Read.prototype.intBE;
 Read.prototype.stringLen = Read.prototype.stringLenBE;
 Read.prototype.bufferLen = Read.prototype.bufferLenBE;
+Read.prototype.float = Read.prototype.floatBE;
+Read.prototype.double = Read.prototype.doubleBE;
+Read.prototype.bigInt64 = Read.prototype.bigInt64BE;
+Read.prototype.bigUInt64 = Read.prototype.bigUInt64BE;
@@ -0,0 +1,233 @@
+"use strict";
+
+/**
+ * Create callback for an asynchronous method.
+ *
+ * If the last argument is a function it is used as the callback. Otherwise
+ * the returned callback settles a promise found in `cb.promise`, which the
+ * method should return.
+ *
+ * @param  {arguments} args    Method arguments
+ * @param  {}          context Context for the user callback
+ * @return {Function}          Callback function
+ */
+function makeCallback(args, context) {
+	var callback = args[args.length - 1];
+
+	if (typeof callback == 'function') {
+		return function() {
+			callback.apply(context, arguments);
+		};
+	}
+
+	var resolve, reject;
+	var cb = function(err, value) {
+		if (err) reject(err);
+		else resolve(value);
+	};
+	cb.promise = new Promise((res, rej) => {
+		resolve = res;
+		reject = rej;
+	});
+	return cb;
+}
+module.exports.makeCallback = makeCallback;
+
+/**
+ * Call user function which either takes a callback as the second argument
+ * or returns a promise. Functions without a callback argument may also be
+ * synchronous.
+ *
+ * @param  {Function} fn  User function
+ * @param  {}         arg First argument of the function
+ * @param  {Function} cb  Callback function gets argument (err)
+ */
+function callUser(fn, arg, cb) {
+	var called = false;
+	var done = (err) => {
+		if (called) return;
+		called = true;
+		cb(err || null);
+	};
+
+	var result;
+	try {
+		result = fn(arg, done);
+	} catch (err) {
+		return done(err);
+	}
+
+	if (result && typeof result.then == 'function')
+		result.then(() => done(null), (err) => done(err || new Error('Rejected without a reason')));
+	else if (fn.length < 2)
+		done(null);
+}
+module.exports.callUser = callUser;
+
+/**
+ * Queue of asynchronous operations run one at a time in call order.
+ *
+ * An operation gets a callback function, whose arguments are passed to the
+ * callback given with the operation. An operation which throws fails with
+ * the error. The next operation runs after the callback of the previous one
+ * returns or throws.
+ */
+function Queue() {
+	if (!(this instanceof Queue))
+		return new Queue();
+
+	this._ops = [];
+	this._running = false;
+}
+module.exports.Queue = Queue;
+
+/**
+ * Get number of operations queued or running.
+ */
+Queue.prototype.pending = function() {
+	return this._ops.length;
+};
+
+/**
+ * Queue operation.
+ * @param  {Function} fn Operation gets a callback function
+ * @param  {Function} cb Optional callback function gets the arguments of the
+ *                       operation callback
+ */
+Queue.prototype.push = function(fn, cb) {
+	this._ops.push({ fn: fn, cb: cb });
+	if (!this._running)
+		this._next();
+};
+
+Queue.prototype._next = function() {
+	var op = this._ops[0];
+	if (!op) return;
+	this._running = true;
+
+	var called = false;
+	var queue = this;
+	var done = function() {
+		if (called) return;
+		called = true;
+
+		queue._ops.shift();
+		try {
+			if (op.cb) op.cb.apply(null, arguments);
+		} finally {
+			// operations queued by the callback start after it
+			queue._running = false;
+			queue._next();
+		}
+	};
+
+	try {
+		op.fn(done);
+	} catch (err) {
+		// errors thrown by the callback are not errors of the operation
+		if (called) throw err;
+		done(err);
+	}
+};
+
+/**
+ * Run `step(done)` one at a time until it calls back with an error or with
+ * false. A step which throws fails with the error.
+ *
+ * Steps completing synchronously continue in a loop, so synchronous I/O does
+ * not grow the stack.
+ *
+ * @param  {Function} step Step function gets a callback function which gets
+ *                          arguments (err, more)
+ * @param  {Function} cb   Callback function gets argument (err)
+ */
+function repeat(step, cb) {
+	var next = () => {
+		for (;;) {
+			var looping = true;
+			var sync = false;
+			var stop = false;
+			var called = false;
+			try {
+				step((err, more) => {
+					if (called) return;
+					called = true;
+					if (err || !more) {
+						stop = true;
+						return cb(err || null);
+					}
+					if (looping) sync = true;
+					else next();
+				});
+			} catch (err) {
+				// errors thrown by the callback are not errors of the step
+				if (called) throw err;
+				called = true;
+				return cb(err);
+			}
+			looping = false;
+
+			if (stop || !sync) return;
+		}
+	};
+	next();
+}
+module.exports.repeat = repeat;
+
+/**
+ * Run `fn(i, done)` for each `i` below `n` one at a time.
+ * @param  {int}      n  Number of steps
+ * @param  {Function} fn Step function gets arguments (i, done)
+ * @param  {Function} cb Callback function gets argument (err)
+ */
+function series(n, fn, cb) {
+	var i = 0;
+	repeat((done) => {
+		if (i >= n) return done(null, false);
+		fn(i++, (err) => done(err, true));
+	}, cb);
+}
+module.exports.series = series;
+
+/**
+ * Run asynchronous function synchronously. The function must call back
+ * before it returns, e.g. by using synchronous file views.
+ * @param  {Function} fn Function gets a callback function
+ * @return {Array}       Callback arguments without the error
+ */
+function runSync(fn) {
+	var error, result;
+	fn(function(err) {
+		error = err;
+		result = Array.prototype.slice.call(arguments, 1);
+	});
+	if (error) throw error;
+	return result;
+}
+module.exports.runSync = runSync;
+
+/**
+ * Fixed size number types and their sizes in bytes.
+ *
+ * Type names match the Buffer read and write methods, e.g. `readFloatBE`.
+ */
+module.exports.numberTypes = {
+	FloatBE: 4,
+	FloatLE: 4,
+	DoubleBE: 8,
+	DoubleLE: 8,
+	BigInt64BE: 8,
+	BigInt64LE: 8,
+	BigUInt64BE: 8,
+	BigUInt64LE: 8
+};
+
+/**
+ * Varint types by method name suffix, e.g. `readVarUInt`, and their
+ * encodings in lib/varint.js.
+ */
+module.exports.varintTypes = {
+	VarUInt: 'uint',
+	VarInt: 'int',
+	ZigZag: 'zigzag'
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+//
+// Variable length integer helpers
+//
+// Varints store 7 bits per byte starting from the least significant bits,
+// with the high bit set on all but the last byte (LEB128, protobuf varint).
+//
+//   uint    Unsigned LEB128
+//   int     Signed LEB128, two's complement with sign extension (DWARF, WASM)
+//   zigzag  Unsigned varint of zigzag mapped value (protobuf sint)
+//
+// Values are numbers and limited to the safe integer range.
+//
+
+// 64-bit values take at most 10 bytes
+var maxSize = 10;
+module.exports.maxSize = maxSize;
+
+function checkValue(value, unsigned) {
+	if (typeof value != 'number' || Math.floor(value) !== value)
+		throw new TypeError('Varint value must be an integer, got ' + value);
+	if (Math.abs(value) > Number.MAX_SAFE_INTEGER || (unsigned && value < 0))
+		throw new RangeError('Varint value ' + value + ' is out of range');
+}
+
+/**
+ * Encode varint.
+ * @param  {int}    value Value to encode
+ * @param  {string} type  'uint', 'int' or 'zigzag'
+ * @return {Buffer}       Encoded value
+ */
+function encode(value, type) {
+	checkValue(value, type == 'uint');
+	if (type == 'zigzag') {
+		value = value < 0 ? -2 * value - 1 : 2 * value;
+		checkValue(value, true);
+	}
+
+	var bytes = [];
+	for (;;) {
+		var byte = ((value % 128) + 128) % 128;
+		value = Math.floor(value / 128);
+
+		var last = type == 'int' ?
+			(value === 0 && !(byte & 0x40)) || (value === -1 && (byte & 0x40)) :
+			value === 0;
+		if (last) {
+			bytes.push(byte);
+			return new Buffer(bytes);
+		}
+		bytes.push(byte | 0x80);
+	}
+}
+module.exports.encode = encode;
+
+/**
+ * Decode varint from the start of a buffer.
+ * @param  {Buffer} data Data starting with the varint
+ * @param  {string} type 'uint', 'int' or 'zigzag'
+ * @return {object}      `{ value, size }`, or null if the data ends before
+ *                       the last byte of the varint
+ */
+function decode(data, type) {
+	var value = 0;
+	// negative values are summed as one's complement to keep them exact
+	var inverse = 0;
+	var scale = 1;
+
+	for (var i = 0; i < data.length && i < maxSize; i++) {
+		var byte = data[i];
+		value += (byte & 0x7f) * scale;
+		inverse += (~byte & 0x7f) * scale;
+		scale *= 128;
+
+		if (byte & 0x80)
+			continue;
+
+		if (type == 'int' && (byte & 0x40))
+			value = -inverse - 1;
+		else if (type == 'zigzag')
+			value = value % 2 ? -(value + 1) / 2 : value / 2;
+
+		if (Math.abs(value) > Number.MAX_SAFE_INTEGER)
+			throw new RangeError('Varint value is out of safe integer range');
+		return { value: value, size: i + 1 };
+	}
+
+	if (i == maxSize)
+		throw new RangeError('Varint is longer than ' + maxSize + ' bytes');
+	return null;
+}
+module.exports.decode = decode;
@@ -0,0 +1,361 @@
+"use strict";
+
+var debug = require('debug')('file:versioned');
+
+var makeCallback = require('./util').makeCallback;
+var Schema = require('./schema');
+var errors = require('./errors');
+var view = require('./view');
+
+// chunk size of data moved after an upgraded struct
+var chunkSize = 65536;
+
+/**
+ * Struct with a layout for each version of a format.
+ *
+ * The version is the value of `options.field`, read with the
+ * `options.discriminator` layout from the start of the struct. By default
+ * the discriminator is the first layout up to and including the field.
+ *
+ * Layouts are added with `add(version, layout, migrate)`. `migrate` converts
+ * a value of the previous version to this version.
+ *
+ * @param {object} options `field` name and `discriminator` layout
+ */
+function Versioned(options) {
+	if (!(this instanceof Versioned))
+		return new Versioned(options);
+
+	options = options || {};
+	if (typeof options.field != 'string')
+		throw new TypeError('Missing version field name');
+
+	this.field = options.field;
+	this.discriminator = options.discriminator || null;
+	this._versions = [];
+}
+module.exports = Versioned;
+
+/**
+ * Add layout of a version.
+ * @param  {int}      version Version number
+ * @param  {Schema}   layout  Layout of the version
+ * @param  {Function} migrate Function converting a value of the previous
+ *                            version to this version
+ * @return {Versioned}        This object
+ */
+Versioned.prototype.add = function(version, layout, migrate) {
+	if (this._versions.some((entry) => entry.version === version))
+		throw new TypeError('Version ' + version + ' is already added');
+	if (!layout.fields.some((field) => field.name === this.field))
+		throw new TypeError('Layout of version ' + version + " has no field '" + this.field + "'");
+
+	this._versions.push({ version: version, layout: layout, migrate: migrate || null });
+	this._versions.sort((a, b) => a.version - b.version);
+	return this;
+};
+
+/**
+ * Get list of added versions in ascending order.
+ */
+Versioned.prototype.versions = function() {
+	return this._versions.map((entry) => entry.version);
+};
+
+/**
+ * Get newest version.
+ */
+Versioned.prototype.latest = function() {
+	var last = this._versions[this._versions.length - 1];
+	return last ? last.version : undefined;
+};
+
+Versioned.prototype._entry = function(version) {
+	var entry = this._versions.find((entry) => entry.version === version);
+	if (!entry)
+		throw new errors.BinFileError('Unknown version ' + version, { field: this.field, version: version });
+	return entry;
+};
+
+/**
+ * Get layout of a version.
+ * @param  {int}    version Version number
+ * @return {Schema}         Layout
+ */
+Versioned.prototype.layout = function(version) {
+	return this._entry(version).layout;
+};
+
+Versioned.prototype._discriminator = function() {
+	if (this.discriminator)
+		return this.discriminator;
+	if (!this._versions.length)
+		throw new TypeError('No versions added');
+
+	var layout = this._versions[0].layout;
+	var fields = layout.fields.slice(0, layout.fields.findIndex((field) => field.name === this.field) + 1);
+	// fields are already normalized, so they are used as they are
+	this.discriminator = new Schema([], { endian: layout.endian });
+	this.discriminator.fields = fields;
+	return this.discriminator;
+};
+
+/**
+ * Read version of the struct at a position.
+ * @param  {File}     file File to read from
+ * @param  {int}      pos  Start position
+ * @param  {Function} cb   Callback function gets arguments (err, version)
+ */
+Versioned.prototype.detect = function(file, pos, cb) {
+	cb = makeCallback(arguments, this);
+
+	var discriminator;
+	try {
+		discriminator = this._discriminator();
+	} catch (err) {
+		process.nextTick(cb, err);
+		return cb.promise;
+	}
+
+	discriminator.read(file, pos, (err, result) => {
+		if (err) return cb(err);
+		debug('version %s at %d', result[this.field], pos);
+		cb(null, result[this.field]);
+	});
+	return cb.promise;
+};
+
+/**
+ * Read struct with the layout of its version.
+ * @param  {File}     file File to read from
+ * @param  {int}      pos  Start position
+ * @param  {Function} cb   Callback function gets arguments (err, result, position)
+ */
+Versioned.prototype.read = function(file, pos, cb) {
+	cb = makeCallback(arguments, this);
+
+	this.detect(file, pos, (err, version) => {
+		var layout;
+		try {
+			if (err) throw err;
+			layout = this.layout(version);
+		} catch (err) {
+			return cb(err);
+		}
+		layout.read(file, pos, cb);
+	});
+	return cb.promise;
+};
+
+/**
+ * Read struct synchronously.
+ * @param  {File} file File to read from
+ * @param  {int}  pos  Start position
+ * @return {object}    Result object
+ */
+Versioned.prototype.readSync = function(file, pos) {
+	return view.callSync(file, (sync, cb) => this.read(sync, pos, cb))[0];
+};
+
+/**
+ * Write struct with the layout of the version in `value`.
+ * @param  {File}     file  File to write to
+ * @param  {int}      pos   Start position
+ * @param  {object}   value Object to encode
+ * @param  {Function} cb    Callback function gets arguments (err, position)
+ */
+Versioned.prototype.write = function(file, pos, value, cb) {
+	cb = makeCallback(arguments, this);
+
+	var layout;
+	try {
+		layout = this.layout(value[this.field]);
+	} catch (err) {
+		process.nextTick(cb, err);
+		return cb.promise;
+	}
+	layout.write(file, pos, value, cb);
+	return cb.promise;
+};
+
+/**
+ * Write struct synchronously.
+ * @param  {File}   file  File to write to
+ * @param  {int}    pos   Start position
+ * @param  {object} value Object to encode
+ * @return {int}          End position
+ */
+Versioned.prototype.writeSync = function(file, pos, value) {
+	return this.layout(value[this.field]).writeSync(file, pos, value);
+};
+
+/**
+ * Convert value to a newer version with the migration functions.
+ * @param  {object} value Value of any added version
+ * @param  {int}    to    Target version, newest by default
+ * @return {object}       Converted value
+ */
+Versioned.prototype.migrate = function(value, to) {
+	return this._migrate(value, to).value;
+};
+
+Versioned.prototype._migrate = function(value, to) {
+	var from = value[this.field];
+	to = to === undefined ? this.latest() : to;
+	this._entry(from);
+	this._entry(to);
+	if (to < from)
+		throw new errors.BinFileError('Can not migrate version ' + from + ' to older version ' + to);
+
+	var steps = [];
+	this._versions.forEach((entry) => {
+		if (entry.version <= from || entry.version > to)
+			return;
+		if (!entry.migrate)
+			throw new errors.BinFileError('No migration to version ' + entry.version);
+
+		value = entry.migrate(Object.assign({}, value));
+		value[this.field] = entry.version;
+		steps.push(entry.version);
+	});
+	return { value: value, steps: steps };
+};
+
+/**
+ * Plan upgrade of a read value to the newest version.
+ */
+Versioned.prototype._plan = function(before, oldSize) {
+	var migrated = this._migrate(before);
+	var to = this.latest();
+
+	// encode to check the value and get the new size
+	var MemoryFile = require('./memory');
+	var newSize = migrated.steps.length ?
+		this.layout(to).writeSync(new MemoryFile(new Buffer(0)), 0, migrated.value) : oldSize;
+
+	return {
+		from: before[this.field],
+		to: to,
+		steps: migrated.steps,
+		before: before,
+		after: migrated.value,
+		oldSize: oldSize,
+		newSize: newSize,
+		written: false
+	};
+};
+
+/**
+ * Write upgraded struct to the transaction file and move the data after it.
+ * @param  {File}     file   Original file
+ * @param  {File}     tx     Transaction file
+ * @param  {int}      pos    Start position
+ * @param  {object}   report Upgrade plan
+ * @param  {int}      size   Size of the original file
+ * @param  {Function} cb     Callback function gets arguments (err)
+ */
+Versioned.prototype._rewrite = function(file, tx, pos, report, size, cb) {
+	var oldEnd = pos + report.oldSize;
+	var newEnd = pos + report.newSize;
+	var rest = Math.max(0, size - oldEnd);
+
+	this.layout(report.to).write(tx, pos, report.after, (err) => {
+		if (err || oldEnd == newEnd) return cb(err);
+
+		debug('move %d bytes from %d to %d', rest, oldEnd, newEnd);
+		var offset = 0;
+		var next = () => {
+			if (offset >= rest) return cb(null);
+
+			var len = Math.min(chunkSize, rest - offset);
+			// the original file is unchanged until the transaction is done
+			file.read(oldEnd + offset, len, { allowPartial: false }, (err, data) => {
+				if (err) return cb(err);
+				tx.write(data, newEnd + offset, (err) => {
+					if (err) return cb(err);
+					offset += len;
+					next();
+				});
+			});
+		};
+		next();
+	});
+};
+
+/**
+ * Upgrade struct in a file to the newest version.
+ *
+ * The struct is read, migrated and written back in a transaction of the
+ * file. Data after the struct is moved if its size changes. With
+ * `options.dryRun` nothing is written.
+ *
+ * Resolves to a report with the `from` and `to` versions, the migration
+ * `steps`, the values `before` and `after`, the `oldSize` and `newSize` of
+ * the struct, and whether the struct was `written`.
+ *
+ * @param  {File}     file    File to upgrade
+ * @param  {object}   options `pos` of the struct (0 by default) and `dryRun`
+ * @param  {Function} cb      Callback function gets arguments (err, report)
+ */
+Versioned.prototype.upgrade = function(file, options, cb) {
+	cb = makeCallback(arguments, this);
+	if (typeof options === 'function')
+		options = undefined;
+
+	options = options || {};
+	var pos = options.pos || 0;
+
+	this.read(file, pos, (err, before, end) => {
+		if (err) return cb(err);
+
+		var report;
+		try {
+			report = this._plan(before, end - pos);
+		} catch (err) {
+			return cb(err);
+		}
+		if (options.dryRun || !report.steps.length)
+			return cb(null, report);
+
+		debug('upgrade version %s to %s at %d', report.from, report.to, pos);
+		file.stat((err, stats) => {
+			if (err) return cb(err);
+
+			file.transaction((tx, done) => {
+				this._rewrite(file, tx, pos, report, stats.size, (err) => {
+					if (err) return done(err);
+					tx.truncate(stats.size - report.oldSize + report.newSize, done);
+				});
+			}, (err) => {
+				if (err) return cb(err);
+				report.written = true;
+				cb(null, report);
+			});
+		});
+	});
+	return cb.promise;
+};
+
+/**
+ * Upgrade struct in a file synchronously, see `upgrade`.
+ * @param  {File}   file    File to upgrade
+ * @param  {object} options `pos` and `dryRun`
+ * @return {object}         Upgrade report
+ */
+Versioned.prototype.upgradeSync = function(file, options) {
+	options = options || {};
+	var pos = options.pos || 0;
+
+	var read = view.callSync(file, (sync, cb) => this.read(sync, pos, cb));
+	var report = this._plan(read[0], read[1] - pos);
+	if (options.dryRun || !report.steps.length)
+		return report;
+
+	var size = file.statSync().size;
+	file.transactionSync((tx) => {
+		view.callSync(file, (sync, cb) => this._rewrite(sync, view.syncFile(tx), pos, report, size, cb));
+		tx.truncateSync(size - report.oldSize + report.newSize);
+	});
+	report.written = true;
+	return report;
+};
@@ -0,0 +1,204 @@
+"use strict";
+
+var debug = require('debug')('file:view');
+
+var errors = require('./errors');
+var runSync = require('./util').runSync;
+
+// options of reads which may be shorter than requested
+var partial = { allowPartial: true };
+
+//
+// File views
+//
+// Views are objects inheriting from a File which replace its `read` and
+// `write` methods. All other File methods are built on these two, so they
+// work on the view unchanged.
+//
+
+/**
+ * Create view of the file which completes reads and writes synchronously.
+ *
+ * The view is used to run the asynchronous struct queue on top of
+ * `File#readSync` and `File#writeSync`.
+ */
+function syncFile(file) {
+	var view = Object.create(file);
+
+	view.read = function(pos, len, options, cb) {
+		if (typeof options === 'function') {
+			cb = options;
+			options = undefined;
+		}
+
+		var data;
+		try {
+			data = file.readSync(pos, len, options);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, data, data.length);
+	};
+
+	view.write = function(data, pos, cb) {
+		var written;
+		try {
+			written = file.writeSync(data, pos);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, written, data);
+	};
+
+	view.lock = function(range, options, cb) {
+		var lock;
+		try {
+			lock = file.lockSync(range, options);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null, lock);
+	};
+
+	view.unlock = function(lock, cb) {
+		try {
+			file.unlockSync(lock);
+		} catch (err) {
+			return cb(err);
+		}
+		cb(null);
+	};
+
+	return view;
+}
+module.exports.syncFile = syncFile;
+
+/**
+ * Run asynchronous file method synchronously.
+ *
+ * `method` may also be a function which gets the synchronous view of the
+ * file and a callback function.
+ *
+ * @param  {File}   file   File
+ * @param  {string|Function} method Method name or function
+ * @param  {Array}  args   Method arguments without the callback
+ * @return {Array}         Callback arguments without the error
+ */
+function callSync(file, method, args) {
+	var view = syncFile(file);
+
+	return runSync((cb) => {
+		if (typeof method == 'function')
+			return method(view, cb);
+		view[method].apply(view, args.concat([cb]));
+	});
+}
+module.exports.callSync = callSync;
+
+/**
+ * Create view of the file which serves reads from a read-ahead buffer.
+ *
+ * Reads outside of the buffer refill it with `size` bytes, or with the read
+ * length if it is larger, starting from the read position.
+ *
+ * @param  {File} file File to read from
+ * @param  {int}  size Read-ahead size in bytes
+ * @return {File}      File view
+ */
+function readAhead(file, size) {
+	var view = Object.create(file);
+
+	var start = 0;
+	var data = new Buffer(0);
+	var eof = false;
+
+	function serve(pos, len, options, cb) {
+		var offset = pos - start;
+		var bytesRead = Math.max(0, Math.min(len, data.length - offset));
+
+		var err = errors.checkRead(view, pos, len, bytesRead, options);
+		if (err) return cb(err);
+
+		var buffer = new Buffer(bytesRead);
+		data.copy(buffer, 0, offset, offset + bytesRead);
+		cb(null, buffer, bytesRead);
+	}
+
+	view.readAhead = true;
+
+	view.read = function(pos, len, options, cb) {
+		if (typeof options === 'function') {
+			cb = options;
+			options = undefined;
+		}
+
+		var end = start + data.length;
+		if (pos >= start && (pos + len <= end || (eof && pos <= end)))
+			return serve(pos, len, options, cb);
+
+		var chunk = Math.max(len, size);
+		debug('read ahead: %d bytes at %d', chunk, pos);
+		file.read(pos, chunk, partial, (err, buffer, bytesRead) => {
+			if (err) return cb(err);
+
+			start = pos;
+			data = buffer;
+			eof = bytesRead < chunk;
+			serve(pos, len, options, cb);
+		});
+	};
+
+	return view;
+}
+module.exports.readAhead = readAhead;
+
+/**
+ * Create view of the file which collects writes into memory.
+ *
+ * Writes complete immediately and consecutive writes are joined. Collected
+ * data is written to the file with `flush`, one write for each contiguous
+ * range.
+ *
+ * @param  {File} file File to write to
+ * @return {File}      File view
+ */
+function writeBehind(file) {
+	var view = Object.create(file);
+	var chunks = [];
+
+	view.writeBehind = true;
+
+	view.write = function(data, pos, cb) {
+		var last = chunks[chunks.length - 1];
+
+		if (last && last.pos + last.length == pos) {
+			last.buffers.push(data);
+			last.length += data.length;
+		} else {
+			chunks.push({ pos: pos, buffers: [data], length: data.length });
+		}
+		cb(null, data.length, data);
+	};
+
+	view.flush = function(cb) {
+		var write = (buffer, pos) => {
+			if (!buffer.length) return next();
+
+			debug('flush: %d bytes at %d', buffer.length, pos);
+			file.write(buffer, pos, (err, written) => {
+				if (err) return cb(err);
+				write(buffer.slice(written), pos + written);
+			});
+		};
+
+		var next = () => {
+			var chunk = chunks.shift();
+			if (!chunk) return cb(null);
+			write(Buffer.concat(chunk.buffers, chunk.length), chunk.pos);
+		};
+		next();
+	};
+
+	return view;
+}
+module.exports.writeBehind = writeBehind;
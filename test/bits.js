@@ -0,0 +1,81 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Bit fields
+//
+
+function write(build) {
+	var file = File.fromBuffer(new Buffer(0));
+	build(file.createWriteStruct(0)).writeSync();
+	return file.toBuffer();
+}
+
+function read(data, build) {
+	return build(File.fromBuffer(data).createReadStruct(0)).readSync();
+}
+
+test('msb first bits share a byte', () => {
+	var data = write((w) => w.bits(5, 3).bits(1, 1).bits(9, 4).uint(0x0102, 2));
+	assert.deepStrictEqual(data, new Buffer([0xb9, 0x01, 0x02]));
+
+	assert.deepStrictEqual(read(data, (r) => r.bits('a', 3).bits('b', 1).bits('c', 4).uint('d', 2)), {
+		result: { a: 5, b: 1, c: 9, d: 0x0102 },
+		position: 3
+	});
+});
+
+test('lsb first bits', () => {
+	var data = write((w) => w.bits(5, 3, 'lsb').bits(1, 1, 'lsb').bits(9, 4, 'lsb'));
+	assert.deepStrictEqual(data, new Buffer([0x9d]));
+
+	var result = read(data, (r) => r.bits('a', 3, 'lsb').bits('b', 1, 'lsb').bits('c', 4, 'lsb')).result;
+	assert.deepStrictEqual(result, { a: 5, b: 1, c: 9 });
+});
+
+test('bits across bytes', () => {
+	var data = write((w) => w.bits(0x1ff, 9).bits(0, 7).bits(0x2a5, 10));
+	assert.deepStrictEqual(data, new Buffer([0xff, 0x80, 0xa9, 0x40]));
+
+	var result = read(data, (r) => r.bits('a', 9).bits('b', 7).bits('c', 10)).result;
+	assert.deepStrictEqual(result, { a: 0x1ff, b: 0, c: 0x2a5 });
+});
+
+test('byte fields start at the next byte', () => {
+	var data = write((w) => w.bits(1, 1).uint(7, 1).bits(3, 2));
+	assert.deepStrictEqual(data, new Buffer([0x80, 0x07, 0xc0]));
+
+	assert.deepStrictEqual(read(data, (r) => r.bits('a', 1).uint('b', 1).bits('c', 2)), {
+		result: { a: 1, b: 7, c: 3 },
+		position: 3
+	});
+});
+
+test('values must fit', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await assert.rejects(file.createWriteStruct(0).bits(8, 3).write(), { name: 'RangeError', message: 'Value 8 does not fit in 3 bits' });
+	await assert.rejects(file.createWriteStruct(0).bits(-1, 3).write(), RangeError);
+	await assert.rejects(file.createWriteStruct(0).bits(1.5, 3).write(), RangeError);
+});
+
+test('schema bit fields', () => {
+	var Flags = Struct.define({
+		version: { type: 'bits', length: 3 },
+		compressed: { type: 'bits', length: 1 },
+		level: { type: 'bits', length: 4 },
+		low: { type: 'bits', length: 4, order: 'lsb' },
+		size: { type: 'uint', length: 2 }
+	});
+	var value = { version: 2, compressed: 1, level: 15, low: 3, size: 0x0304 };
+
+	var file = File.fromBuffer(new Buffer(0));
+	assert.strictEqual(Flags.writeSync(file, 0, value), 4);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0x5f, 0x03, 0x03, 0x04]));
+	assert.deepStrictEqual(Flags.readSync(file, 0), value);
+});
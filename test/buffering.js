@@ -0,0 +1,132 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Buffered struct reads and writes
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-buffering-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function open(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data || new Buffer(0));
+	return File.openSync(filepath);
+}
+
+// count calls of a file method
+function spy(file, method) {
+	var calls = [];
+	var fn = file[method];
+	file[method] = function() {
+		calls.push(Array.prototype.slice.call(arguments, 0, 2));
+		return fn.apply(this, arguments);
+	};
+	return calls;
+}
+
+function writeFields(struct) {
+	for (var i = 0; i < 20; i++)
+		struct.uint(i, 1);
+	return struct;
+}
+
+function readFields(struct) {
+	for (var i = 0; i < 20; i++)
+		struct.uint('f' + i, 1);
+	return struct;
+}
+
+var expected = {};
+for (var i = 0; i < 20; i++)
+	expected['f' + i] = i;
+
+test('writes are encoded into one write', async () => {
+	var file = open();
+	var writes = spy(file, 'write');
+
+	assert.strictEqual(await writeFields(file.createWriteStruct(0)).write(), 20);
+	assert.strictEqual(writes.length, 1);
+	assert.strictEqual(writes[0][0].length, 20);
+
+	writes.length = 0;
+	await writeFields(file.createWriteStruct(20, { buffered: false })).write();
+	assert.strictEqual(writes.length, 20);
+
+	var data = await file.read(0, 40);
+	assert.deepStrictEqual(data.slice(0, 20), data.slice(20));
+	file.closeSync();
+});
+
+test('reads are parsed from a read ahead buffer', async () => {
+	var file = open(new Buffer(20).map((b, i) => i));
+	var reads = spy(file, 'read');
+
+	assert.deepStrictEqual(await readFields(file.createReadStruct(0)).read(), expected);
+	assert.deepStrictEqual(reads, [[0, 4096]]);
+
+	reads.length = 0;
+	assert.deepStrictEqual(await readFields(file.createReadStruct(0, { readAhead: 8 })).read(), expected);
+	assert.strictEqual(reads.length, 3);
+
+	reads.length = 0;
+	assert.deepStrictEqual(await readFields(file.createReadStruct(0, { buffered: false })).read(), expected);
+	assert.strictEqual(reads.length, 20);
+	file.closeSync();
+});
+
+test('fixed size schemas are read with one read of their size', async () => {
+	var Record = Struct.define({
+		a: { type: 'uint', length: 2 },
+		b: { type: 'double' },
+		c: { type: 'string', length: 6 }
+	});
+	var file = open();
+	Record.writeSync(file, 0, { a: 1, b: 0.5, c: 'abc' });
+	var reads = spy(file, 'read');
+
+	assert.deepStrictEqual(await Record.read(file, 0), { a: 1, b: 0.5, c: 'abc' });
+	assert.deepStrictEqual(reads, [[0, 16]]);
+	file.closeSync();
+});
+
+test('buffered reads fail at the same field', async () => {
+	var file = open(new Buffer([1, 2, 3]));
+
+	for (var options of [{}, { readAhead: 2 }, { buffered: false }]) {
+		await assert.rejects(file.createReadStruct(0, options).uint('a', 2).uint('b', 2).read(),
+			{ name: 'EOFError', field: 'b', offset: 2, length: 2, available: 1 });
+	}
+	file.closeSync();
+});
+
+test('buffered writes keep patches and checksums', async () => {
+	var file = open();
+
+	var end = await file.createWriteStruct(0)
+		.reserve('end', 1)
+		.string('abc')
+		.target('end')
+		.checksum('sum')
+		.write();
+	assert.strictEqual(end, 5);
+	assert.deepStrictEqual(await file.read(0, 5), new Buffer([4, 0x61, 0x62, 0x63, 0x2a]));
+	file.closeSync();
+});
+
+test('failed buffered writes write nothing', async () => {
+	var file = open(new Buffer([9, 9]));
+
+	await assert.rejects(file.createWriteStruct(0).uint(1, 1).uint(300, 1).write());
+	assert.deepStrictEqual(await file.read(0, 2), new Buffer([9, 9]));
+	file.closeSync();
+});
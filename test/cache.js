@@ -0,0 +1,160 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+
+//
+// Page cache
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-cache-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data);
+	return filepath;
+}
+
+function range(len) {
+	var data = new Buffer(len);
+	for (var i = 0; i < len; i++)
+		data[i] = i & 255;
+	return data;
+}
+
+test('reads are served from cached pages', async () => {
+	var file = await File.open(fixture(range(64)), { cache: { pageSize: 16 } });
+
+	assert.deepStrictEqual(await file.read(4, 4), new Buffer([4, 5, 6, 7]));
+	assert.deepStrictEqual(await file.read(8, 4), new Buffer([8, 9, 10, 11]));
+	assert.deepStrictEqual(file.readSync(12, 8), range(20).slice(12));
+
+	var stats = file.cacheStats();
+	assert.strictEqual(stats.misses, 2);
+	assert.strictEqual(stats.hits, 2);
+	assert.strictEqual(stats.pages, 2);
+	await file.close();
+});
+
+test('least recently used pages are evicted', async () => {
+	var file = await File.open(fixture(range(64)), { cache: { pageSize: 16, maxMemory: 32 } });
+
+	await file.read(0, 1);
+	await file.read(16, 1);
+	await file.read(0, 1);
+	await file.read(32, 1);
+	var stats = file.cacheStats();
+	assert.strictEqual(stats.evictions, 1);
+	assert.strictEqual(stats.memory, 32);
+
+	// page 16 was evicted, page 0 is still cached
+	await file.read(0, 1);
+	assert.strictEqual(file.cacheStats().misses, 3);
+	await file.read(16, 1);
+	assert.strictEqual(file.cacheStats().misses, 4);
+	await file.close();
+});
+
+test('write-through writes go to the file', async () => {
+	var filepath = fixture(range(32));
+	var file = await File.open(filepath, { cache: { pageSize: 16 } });
+
+	await file.read(0, 16);
+	await file.write(new Buffer([0xff, 0xfe]), 2);
+	assert.deepStrictEqual(fs.readFileSync(filepath).slice(0, 4), new Buffer([0, 1, 0xff, 0xfe]));
+	assert.deepStrictEqual(await file.read(0, 4), new Buffer([0, 1, 0xff, 0xfe]));
+	assert.strictEqual(file.cacheStats().dirty, 0);
+	await file.close();
+});
+
+test('write-back writes are flushed by sync and close', async () => {
+	var filepath = fixture(range(32));
+	var file = await File.open(filepath, { cache: { pageSize: 16, writeBack: true } });
+
+	await file.write(new Buffer([0xff]), 0);
+	await file.write(new Buffer([0xfe]), 40);
+	assert.strictEqual(fs.readFileSync(filepath)[0], 0);
+	assert.deepStrictEqual(await file.read(0, 2), new Buffer([0xff, 1]));
+	assert.strictEqual((await file.stat()).size, 41);
+	assert.strictEqual(file.cacheStats().dirty, 0);
+
+	await file.write(new Buffer([0xfd]), 1);
+	await file.sync();
+	assert.deepStrictEqual(fs.readFileSync(filepath).slice(0, 2), new Buffer([0xff, 0xfd]));
+
+	await file.write(new Buffer([0xfc]), 2);
+	assert.strictEqual(file.cacheStats().dirty, 1);
+	await file.close();
+	var data = fs.readFileSync(filepath);
+	assert.strictEqual(data.length, 41);
+	assert.deepStrictEqual(data.slice(0, 3), new Buffer([0xff, 0xfd, 0xfc]));
+	assert.strictEqual(data[40], 0xfe);
+});
+
+test('write-back pages are written when evicted', async () => {
+	var filepath = fixture(range(64));
+	var file = File.openSync(filepath, { cache: { pageSize: 16, maxMemory: 16, writeBack: true } });
+
+	file.writeSync(new Buffer([0xff]), 0);
+	assert.strictEqual(fs.readFileSync(filepath)[0], 0);
+	file.readSync(32, 1);
+	assert.strictEqual(fs.readFileSync(filepath)[0], 0xff);
+	assert.strictEqual(file.cacheStats().evictions, 1);
+	file.closeSync();
+});
+
+test('truncate drops pages past the end', async () => {
+	var filepath = fixture(range(64));
+	var file = await File.open(filepath, { cache: { pageSize: 16, writeBack: true } });
+
+	await file.read(0, 64);
+	await file.truncate(20);
+	assert.strictEqual(file.cacheStats().pages, 2);
+	await assert.rejects(file.read(16, 8), File.EOFError);
+	await file.close();
+	assert.strictEqual(fs.statSync(filepath).size, 20);
+});
+
+test('reopening with a cache replaces the old one', async () => {
+	var filepath = fixture(range(32));
+	var file = await File.open(filepath, { cache: {} });
+	await file.read(0, 4);
+	await file.close();
+
+	await file.open({ cache: { pageSize: 8 } });
+	assert.deepStrictEqual(await file.read(0, 4), new Buffer([0, 1, 2, 3]));
+	assert.strictEqual(file.cacheStats().misses, 1);
+	await file.close();
+
+	file.openSync({ cache: { pageSize: 8 } });
+	assert.strictEqual(file.readSync(8, 1)[0], 8);
+	file.closeSync();
+});
+
+test('renamed file keeps its cache', async () => {
+	var file = await File.open(fixture(range(32)), { cache: {} });
+
+	await file.rename(path.join(dir, 'renamed'));
+	assert.deepStrictEqual(await file.read(0, 2), new Buffer([0, 1]));
+	assert.notStrictEqual(file.cacheStats(), null);
+	await file.close();
+});
+
+test('file size errors are passed to the callback', async () => {
+	var file = await File.open(fixture(range(32)), { cache: {} });
+
+	// closed behind the back of the cache, which has not read the size yet
+	var fd = file.fd;
+	fs.closeSync(fd);
+	await assert.rejects(file.read(0, 4), { code: 'EBADF' });
+	await assert.rejects(file.write(new Buffer(1), 0), { code: 'EBADF' });
+	assert.throws(() => file.readSync(0, 4), { code: 'EBADF' });
+	file.fd = null;
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+
+var File = require('..');
+var Checksum = File.Checksum;
+var Struct = File.Struct;
+
+//
+// Checksums
+//
+
+var check = new Buffer('123456789');
+
+test('algorithms', () => {
+	assert.strictEqual(new Checksum('crc32').compute(check), 0xcbf43926);
+	assert.strictEqual(new Checksum('crc16').compute(check), 0xbb3d);
+	assert.strictEqual(new Checksum('crc16ccitt').compute(check), 0x29b1);
+	assert.strictEqual(new Checksum('adler32').compute(check), 0x091e01de);
+	assert.strictEqual(new Checksum('sum').compute(check), 0xdd);
+	assert.strictEqual(new Checksum('sum', { size: 2 }).compute(check), 0x01dd);
+	assert.deepStrictEqual(new Checksum('sha256').compute(check),
+		crypto.createHash('sha256').update(check).digest());
+
+	// chunks give the same value
+	assert.strictEqual(new Checksum('crc32').compute([check.slice(0, 4), check.slice(4)]), 0xcbf43926);
+	assert.throws(() => new Checksum('nope'));
+});
+
+test('encode and decode', () => {
+	var crc = new Checksum('crc16', { endian: 'le' });
+	assert.strictEqual(crc.size, 2);
+	assert.deepStrictEqual(crc.encode(0xbb3d), new Buffer([0x3d, 0xbb]));
+	assert.strictEqual(crc.decode(new Buffer([0x3d, 0xbb])), 0xbb3d);
+
+	var md5 = new Checksum('md5');
+	assert.strictEqual(md5.size, 16);
+	var digest = md5.compute(check);
+	assert.strictEqual(md5.encode(digest), digest);
+});
+
+test('writers fill in checksums and readers verify them', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await file.createWriteStruct(0).string('1234').string('56789').checksum('crc32').write();
+	assert.deepStrictEqual(file.toBuffer(), Buffer.concat([check, new Buffer([0xcb, 0xf4, 0x39, 0x26])]));
+
+	var read = await file.createReadStruct(0).string('a', 4).string('b', 5).checksum('crc', 'crc32').read();
+	assert.deepStrictEqual(read, { a: '1234', b: '56789', crc: 0xcbf43926 });
+});
+
+test('named and offset ranges', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	file.createWriteStruct(0)
+		.uint(0xff, 1)
+		.field('body', (w) => w.string('123456789'))
+		.checksum('crc16', { start: 'body', end: 'body', endian: 'LE' })
+		.checksum('sum', { start: 0, end: 3, size: 2 })
+		.writeSync();
+	assert.deepStrictEqual(file.toBuffer().slice(10), new Buffer([0x3d, 0xbb, 0x01, 0x62]));
+
+	var result = file.createReadStruct(0)
+		.uint('flag', 1)
+		.string('body', 9)
+		.checksum('crc', 'crc16', { start: 'body', end: 'body', endian: 'LE' })
+		.checksum('sum', 'sum', { start: 0, end: 3, size: 2 })
+		.readSync().result;
+	assert.strictEqual(result.crc, 0xbb3d);
+	assert.strictEqual(result.sum, 0xff + 0x31 + 0x32);
+});
+
+test('checksums may cover later fields', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	file.createWriteStruct(0)
+		.checksum('sum', { start: 1, end: 3 })
+		.uint(1, 1)
+		.uint(2, 1)
+		.writeSync();
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([3, 1, 2]));
+});
+
+test('mismatches fail', async () => {
+	var file = File.fromBuffer(Buffer.concat([check, new Buffer([0, 0, 0, 1])]));
+
+	await assert.rejects(file.createReadStruct(0).string('s', 9).checksum('crc', 'crc32').read(), {
+		name: 'BinFileError',
+		message: "Checksum mismatch: crc32 is 0x1, computed 0xcbf43926 in field 'crc'",
+		stored: 1,
+		computed: 0xcbf43926,
+		offset: 9,
+		field: 'crc'
+	});
+
+	file = File.fromBuffer(Buffer.concat([check, new Buffer(32).fill(0)]));
+	await assert.rejects(file.createReadStruct(0).string('s', 9).checksum('h', 'sha256').read(),
+		/Checksum mismatch: sha256 is 0{64}, computed [0-9a-f]{64}/);
+
+	await assert.rejects(file.createReadStruct(0).checksum('h', 'sum', { start: 'missing' }).read(),
+		/Unknown field 'missing' in checksum range/);
+});
+
+test('schema checksums', () => {
+	var Header = Struct.define({
+		magic: { type: 'string', length: 4 },
+		size: { type: 'uint', length: 4 },
+		crc: { type: 'checksum', algorithm: 'crc32', start: 'magic', end: 'size' },
+		extra: { type: 'uint', length: 1 },
+		sum: { type: 'checksum', algorithm: 'sum', length: 2, start: 'extra', end: 'extra', endian: 'LE' }
+	});
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(Header.writeSync(file, 0, { magic: 'HEAD', size: 7, extra: 200 }), 15);
+	var crc = new Checksum('crc32').compute(file.toBuffer().slice(0, 8));
+	assert.deepStrictEqual(Header.readSync(file, 0), { magic: 'HEAD', size: 7, crc: crc, extra: 200, sum: 200 });
+	assert.deepStrictEqual(file.toBuffer().slice(13), new Buffer([200, 0]));
+	assert.strictEqual(Header.size(), 15);
+
+	file.writeSync(new Buffer([8]), 7);
+	assert.throws(() => Header.readSync(file, 0), { field: 'crc', stored: crc });
+});
@@ -0,0 +1,182 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+
+//
+// bin-file command line tool
+//
+
+var bin = path.join(__dirname, '..', 'bin', 'bin-file.js');
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-cli-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data);
+	return filepath;
+}
+
+function run(args) {
+	var res = childProcess.spawnSync(process.execPath, [bin].concat(args), { encoding: 'utf8', timeout: 30000 });
+	return { status: res.status, stdout: res.stdout, stderr: res.stderr };
+}
+
+var layout = {
+	endian: 'LE',
+	fields: [
+		{ name: 'magic', type: 'string', length: 2 },
+		{ name: 'version', type: 'uint', length: 2, endian: 'BE' },
+		{ name: 'data', type: 'buffer', length: 2 },
+		{ name: 'crc', type: 'checksum', algorithm: 'crc32', start: 'magic', end: 'data' }
+	]
+};
+
+// records of the layout with valid checksums
+function records(values) {
+	var schema = File.Struct.fromJSON(layout);
+	var file = File.fromBuffer(new Buffer(0));
+	values.reduce((pos, value) => schema.writeSync(file, pos, value), 0);
+	return file.toBuffer();
+}
+
+function layoutFile(json) {
+	var filepath = path.join(dir, 'layout' + count++ + '.json');
+	fs.writeFileSync(filepath, JSON.stringify(json || layout));
+	return filepath;
+}
+
+test('help', () => {
+	var res = run(['--help']);
+	assert.strictEqual(res.status, 0);
+	assert.match(res.stdout, /^Usage: bin-file <command>/);
+});
+
+test('hexdump with hex offset', () => {
+	var filepath = fixture(new Buffer('0123456789abcdefXYZ'));
+
+	var res = run(['hexdump', filepath, '0x10', '2']);
+	assert.strictEqual(res.status, 0);
+	assert.strictEqual(res.stdout, '00000010  58 59                                             |XY|\n');
+});
+
+test('read single values', () => {
+	var filepath = fixture(new Buffer([0x01, 0x02, 0x61, 0x62, 0x00, 0xff]));
+
+	assert.strictEqual(run(['read', filepath, '0', 'uint:2']).stdout, '258\n');
+	assert.strictEqual(run(['read', filepath, '0', 'uintLE:2']).stdout, '513\n');
+	assert.strictEqual(run(['read', filepath, '0x5', 'int:1']).stdout, '-1\n');
+	assert.strictEqual(run(['read', filepath, '2', 'cstring']).stdout, 'ab\n');
+	assert.strictEqual(run(['read', filepath, '0', 'buffer:3']).stdout, '010261\n');
+	assert.strictEqual(run(['read', filepath, '1', 'stringLen:1']).stdout, 'ab\n');
+});
+
+test('write single values', () => {
+	var filepath = fixture(new Buffer(12).fill(0));
+
+	assert.strictEqual(run(['write', filepath, '0', 'uintLE:2', '513']).status, 0);
+	assert.strictEqual(run(['write', filepath, '0x2', 'string:3', 'ab']).status, 0);
+	assert.strictEqual(run(['write', filepath, '5', 'buffer:2', 'beef']).status, 0);
+	assert.strictEqual(run(['write', filepath, '7', 'bigUInt64BE', '1']).status, 0);
+	assert.deepStrictEqual(fs.readFileSync(filepath),
+		new Buffer([1, 2, 0x61, 0x62, 0, 0xbe, 0xef, 0, 0, 0, 0, 0, 0, 0, 1]));
+	assert.strictEqual(run(['read', filepath, '7', 'bigUInt64']).stdout, '1\n');
+});
+
+test('parse records to end of file', () => {
+	var filepath = fixture(records([
+		{ magic: 'ab', version: 1, data: new Buffer([1, 2]) },
+		{ magic: 'cd', version: 2, data: new Buffer([3, 4]) }
+	]));
+	var schema = layoutFile();
+
+	var res = run(['parse', filepath, schema]);
+	assert.strictEqual(res.status, 0, res.stderr);
+	var parsed = JSON.parse(res.stdout);
+	assert.deepStrictEqual(parsed.map((r) => [r.magic, r.version, r.data]),
+		[['ab', 1, '0102'], ['cd', 2, '0304']]);
+
+	res = run(['parse', filepath, schema, '0xa', '--count', '1']);
+	assert.deepStrictEqual(JSON.parse(res.stdout).map((r) => r.magic), ['cd']);
+});
+
+test('patch keeps other fields and fails on checksum mismatch', () => {
+	var filepath = fixture(records([{ magic: 'ab', version: 7, data: new Buffer([1, 2]) }]));
+	var schema = layoutFile();
+
+	var res = run(['patch', filepath, schema, '{ "version": 8, "data": "0304" }']);
+	assert.strictEqual(res.status, 0, res.stderr);
+	assert.deepStrictEqual(fs.readFileSync(filepath),
+		records([{ magic: 'ab', version: 8, data: new Buffer([3, 4]) }]));
+
+	run(['write', filepath, '4', 'buffer:1', 'ff']);
+	res = run(['parse', filepath, schema]);
+	assert.strictEqual(res.status, 1);
+	assert.match(res.stderr, /bin-file: Checksum mismatch/);
+});
+
+test('patch must keep the record size', () => {
+	var filepath = fixture(new Buffer([1, 0x61]));
+	var schema = layoutFile({ fields: [{ name: 'name', type: 'stringLen', length: 1 }] });
+
+	var res = run(['patch', filepath, schema, '{ "name": "abc" }']);
+	assert.strictEqual(res.status, 1);
+	assert.match(res.stderr, /Patched record is 4 bytes, was 2 bytes/);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 0x61]));
+});
+
+test('patch rejects unknown and computed fields', () => {
+	var filepath = fixture(records([{ magic: 'ab', version: 7, data: new Buffer([1, 2]) }]));
+	var schema = layoutFile();
+
+	assert.match(run(['patch', filepath, schema, '{ "other": 1 }']).stderr, /Unknown field 'other'/);
+	assert.match(run(['patch', filepath, schema, '{ "crc": 1 }']).stderr, /Field 'crc' is computed on write/);
+});
+
+test('parse stops on records of no bytes', () => {
+	var filepath = fixture(new Buffer('ab'));
+	var schema = layoutFile({ fields: [{ name: 's', type: 'string', length: 0 }] });
+
+	var res = run(['parse', filepath, schema]);
+	assert.strictEqual(res.status, 1);
+	assert.match(res.stderr, /Record at 0 is empty/);
+});
+
+test('usage errors', () => {
+	var filepath = fixture(new Buffer(4));
+
+	[
+		[['frob', filepath], /Unknown command 'frob'/],
+		[['read'], /Missing file/],
+		[['read', filepath, 'x', 'uint:1'], /Invalid offset: 'x'/],
+		[['read', filepath, '-1', 'uint:1'], /Invalid offset: '-1'/],
+		[['read', filepath, '0', 'checksum'], /Invalid type: 'checksum'/],
+		[['read', filepath, '0', 'uint:x'], /Invalid length: 'x'/],
+		[['write', filepath, '0', 'uint:1'], /Missing value/],
+		[['write', filepath, '0', 'uint:1', 'abc'], /Invalid value: 'abc'/],
+		[['write', filepath, '0', 'buffer:1', 'xyz'], /Invalid hex data/]
+	].forEach((item) => {
+		var res = run(item[0]);
+		assert.strictEqual(res.status, 1, item[0].join(' '));
+		assert.match(res.stderr, item[1]);
+		assert.match(res.stderr, /Run 'bin-file --help' for usage/);
+	});
+});
+
+test('file errors', () => {
+	var res = run(['read', path.join(dir, 'missing'), '0', 'uint:1']);
+	assert.strictEqual(res.status, 1);
+	assert.match(res.stderr, /^bin-file: ENOENT/);
+
+	res = run(['read', fixture(new Buffer(1)), '0', 'uint:2']);
+	assert.strictEqual(res.status, 1);
+	assert.match(res.stderr, /Unexpected end of file/);
+});
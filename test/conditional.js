@@ -0,0 +1,91 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Conditional and data dependent fields
+//
+
+test('length from an earlier field', async () => {
+	var file = File.fromBuffer(new Buffer([3, 1, 2, 3, 9]));
+
+	var result = await file.createReadStruct(0)
+		.uint('size', 1)
+		.buffer('payload', (r) => r.size)
+		.uint('next', 1)
+		.read();
+	assert.deepStrictEqual(result, { size: 3, payload: new Buffer([1, 2, 3]), next: 9 });
+});
+
+test('count from an earlier field', async () => {
+	var file = File.fromBuffer(new Buffer([2, 0, 5, 0, 6]));
+
+	var result = await file.createReadStruct(0)
+		.uint('n', 1)
+		.array('items', (r) => r.n, (sub, i) => sub.uint(i, 2))
+		.read();
+	assert.deepStrictEqual(result, { n: 2, items: [5, 6] });
+});
+
+test('if reads fields only when the condition holds', async () => {
+	var read = (data) => File.fromBuffer(new Buffer(data)).createReadStruct(0)
+		.uint('flags', 1)
+		.if((r) => r.flags & 1, (sub) => sub.uint('ext', 2))
+		.uint('last', 1)
+		.read();
+
+	assert.deepStrictEqual(await read([1, 0, 7, 8]), { flags: 1, ext: 7, last: 8 });
+	assert.deepStrictEqual(await read([0, 8]), { flags: 0, last: 8 });
+});
+
+test('switch reads tagged unions', async () => {
+	var read = (data) => File.fromBuffer(new Buffer(data)).createReadStruct(0)
+		.uint('type', 1)
+		.switch('type', {
+			1: (sub) => sub.uint('value', 1),
+			2: (sub) => sub.string('value', 2)
+		})
+		.readSync().result;
+
+	assert.deepStrictEqual(read([1, 5]), { type: 1, value: 5 });
+	assert.deepStrictEqual(read([2, 0x61, 0x62]), { type: 2, value: 'ab' });
+	assert.throws(() => read([3]), /No case for value '3' of 'type'/);
+});
+
+test('schema field with dynamic integer length', async () => {
+	var Record = Struct.define({
+		n: { type: 'uint', length: 1 },
+		value: { type: 'uint', length: (r) => r.n },
+		signed: { type: 'int', length: (r) => r.n, endian: 'LE' }
+	});
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(await Record.write(file, 0, { n: 3, value: 0x010203, signed: -2 }), 7);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([3, 1, 2, 3, 0xfe, 0xff, 0xff]));
+	assert.deepStrictEqual(await Record.read(file, 0), { n: 3, value: 0x010203, signed: -2 });
+
+	Record.writeSync(file, 0, { n: 2, value: 0x0102, signed: -3 });
+	assert.deepStrictEqual(Record.readSync(file, 0), { n: 2, value: 0x0102, signed: -3 });
+});
+
+test('schema fields with dynamic count and condition', async () => {
+	var Record = Struct.define({
+		flags: { type: 'uint', length: 1 },
+		n: { type: 'uint', length: 1 },
+		items: { type: 'uint', length: 2, count: (r) => r.n },
+		ext: { type: 'uint', length: 1, if: (r) => r.flags & 1 }
+	});
+	var file = File.fromBuffer(new Buffer(0));
+
+	await Record.write(file, 0, { flags: 1, n: 2, items: [5, 6], ext: 7 });
+	assert.deepStrictEqual(await Record.read(file, 0), { flags: 1, n: 2, items: [5, 6], ext: 7 });
+
+	file = File.fromBuffer(new Buffer(0));
+	await Record.write(file, 0, { flags: 0, n: 1, items: [5] });
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0, 1, 0, 5]));
+	assert.deepStrictEqual(await Record.read(file, 0), { flags: 0, n: 1, items: [5] });
+});
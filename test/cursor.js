@@ -0,0 +1,92 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Cursors with implicit positions
+//
+
+var Header = Struct.define({
+	magic: { type: 'string', length: 2 },
+	size: { type: 'uint', length: 2 }
+});
+
+test('reads move the cursor forward in call order', async () => {
+	var file = File.fromBuffer(new Buffer([0x61, 0x62, 0x63, 0, 1, 2, 0, 0, 0x43, 0x44, 0, 5]));
+	var cursor = file.cursor(0);
+
+	var values = await Promise.all([
+		cursor.readCString(),
+		cursor.readUIntLE(2),
+		cursor.align(4).readStruct(Header)
+	]);
+	assert.deepStrictEqual(values, ['abc', 0x0201, { magic: 'CD', size: 5 }]);
+	assert.strictEqual(cursor.tell(), 12);
+});
+
+test('writes move the cursor forward', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	var cursor = file.cursor(1);
+
+	cursor.writeUInt(0x0102, 2);
+	cursor.skip(1).writeString('ab');
+	await cursor.seek(8).writeStruct(Header, { magic: 'EF', size: 3 });
+	assert.strictEqual(cursor.tell(), 12);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0, 1, 2, 0, 0x61, 0x62, 0, 0, 0x45, 0x46, 0, 3]));
+});
+
+test('sync methods', () => {
+	var file = File.fromBuffer(new Buffer(0));
+	var cursor = file.cursor();
+
+	assert.strictEqual(cursor.writeStringLenSync('abc', 1), 4);
+	assert.strictEqual(cursor.writeStructSync(Header, { magic: 'GH', size: 1 }), 8);
+	cursor.seek(0);
+	assert.strictEqual(cursor.readStringLenSync(1), 'abc');
+	assert.deepStrictEqual(cursor.readStructSync(Header), { magic: 'GH', size: 1 });
+	assert.strictEqual(cursor.tell(), 8);
+});
+
+test('sync methods check for pending operations', async () => {
+	var cursor = File.fromBuffer(new Buffer(4)).cursor();
+
+	var read = cursor.readUInt(2);
+	assert.throws(() => cursor.readUIntSync(2), /Cursor has pending asynchronous operations/);
+	await read;
+	assert.strictEqual(cursor.tell(), 2);
+});
+
+test('failed operations keep the position and the queue running', async () => {
+	var cursor = File.fromBuffer(new Buffer([1, 2])).cursor();
+
+	var failed = cursor.readUInt(4);
+	var next = cursor.readUInt(1);
+	await assert.rejects(failed, /Unexpected end of file/);
+	assert.strictEqual(await next, 1);
+	assert.strictEqual(cursor.tell(), 1);
+});
+
+test('operations queued by a callback run once', (t, done) => {
+	var cursor = File.fromBuffer(new Buffer([1, 2, 3])).cursor();
+	var values = [];
+
+	cursor.readUInt(1, (err, value) => {
+		assert.ifError(err);
+		values.push(value);
+		cursor.readUInt(1, (err, value) => {
+			assert.ifError(err);
+			values.push(value);
+			cursor.readUInt(1, (err, value) => {
+				assert.ifError(err);
+				values.push(value);
+				assert.deepStrictEqual(values, [1, 2, 3]);
+				assert.strictEqual(cursor.tell(), 3);
+				done();
+			});
+		});
+	});
+});
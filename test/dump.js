@@ -0,0 +1,125 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Debug dumps
+//
+
+var Point = Struct.define({
+	x: { type: 'uint', length: 1 },
+	y: { type: 'uint', length: 1 }
+});
+
+var Header = Struct.define({
+	magic: { type: 'string', length: 4 },
+	n: { type: 'uint', length: 1 },
+	points: { type: Point, count: 2 },
+	big: { type: 'bigUInt64' }
+});
+
+var data = new Buffer([0x54, 0x45, 0x53, 0x54, 2, 1, 2, 3, 4, 0, 0, 0, 0, 0, 0, 0, 9]);
+
+test('hexdump', async () => {
+	var file = File.fromBuffer(new Buffer('0123456789abcdefXYZ\n'));
+
+	assert.strictEqual(await file.hexdump(0),
+		'00000000  30 31 32 33 34 35 36 37  38 39 61 62 63 64 65 66  |0123456789abcdef|\n' +
+		'00000010  58 59 5a 0a                                       |XYZ.|');
+	assert.strictEqual(file.hexdumpSync(17, 2),
+		'00000011  59 5a                                             |YZ|');
+	// past the end of file
+	assert.strictEqual(file.hexdumpSync(18, 10),
+		'00000012  5a 0a                                             |Z.|');
+	assert.strictEqual(await file.hexdump(30), '');
+});
+
+test('struct dump fields', async () => {
+	var dump = await File.fromBuffer(data).createReadStruct(0, Header).dump();
+
+	assert.strictEqual(dump.error, null);
+	assert.deepStrictEqual(dump.fields.map((field) => [field.name, field.offset, field.size]), [
+		['magic', 0, 4],
+		['n', 4, 1],
+		['points', 5, 4],
+		['points.0', 5, 2],
+		['points.0.x', 5, 1],
+		['points.0.y', 6, 1],
+		['points.1', 7, 2],
+		['points.1.x', 7, 1],
+		['points.1.y', 8, 1],
+		['big', 9, 8]
+	]);
+	assert.deepStrictEqual(dump.field('points.1.y'), { name: 'points.1.y', offset: 8, size: 1, raw: new Buffer([4]), value: 4 });
+	assert.deepStrictEqual(dump.field('points.0').value, { x: 1, y: 2 });
+});
+
+test('text and JSON', () => {
+	var dump = File.fromBuffer(data).createReadStruct(0)
+		.string('magic', 4)
+		.uint('n', 1)
+		.struct('point', Point)
+		.dumpSync();
+	// offset, size, raw bytes in a column of 16 bytes, and the value
+	var line = (offset, size, raw, text) => offset + '  ' + size.padEnd(5) + '  ' + raw.padEnd(51) + '  ' + text;
+
+	assert.strictEqual(dump.toString(), [
+		line('00000000', '4', '54 45 53 54', 'magic = "TEST"'),
+		line('00000004', '1', '02', 'n = 2'),
+		line('00000005', '2', '01 02', 'point = {}'),
+		line('00000005', '1', '01', '  x = 1'),
+		line('00000006', '1', '02', '  y = 2')
+	].join('\n'));
+
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(dump)), {
+		fields: [
+			{ name: 'magic', offset: 0, size: 4, raw: '54455354', value: 'TEST' },
+			{ name: 'n', offset: 4, size: 1, raw: '02', value: 2 },
+			{ name: 'point', offset: 5, size: 2, raw: '0102' },
+			{ name: 'point.x', offset: 5, size: 1, raw: '01', value: 1 },
+			{ name: 'point.y', offset: 6, size: 1, raw: '02', value: 2 }
+		],
+		error: null
+	});
+
+	var big = File.fromBuffer(data).createReadStruct(9).bigUInt64('big').buffer('rest', 0).dumpSync();
+	assert.deepStrictEqual(big.toJSON().fields.map((field) => field.value), ['9', '']);
+	assert.match(big.toString(), /big = 9n\n.*rest = <>$/);
+});
+
+test('failed reads are dumped up to the error', async () => {
+	var dump = await File.fromBuffer(data.slice(0, 7)).createReadStruct(0, Header).dump();
+
+	assert.strictEqual(dump.error.name, 'EOFError');
+	assert.strictEqual(dump.error.field, 'points.1.x');
+	assert.deepStrictEqual(dump.fields.map((field) => field.name), ['magic', 'n', 'points.0', 'points.0.x', 'points.0.y']);
+	assert.match(dump.toString(), /\nerror: Unexpected end of file: 1 bytes requested at 7, 0 available in field 'points\.1\.x'$/);
+	assert.strictEqual(dump.toJSON().error, dump.error.message);
+});
+
+test('diff lists changed and missing fields', () => {
+	var changed = new Buffer(data);
+	changed[6] = 9;
+
+	var a = File.fromBuffer(data).createReadStruct(0, Header).dumpSync();
+	var b = File.fromBuffer(changed).createReadStruct(0, Header).dumpSync();
+	var c = File.fromBuffer(data.slice(0, 7)).createReadStruct(0, Header).dumpSync();
+
+	assert.deepStrictEqual(a.diff(a), []);
+	assert.deepStrictEqual(a.diff(b).map((diff) => [diff.name, diff.a.value, diff.b.value]), [
+		['points', [{ x: 1, y: 2 }, { x: 3, y: 4 }], [{ x: 1, y: 9 }, { x: 3, y: 4 }]],
+		['points.0', { x: 1, y: 2 }, { x: 1, y: 9 }],
+		['points.0.y', 2, 9]
+	]);
+	assert.deepStrictEqual(a.diff(c).map((diff) => [diff.name, !!diff.a, !!diff.b]), [
+		['points', true, false],
+		['points.1', true, false],
+		['points.1.x', true, false],
+		['points.1.y', true, false],
+		['big', true, false]
+	]);
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Short reads
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-errors-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data);
+	return filepath;
+}
+
+test('short reads fail with EOFError', async () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4, 5]));
+	var file = File.openSync(filepath);
+
+	var expected = {
+		name: 'EOFError',
+		code: 'EOF',
+		message: 'Unexpected end of file: 2 bytes requested at 4, 1 available (' + filepath + ')',
+		path: filepath,
+		offset: 4,
+		length: 2,
+		available: 1
+	};
+	await assert.rejects(file.readUIntBE(4, 2), expected);
+	assert.throws(() => file.readUIntBESync(4, 2), expected);
+	await assert.rejects(file.read(8, 1), { offset: 8, length: 1, available: 0 });
+
+	assert.throws(() => file.readSync(3, 4),
+		(err) => err instanceof File.EOFError && err instanceof File.BinFileError);
+	file.closeSync();
+});
+
+test('memory files have no path', () => {
+	var file = File.fromBuffer(new Buffer([1]));
+
+	assert.throws(() => file.readUIntLESync(0, 2), {
+		name: 'EOFError',
+		message: 'Unexpected end of file: 2 bytes requested at 0, 1 available',
+		available: 1
+	});
+});
+
+test('partial reads', async () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4, 5]));
+	var file = File.openSync(filepath);
+
+	assert.deepStrictEqual(file.readSync(3, 4, { allowPartial: true }), new Buffer([4, 5]));
+	assert.deepStrictEqual(await file.read(5, 2, { allowPartial: true }), new Buffer(0));
+	file.closeSync();
+
+	file = File.openSync(filepath, { allowPartial: true });
+	assert.deepStrictEqual(await file.read(3, 4), new Buffer([4, 5]));
+	// the read option overrides the open option
+	assert.throws(() => file.readSync(3, 4, { allowPartial: false }), File.EOFError);
+	file.closeSync();
+});
+
+test('struct reads name the field', async () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4, 5]));
+	var file = File.openSync(filepath);
+
+	var Header = Struct.define({
+		h: {
+			type: Struct.define({
+				a: { type: 'uint', length: 2 },
+				b: { type: 'uint', length: 4 }
+			})
+		}
+	});
+	await assert.rejects(Header.read(file, 0), {
+		name: 'EOFError',
+		message: 'Unexpected end of file: 4 bytes requested at 2, 3 available (' + filepath + ") in field 'h.b'",
+		field: 'h.b',
+		offset: 2,
+		length: 4,
+		available: 3
+	});
+	assert.throws(() => Header.readSync(file, 0), { field: 'h.b' });
+
+	var read = file.createReadStruct(0).uint('a', 2).array('list', 4, (sub, i) => sub.uint(i, 1));
+	await assert.rejects(read.read(), { field: 'list.3' });
+	file.closeSync();
+});
+
+test('partial struct reads return the fields read', async () => {
+	var file = File.fromBuffer(new Buffer([1, 2, 3, 4, 5]));
+
+	var read = file.createReadStruct(0, { allowPartial: true }).uint('a', 2).uint('b', 4);
+	await new Promise((resolve) => {
+		read.read((err, result, position) => {
+			assert.ifError(err);
+			assert.deepStrictEqual(result, { a: 0x0102 });
+			assert.strictEqual(position, 2);
+			resolve();
+		});
+	});
+});
+
+test('errors add field paths', () => {
+	var err = new File.BinFileError('Bad value', { value: 3 });
+	assert.strictEqual(err.message, 'Bad value');
+	assert.strictEqual(err.value, 3);
+
+	err.addField('b').addField(2).addField('a');
+	assert.strictEqual(err.field, 'a.2.b');
+	assert.strictEqual(err.message, "Bad value in field 'a.2.b'");
+	assert.strictEqual(err.reason, 'Bad value');
+});
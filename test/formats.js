@@ -0,0 +1,258 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var zlib = require('zlib');
+
+var File = require('..');
+var formats = File.formats;
+
+//
+// Round trips of the binary formats on memory files
+//
+
+var format = {
+	audioFormat: 1,
+	channels: 2,
+	sampleRate: 8000,
+	byteRate: 32000,
+	blockAlign: 4,
+	bitsPerSample: 16
+};
+
+// WAVE file of 16-bit stereo samples written field by field
+function wavFixture(samples) {
+	var header = new Buffer(44);
+	header.write('RIFF', 0);
+	header.writeUInt32LE(36 + samples.length, 4);
+	header.write('WAVEfmt ', 8);
+	header.writeUInt32LE(16, 16);
+	header.writeUInt16LE(format.audioFormat, 20);
+	header.writeUInt16LE(format.channels, 22);
+	header.writeUInt32LE(format.sampleRate, 24);
+	header.writeUInt32LE(format.byteRate, 28);
+	header.writeUInt16LE(format.blockAlign, 32);
+	header.writeUInt16LE(format.bitsPerSample, 34);
+	header.write('data', 36);
+	header.writeUInt32LE(samples.length, 40);
+	return Buffer.concat([header, samples]);
+}
+
+function pngChunks() {
+	var ihdr = File.fromBuffer(new Buffer(0));
+	formats.png.IHDR.writeSync(ihdr, 0, {
+		width: 1,
+		height: 1,
+		bitDepth: 8,
+		colorType: 0,
+		compression: 0,
+		filter: 0,
+		interlace: 0
+	});
+
+	return [
+		{ type: 'IHDR', data: ihdr.toBuffer() },
+		{ type: 'IDAT', data: zlib.deflateSync(new Buffer([0, 128])) },
+		{ type: 'IEND', data: new Buffer(0) }
+	];
+}
+
+// bitwise CRC-32 to check the table driven one
+function crc32(data) {
+	var crc = 0xffffffff;
+	for (var i = 0; i < data.length; i++) {
+		crc ^= data[i];
+		for (var bit = 0; bit < 8; bit++)
+			crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+function elfHeader(ident, entry) {
+	var address = ident.class == 2 ? BigInt(entry) : entry;
+	var size = ident.class == 2 ? 64 : 52;
+
+	return {
+		ident: Object.assign({
+			magic: formats.elf.magic,
+			version: 1,
+			osAbi: 0,
+			abiVersion: 0,
+			padding: new Buffer(7).fill(0)
+		}, ident),
+		type: 2,
+		machine: 62,
+		version: 1,
+		entry: address,
+		phOffset: ident.class == 2 ? BigInt(size) : size,
+		shOffset: ident.class == 2 ? 0n : 0,
+		flags: 0,
+		ehSize: size,
+		phEntSize: 56,
+		phNum: 1,
+		shEntSize: 64,
+		shNum: 0,
+		shStrIndex: 0
+	};
+}
+
+test('riff reads chunk list', async () => {
+	var file = File.fromBuffer(wavFixture(new Buffer([1, 2, 3, 4])));
+
+	var expected = {
+		form: 'WAVE',
+		size: 40,
+		chunks: [
+			{ id: 'fmt ', offset: 20, size: 16 },
+			{ id: 'data', offset: 44, size: 4 }
+		]
+	};
+	assert.deepStrictEqual(await formats.riff.read(file), expected);
+	assert.deepStrictEqual(formats.riff.readSync(file), expected);
+});
+
+test('riff rejects other ids', async () => {
+	var file = File.fromBuffer(new Buffer('RIFX\0\0\0\0WAVE'));
+	await assert.rejects(formats.riff.read(file), /Invalid RIFF id 'RIFX'/);
+});
+
+test('wav writes the fixture layout', async () => {
+	var samples = new Buffer([1, 2, 3, 4, 5, 6, 7, 8]);
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(await formats.wav.write(file, { format: format, data: samples }), 52);
+	assert.deepStrictEqual(file.toBuffer(), wavFixture(samples));
+
+	var sync = File.fromBuffer(new Buffer(0));
+	assert.strictEqual(formats.wav.writeSync(sync, { format: format, data: samples }), 52);
+	assert.deepStrictEqual(sync.toBuffer(), wavFixture(samples));
+});
+
+test('wav reads format and samples', async () => {
+	var samples = new Buffer([1, 2, 3, 4, 5, 6, 7, 8]);
+	var file = File.fromBuffer(wavFixture(samples));
+
+	var value = await formats.wav.read(file);
+	assert.deepStrictEqual(value.format, format);
+	assert.deepStrictEqual(value.data, { offset: 44, size: 8 });
+	assert.deepStrictEqual(file.readSync(value.data.offset, value.data.size), samples);
+	assert.deepStrictEqual(formats.wav.readSync(file), value);
+});
+
+test('wav pads odd sample data', () => {
+	var samples = new Buffer([1, 2, 3]);
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(formats.wav.writeSync(file, { format: format, data: samples }), 48);
+	var value = formats.wav.readSync(file);
+	assert.deepStrictEqual(file.readSync(value.data.offset, value.data.size), samples);
+});
+
+test('png round trip', async () => {
+	var chunks = pngChunks();
+	var file = File.fromBuffer(new Buffer(0));
+
+	await formats.png.write(file, chunks);
+	assert.deepStrictEqual(file.readSync(0, 8), formats.png.signature);
+
+	var read = await formats.png.read(file);
+	assert.deepStrictEqual(read.map((chunk) => [chunk.type, chunk.data]),
+		chunks.map((chunk) => [chunk.type, chunk.data]));
+	assert.deepStrictEqual(formats.png.readSync(file), read);
+	assert.strictEqual(read[0].crc, crc32(Buffer.concat([new Buffer('IHDR'), chunks[0].data])));
+
+	var iterated = [];
+	for await (var chunk of formats.png.chunks(file))
+		iterated.push(chunk);
+	assert.deepStrictEqual(iterated, read);
+
+	var sync = File.fromBuffer(new Buffer(0));
+	formats.png.writeSync(sync, chunks);
+	assert.deepStrictEqual(sync.toBuffer(), file.toBuffer());
+});
+
+test('png rejects crc mismatch', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	formats.png.writeSync(file, pngChunks());
+
+	// first byte of the IHDR data
+	file.writeSync(new Buffer([0xff]), 16);
+	await assert.rejects(formats.png.read(file), /Checksum mismatch/);
+	assert.throws(() => formats.png.readSync(file), /Checksum mismatch/);
+});
+
+test('png rejects invalid signature', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	formats.png.writeSync(file, pngChunks());
+
+	file.writeSync(new Buffer([0]), 0);
+	await assert.rejects(formats.png.read(file));
+});
+
+test('zip round trip', async () => {
+	var files = [
+		{ name: 'a.txt', data: new Buffer('hello') },
+		{ name: 'dir/ä.bin', data: new Buffer([1, 2, 3]) }
+	];
+	var file = File.fromBuffer(new Buffer(0));
+
+	await formats.zip.write(file, files, { comment: 'test' });
+	assert.strictEqual(file.readSync(0, 4).readUInt32LE(0), 0x04034b50);
+
+	var value = await formats.zip.read(file);
+	assert.strictEqual(value.end.comment, 'test');
+	assert.deepStrictEqual(value.entries.map((entry) => entry.name), ['a.txt', 'dir/ä.bin']);
+	assert.strictEqual(value.entries[0].localHeaderOffset, 0);
+	assert.deepStrictEqual(formats.zip.readSync(file), value);
+
+	assert.deepStrictEqual(await formats.zip.readData(file, value.entries[0]), files[0].data);
+	assert.deepStrictEqual(formats.zip.readDataSync(file, value.entries[1]), files[1].data);
+});
+
+test('zip round trip of no entries', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(formats.zip.writeSync(file, []), 22);
+	assert.deepStrictEqual(formats.zip.readSync(file).entries, []);
+});
+
+test('zip rejects files without end record', async () => {
+	await assert.rejects(formats.zip.read(File.fromBuffer(new Buffer(3))));
+});
+
+[
+	{ name: '32-bit LE', ident: { class: 1, data: 1 }, size: 52 },
+	{ name: '32-bit BE', ident: { class: 1, data: 2 }, size: 52 },
+	{ name: '64-bit LE', ident: { class: 2, data: 1 }, size: 64 },
+	{ name: '64-bit BE', ident: { class: 2, data: 2 }, size: 64 }
+].forEach((variant) => {
+	test('elf round trip ' + variant.name, async () => {
+		var header = elfHeader(variant.ident, 0x401000);
+		var file = File.fromBuffer(new Buffer(0));
+
+		assert.strictEqual(await formats.elf.write(file, header), variant.size);
+		assert.strictEqual(file.toBuffer().length, variant.size);
+		assert.deepStrictEqual(await formats.elf.read(file), header);
+
+		var sync = File.fromBuffer(new Buffer(0));
+		assert.strictEqual(formats.elf.writeSync(sync, header), variant.size);
+		assert.deepStrictEqual(sync.toBuffer(), file.toBuffer());
+		assert.deepStrictEqual(formats.elf.readSync(sync), header);
+	});
+});
+
+test('elf writes entry in file endian', () => {
+	var file = File.fromBuffer(new Buffer(0));
+	formats.elf.writeSync(file, elfHeader({ class: 1, data: 2 }, 0x401000));
+	assert.strictEqual(file.readSync(24, 4).readUInt32BE(0), 0x401000);
+
+	file = File.fromBuffer(new Buffer(0));
+	formats.elf.writeSync(file, elfHeader({ class: 2, data: 1 }, 0x401000));
+	assert.strictEqual(file.readSync(24, 8).readBigUInt64LE(0), 0x401000n);
+});
+
+test('elf rejects unknown class and magic', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	await assert.rejects(formats.elf.write(file, elfHeader({ class: 3, data: 1 }, 0)), /Unknown ELF class 3/);
+	assert.throws(() => formats.elf.readSync(File.fromBuffer(new Buffer(64))), /Invalid ELF magic/);
+});
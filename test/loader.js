@@ -0,0 +1,202 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// JSON layouts
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-loader-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function layoutFile(text) {
+	var filepath = path.join(dir, 'layout' + count++ + '.json');
+	fs.writeFileSync(filepath, typeof text == 'string' ? text : JSON.stringify(text));
+	return filepath;
+}
+
+var sample = {
+	description: 'Sample format',
+	endian: 'LE',
+	types: {
+		Point: {
+			fields: [
+				{ name: 'x', type: 'int', length: 4 },
+				{ name: 'y', type: 'int', length: 4 }
+			]
+		}
+	},
+	fields: [
+		{ name: 'magic', type: 'string', length: 4 },
+		{ name: 'version', type: 'uint', length: 2, endian: 'BE' },
+		{ name: 'flags', type: 'bits', length: 8 },
+		{ name: 'count', type: 'uint', length: 1 },
+		{ name: 'points', type: 'Point', count: 'count' },
+		{ name: 'title', type: 'stringLen', length: 2, encoding: 'latin1' },
+		{ name: 'extra', type: 'bufferLen', length: 'varint', if: 'flags' },
+		{
+			name: 'origin',
+			type: { fields: [{ name: 'id', type: 'varUInt' }] },
+			if: { field: 'version', equals: 2 }
+		},
+		{ name: 'crc', type: 'checksum', algorithm: 'crc32' }
+	]
+};
+
+test('layouts round trip', () => {
+	var Sample = Struct.fromJSON(sample);
+	var value = {
+		magic: 'SMPL',
+		version: 2,
+		flags: 1,
+		count: 2,
+		points: [{ x: 1, y: -1 }, { x: -2, y: 2 }],
+		title: 'café',
+		extra: new Buffer([7]),
+		origin: { id: 300 }
+	};
+	var file = File.fromBuffer();
+
+	var end = Sample.writeSync(file, 0, value);
+	var data = file.toBuffer();
+	assert.strictEqual(end, data.length);
+	assert.deepStrictEqual(data.slice(0, 8), new Buffer([0x53, 0x4d, 0x50, 0x4c, 0, 2, 1, 2]));
+	// points are little endian
+	assert.deepStrictEqual(data.slice(8, 12), new Buffer([1, 0, 0, 0]));
+	assert.deepStrictEqual(data.slice(24, 31), new Buffer([4, 0, 0x63, 0x61, 0x66, 0xe9, 1]));
+
+	var result = Sample.readSync(file, 0);
+	assert.strictEqual(typeof result.crc, 'number');
+	delete result.crc;
+	assert.deepStrictEqual(result, value);
+
+	// conditional fields are left out
+	var plain = Object.assign({}, value, { version: 1, flags: 0 });
+	delete plain.extra;
+	delete plain.origin;
+	file = File.fromBuffer();
+	Sample.writeSync(file, 0, plain);
+	result = Sample.readSync(file, 0);
+	delete result.crc;
+	assert.deepStrictEqual(result, plain);
+});
+
+test('load and loadSync', async () => {
+	var filepath = layoutFile(sample);
+
+	var Sample = await Struct.load(filepath);
+	assert.ok(Sample instanceof Struct.Schema);
+	assert.deepStrictEqual(Sample.fields.map((field) => field.name), sample.fields.map((field) => field.name));
+	assert.ok(Struct.loadSync(filepath) instanceof Struct.Schema);
+
+	await new Promise((resolve) => {
+		Struct.load(path.join(dir, 'missing.json'), (err) => {
+			assert.strictEqual(err.code, 'ENOENT');
+			resolve();
+		});
+	});
+});
+
+test('invalid JSON', async () => {
+	var filepath = layoutFile('{ "fields": [');
+
+	await assert.rejects(Struct.load(filepath), (err) => {
+		assert.strictEqual(err.name, 'SchemaError');
+		assert.strictEqual(err.code, 'ESCHEMA');
+		assert.strictEqual(err.path, filepath);
+		assert.match(err.message, /^Invalid schema: .*JSON/);
+		return true;
+	});
+});
+
+test('validate lists problems with paths', () => {
+	assert.deepStrictEqual(Struct.validate(sample), []);
+	assert.deepStrictEqual(Struct.validate([]), ['schema: Layout must be an object']);
+	assert.deepStrictEqual(Struct.validate({ fields: 1 }), ['schema.fields: Fields must be an array or an object']);
+
+	assert.deepStrictEqual(Struct.validate({
+		endian: 'ME',
+		size: 1,
+		fields: [
+			{ name: 'version', type: 'uint', length: 8 },
+			{ name: 'version', type: 'uint', length: 1 },
+			{ type: 'uint', length: 1 },
+			{ name: 'a', type: 'float', length: 4 },
+			{ name: 'b', type: 'nope' },
+			{ name: 'c', type: 'buffer', length: 'later' },
+			{ name: 'd', type: 'stringLen', length: 'varint', encoding: 'klingon', unit: 'words' },
+			{ name: 'e', type: 'bits', length: 54, order: 'middle' },
+			{ name: 'f', type: 'checksum', algorithm: 'nope', start: 'missing' },
+			{ name: 'g', type: 'checksum', algorithm: 'crc32', length: 2 },
+			{ name: 'h', type: 'sizeOf', length: 2, target: 'missing' },
+			{ name: 'i', type: 'uint', length: 1, count: -1, if: 'later' },
+			{ name: 'j', type: 'uint', length: 1, if: { field: 'version' } },
+			{ name: 'later', type: 'uint', length: 1 }
+		]
+	}), [
+		"schema: Unknown property 'size'",
+		"schema.endian: Endian must be 'BE' or 'LE'",
+		"schema.fields[0] 'version': Length must be an integer from 1 to 6",
+		"schema.fields[1] 'version': Duplicate field name",
+		'schema.fields[2]: Field must have a name',
+		"schema.fields[3] 'a': Unknown property 'length'",
+		"schema.fields[4] 'b': Unknown type 'nope'",
+		"schema.fields[5] 'c': Length must be a non-negative integer or the name of an earlier field",
+		"schema.fields[6] 'd': Unknown encoding 'klingon'",
+		"schema.fields[6] 'd': Unit must be 'bytes' or 'chars'",
+		"schema.fields[7] 'e': Length must be an integer from 1 to 53",
+		"schema.fields[7] 'e': Bit order must be 'msb' or 'lsb'",
+		"schema.fields[8] 'f': Unknown checksum algorithm 'nope'",
+		"schema.fields[8] 'f': Checksum start must be an offset or a field name",
+		"schema.fields[9] 'g': Length is only allowed for 'sum' checksums",
+		"schema.fields[10] 'h': Target must be a field name",
+		"schema.fields[11] 'i': Count must be a non-negative integer or the name of an earlier field",
+		"schema.fields[11] 'i': Condition must be the name of an earlier field, or an object",
+		"schema.fields[12] 'j': Condition must have 'equals'"
+	]);
+});
+
+test('named types', () => {
+	assert.deepStrictEqual(Struct.validate({
+		types: {
+			uint: { fields: [] },
+			A: { fields: [{ name: 'b', type: 'B' }] },
+			B: { fields: [{ name: 'a', type: { fields: [{ name: 'a', type: 'A' }] } }] }
+		},
+		fields: []
+	}), ['types.uint: Type name is a built-in type']);
+
+	assert.deepStrictEqual(Struct.validate({
+		types: {
+			A: { fields: [{ name: 'b', type: 'B' }] },
+			B: { fields: [{ name: 'a', type: { fields: [{ name: 'a', type: 'A' }] } }] }
+		},
+		fields: []
+	}), ['types.A: Type contains itself: A -> B -> A']);
+
+	assert.deepStrictEqual(Struct.validate({ types: [], fields: [] }), ['types: Types must be an object']);
+});
+
+test('invalid layouts fail with SchemaError', async () => {
+	var layout = { fields: [{ name: 'a', type: 'uint' }, { name: 'b', type: 'nope' }] };
+
+	assert.throws(() => Struct.fromJSON(layout), (err) => {
+		assert.ok(err instanceof File.SchemaError);
+		assert.ok(err instanceof File.BinFileError);
+		assert.strictEqual(err.message, "Invalid schema: schema.fields[0] 'a': Length must be an integer from 1 to 6 (and 1 more)");
+		assert.strictEqual(err.problems.length, 2);
+		return true;
+	});
+
+	var filepath = layoutFile(layout);
+	await assert.rejects(Struct.load(filepath), { name: 'SchemaError', path: filepath });
+	assert.throws(() => Struct.loadSync(filepath), (err) => err.message.endsWith('(' + filepath + ')'));
+});
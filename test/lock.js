@@ -0,0 +1,157 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+
+//
+// Advisory locks
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-lock-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture() {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, new Buffer(64).fill(0));
+	return filepath;
+}
+
+// lock the file in another process, printing the error code or 'ok'
+function lockInChild(filepath, range, options) {
+	var script = 'var File = require(' + JSON.stringify(path.join(__dirname, '..')) + ');' +
+		'var file = File.openSync(' + JSON.stringify(filepath) + ');' +
+		'try { file.lockSync(' + JSON.stringify(range) + ', ' + JSON.stringify(options) + '); console.log("ok"); }' +
+		'catch (err) { console.log(err.code); }';
+	var res = childProcess.spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 30000 });
+	return res.stdout.trim();
+}
+
+test('exclusive locks conflict on overlapping ranges', async () => {
+	var filepath = fixture();
+	var a = File.openSync(filepath);
+	var b = File.openSync(filepath);
+
+	var lock = await a.lock({ start: 0, end: 16 });
+	await assert.rejects(b.lock({ start: 8, end: 24 }), { code: 'ELOCKED', message: 'File range is locked' });
+	assert.throws(() => b.lockSync(), { code: 'ELOCKED' });
+
+	// ranges are end exclusive
+	var other = await b.lock({ start: 16, end: 32 });
+	await a.unlock(lock);
+	b.lockSync({ start: 0, end: 16 });
+
+	await b.unlock(other);
+	a.closeSync();
+	b.closeSync();
+});
+
+test('shared locks conflict only with exclusive ones', async () => {
+	var filepath = fixture();
+	var a = File.openSync(filepath);
+	var b = File.openSync(filepath);
+
+	await a.lock({ shared: true });
+	await b.lock({ start: 0, end: 4 }, { shared: true });
+	await assert.rejects(b.lock({ start: 8, end: 12 }), { code: 'ELOCKED' });
+	await assert.rejects(b.lock({ exclusive: true }), { code: 'ELOCKED' });
+
+	a.closeSync();
+	b.closeSync();
+});
+
+test('locks of other processes', () => {
+	var filepath = fixture();
+	var file = File.openSync(filepath);
+
+	file.lockSync({ start: 0, end: 8 });
+	assert.strictEqual(lockInChild(filepath, { start: 4, end: 12 }, {}), 'ELOCKED');
+	assert.strictEqual(lockInChild(filepath, { start: 8, end: 12 }, {}), 'ok');
+	file.closeSync();
+	assert.strictEqual(lockInChild(filepath, { start: 0, end: 8 }, {}), 'ok');
+});
+
+test('locks of exited processes are removed', () => {
+	var filepath = fixture();
+	var file = File.openSync(filepath);
+
+	assert.strictEqual(lockInChild(filepath, { start: 0, end: 8 }, {}), 'ok');
+	file.lockSync({ start: 0, end: 8 });
+	file.closeSync();
+});
+
+test('wait for a lock to be released', async () => {
+	var filepath = fixture();
+	var a = File.openSync(filepath);
+	var b = File.openSync(filepath);
+
+	var lock = a.lockSync();
+	setTimeout(() => a.unlockSync(lock), 50);
+	var start = Date.now();
+	await b.lock({ wait: true, interval: 5 });
+	assert.ok(Date.now() - start >= 40);
+
+	await assert.rejects(a.lock({ wait: 30 }), { code: 'ELOCKED', message: 'Timed out waiting for lock' });
+	assert.throws(() => a.lockSync({ wait: 30 }), { message: 'Timed out waiting for lock' });
+
+	a.closeSync();
+	b.closeSync();
+});
+
+test('close releases locks', async () => {
+	var filepath = fixture();
+	var a = File.openSync(filepath);
+	var b = File.openSync(filepath);
+
+	await a.lock({ start: 0, end: 8 });
+	await a.lock({ start: 8, end: 16 }, { shared: true });
+	await a.close();
+	await b.lock();
+	b.closeSync();
+	assert.strictEqual(fs.existsSync(filepath + '.locks'), false);
+
+	a.openSync();
+	a.lockSync();
+	a.closeSync();
+	assert.strictEqual(fs.existsSync(filepath + '.locks'), false);
+	b.openSync();
+	b.lockSync();
+	b.closeSync();
+});
+
+test('locked struct writes wait for each other', async () => {
+	var filepath = fixture();
+	var a = File.openSync(filepath);
+	var b = File.openSync(filepath);
+
+	var lock = a.lockSync({ start: 0, end: 4 });
+	var write = b.createWriteStruct(0, null, null, { lock: { wait: true, interval: 5 } })
+		.uint(0x01020304, 4)
+		.write();
+	setTimeout(() => {
+		assert.deepStrictEqual(fs.readFileSync(filepath).slice(0, 4), new Buffer(4).fill(0));
+		a.unlockSync(lock);
+	}, 30);
+	await write;
+	assert.deepStrictEqual(fs.readFileSync(filepath).slice(0, 4), new Buffer([1, 2, 3, 4]));
+
+	a.closeSync();
+	b.closeSync();
+});
+
+test('memory file locks', async () => {
+	var file = File.fromBuffer(new Buffer(16));
+
+	var lock = await file.lock({ start: 0, end: 8 });
+	await assert.rejects(file.lock({ start: 4, end: 12 }), { code: 'ELOCKED' });
+	file.unlockSync(lock);
+	file.lockSync({ start: 4, end: 12 });
+	file.closeSync();
+	file.lockSync({ start: 0, end: 16 });
+});
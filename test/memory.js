@@ -0,0 +1,80 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Memory files
+//
+
+var Header = Struct.define({
+	magic: { type: 'string', length: 2 },
+	size: { type: 'uint', length: 2 }
+});
+
+test('reads and writes grow the file', async () => {
+	var file = File.fromBuffer();
+
+	assert.ok(file instanceof File);
+	assert.ok(file.isOpen());
+	assert.strictEqual(await file.write(new Buffer([1, 2]), 3), 2);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0, 0, 0, 1, 2]));
+	file.writeUIntBESync(0xabcd, 100, 2);
+	assert.strictEqual(file.statSync().size, 102);
+	assert.strictEqual(await file.readUIntBE(100, 2), 0xabcd);
+	assert.strictEqual(file.readUIntBESync(3, 2), 0x0102);
+});
+
+test('buffer is not copied', () => {
+	var buffer = new Buffer([1, 2, 3]);
+	var file = File.fromBuffer(buffer);
+
+	file.writeSync(new Buffer([9]), 0);
+	assert.strictEqual(buffer[0], 9);
+	assert.strictEqual(file.toBuffer().buffer, buffer.buffer);
+});
+
+test('reads past the end', async () => {
+	var file = File.fromBuffer(new Buffer([1, 2, 3]));
+
+	assert.throws(() => file.readSync(2, 2), { name: 'EOFError', offset: 2, length: 2, available: 1 });
+	await assert.rejects(file.read(9, 1), { name: 'EOFError', available: 0 });
+	assert.deepStrictEqual(file.readSync(2, 4, { allowPartial: true }), new Buffer([3]));
+	assert.deepStrictEqual(await file.read(9, 1, { allowPartial: true }), new Buffer(0));
+
+	await assert.rejects(Header.read(file, 9), { name: 'EOFError', field: 'magic' });
+	assert.throws(() => Header.readSync(file, 2), { name: 'EOFError', field: 'magic' });
+});
+
+test('truncate', () => {
+	var file = File.fromBuffer(new Buffer([1, 2, 3, 4]));
+
+	file.truncateSync(2);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([1, 2]));
+	// truncated bytes are zero when the file grows again
+	file.truncateSync(4);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([1, 2, 0, 0]));
+});
+
+test('structs and transactions', async () => {
+	var file = File.fromBuffer();
+
+	assert.strictEqual(await Header.write(file, 0, { magic: 'MF', size: 2 }), 4);
+	assert.deepStrictEqual(Header.readSync(file, 0), { magic: 'MF', size: 2 });
+
+	await assert.rejects(file.transaction((tx) => {
+		tx.writeSync(new Buffer([0]), 0);
+		throw new Error('failed');
+	}), /failed/);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0x4d, 0x46, 0, 2]));
+
+	file.transactionSync((tx) => tx.truncateSync(2));
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0x4d, 0x46]));
+});
+
+test('no page cache', () => {
+	assert.throws(() => File.fromBuffer().enableCache(), /Memory files can not have a page cache/);
+});
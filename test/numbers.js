@@ -0,0 +1,94 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Floats, doubles and 64-bit integers
+//
+
+var values = {
+	FloatBE: [1.5, [0x3f, 0xc0, 0, 0]],
+	FloatLE: [-2, [0, 0, 0, 0xc0]],
+	DoubleBE: [Math.PI, [0x40, 0x09, 0x21, 0xfb, 0x54, 0x44, 0x2d, 0x18]],
+	DoubleLE: [0.1, [0x9a, 0x99, 0x99, 0x99, 0x99, 0x99, 0xb9, 0x3f]],
+	BigInt64BE: [-2n, [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe]],
+	BigInt64LE: [-(2n ** 63n), [0, 0, 0, 0, 0, 0, 0, 0x80]],
+	BigUInt64BE: [2n ** 64n - 1n, [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]],
+	BigUInt64LE: [0x0102030405060708n, [8, 7, 6, 5, 4, 3, 2, 1]]
+};
+
+Object.keys(values).forEach((type) => {
+	test(type + ' round trip', async () => {
+		var value = values[type][0];
+		var bytes = new Buffer(values[type][1]);
+		var file = File.fromBuffer();
+
+		assert.strictEqual(await file['write' + type](value, 1), bytes.length);
+		assert.deepStrictEqual(file.toBuffer().slice(1), bytes);
+		assert.strictEqual(await file['read' + type](1), value);
+
+		file['write' + type + 'Sync'](value, 9);
+		assert.strictEqual(file['read' + type + 'Sync'](9), value);
+	});
+});
+
+test('aliases are big endian', () => {
+	var file = File.fromBuffer();
+
+	file.writeDoubleSync(2.5, 0);
+	assert.strictEqual(file.readDoubleBESync(0), 2.5);
+	file.writeBigUInt64Sync(1n, 0);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0, 0, 0, 0, 0, 0, 0, 1]));
+	assert.strictEqual(file.readBigInt64Sync(0), 1n);
+});
+
+test('short reads and invalid values', async () => {
+	var file = File.fromBuffer(new Buffer(6));
+
+	await assert.rejects(file.readDoubleLE(0), { name: 'EOFError', length: 8, available: 6 });
+	assert.throws(() => file.readFloatBESync(4), { name: 'EOFError' });
+	await assert.rejects(file.writeBigUInt64BE(-1n, 0), RangeError);
+	assert.throws(() => file.writeBigInt64LESync(1.5, 0), RangeError);
+
+	// numbers are converted
+	file.writeBigInt64LESync(-3, 0);
+	assert.strictEqual(file.readBigInt64LESync(0), -3n);
+});
+
+test('struct and schema fields', () => {
+	var file = File.fromBuffer();
+
+	var end = file.createWriteStruct(0)
+		.floatLE(21.5)
+		.doubleLE(1013.25)
+		.bigUInt64LE(1700000000000n)
+		.bigInt64(-1n)
+		.writeSync();
+	assert.strictEqual(end, 28);
+
+	var read = file.createReadStruct(0)
+		.floatLE('temperature')
+		.doubleLE('pressure')
+		.bigUInt64LE('timestamp')
+		.bigInt64BE('offset')
+		.readSync();
+	var expected = { temperature: 21.5, pressure: 1013.25, timestamp: 1700000000000n, offset: -1n };
+	assert.deepStrictEqual(read, { result: expected, position: 28 });
+
+	var Sample = Struct.define({
+		temperature: { type: 'float' },
+		pressure: { type: 'double' },
+		timestamp: { type: 'bigUInt64' },
+		offset: { type: 'bigInt64', endian: 'BE' }
+	}, { endian: 'LE' });
+	assert.strictEqual(Sample.size(), 28);
+	assert.deepStrictEqual(Sample.readSync(file, 0), expected);
+
+	var copy = File.fromBuffer();
+	Sample.writeSync(copy, 0, expected);
+	assert.deepStrictEqual(copy.toBuffer(), file.toBuffer());
+});
@@ -0,0 +1,108 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Offsets, sizes and pointers
+//
+
+var Entry = Struct.define({
+	id: { type: 'uint', length: 1 },
+	name: { type: 'string', length: 2 }
+});
+
+test('reserve is filled by target', async () => {
+	var file = File.fromBuffer(new Buffer([0xee, 0xee]));
+
+	var end = await file.createWriteStruct(2)
+		.reserve('toc', 4)
+		.reserve('rel', 2, { endian: 'LE' })
+		.string('abc')
+		.target('toc')
+		.target('rel', { relative: true })
+		.uint(7, 1)
+		.write();
+	assert.strictEqual(end, 12);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0xee, 0xee, 0, 0, 0, 11, 9, 0, 0x61, 0x62, 0x63, 7]));
+});
+
+test('targets in nested structs fill outer reserved fields', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	file.createWriteStruct(0)
+		.reserve('last', 1)
+		.array([{ id: 1, name: 'ab' }, { id: 2, name: 'cd' }], (w, value, i) => {
+			if (i == 1) w.target('last');
+			w.struct(value, Entry);
+		})
+		.writeSync();
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([4, 1, 0x61, 0x62, 2, 0x63, 0x64]));
+});
+
+test('sizeOf before and after the field', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	file.createWriteStruct(0)
+		.sizeOf('len', 2, 'body')
+		.field('body', (w) => w.string('hello').uint(0, 1))
+		.sizeOf('again', 1, 'body', { endian: 'LE' })
+		.writeSync();
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0, 6, 0x68, 0x65, 0x6c, 0x6c, 0x6f, 0, 6]));
+});
+
+test('placeholder errors', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await assert.rejects(file.createWriteStruct(0).reserve('toc', 4).write(),
+		{ name: 'BinFileError', message: "Reserved field 'toc' was not filled" });
+	await assert.rejects(file.createWriteStruct(0).target('toc').write(), /Unknown reserved field 'toc'/);
+	await assert.rejects(file.createWriteStruct(0).sizeOf('len', 1, 'body').write(),
+		/Unknown field 'body' in sizeOf 'len'/);
+});
+
+test('pointer reads the struct at the offset', async () => {
+	var data = new Buffer([0, 7, 4, 0, 1, 0x61, 0x62, 2, 0x63, 0x64, 9]);
+	var file = File.fromBuffer(data);
+
+	var result = await file.createReadStruct(0)
+		.pointer('abs', 2, Entry)
+		.pointer('rel', 2, (r) => r.uint('id', 1).string('name', 2), { endian: 'LE', relative: true })
+		.uint('next', 1)
+		.read();
+	assert.deepStrictEqual(result, {
+		abs: { id: 2, name: 'cd' },
+		rel: { id: 1, name: 'ab' },
+		next: 1
+	});
+
+	var read = file.createReadStruct(0).pointer('abs', 2, Entry).readSync();
+	assert.deepStrictEqual(read, { result: { abs: { id: 2, name: 'cd' } }, position: 2 });
+});
+
+test('pointer errors name the field', async () => {
+	var file = File.fromBuffer(new Buffer([0, 9, 1]));
+
+	await assert.rejects(file.createReadStruct(0).pointer('toc', 2, Entry).read(),
+		{ name: 'EOFError', field: 'toc.id' });
+	await assert.rejects(file.createReadStruct(2).pointer('toc', 2, Entry).read(),
+		{ name: 'EOFError', field: 'toc' });
+});
+
+test('schema sizeOf fields', () => {
+	var Record = Struct.define({
+		len: { type: 'sizeOf', length: 2, target: 'body' },
+		body: { type: 'buffer', length: 3 },
+		crc: { type: 'checksum', algorithm: 'sum', start: 'body', end: 'body' }
+	});
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(Record.writeSync(file, 0, { body: new Buffer([1, 2, 3]) }), 6);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0, 3, 1, 2, 3, 6]));
+	assert.deepStrictEqual(Record.readSync(file, 0), { len: 3, body: new Buffer([1, 2, 3]), crc: 6 });
+
+	assert.throws(() => Struct.define({ len: { type: 'sizeOf', length: 2 } }), /Missing target for field 'len'/);
+});
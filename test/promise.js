@@ -0,0 +1,113 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+
+//
+// Promises and callbacks
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-promise-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data);
+	return filepath;
+}
+
+// call method with a callback, resolving to all callback arguments
+function withCallback(obj, method, args) {
+	return new Promise((resolve, reject) => {
+		obj[method].apply(obj, args.concat(function(err) {
+			if (err) reject(err);
+			else resolve(Array.prototype.slice.call(arguments, 1));
+		}));
+	});
+}
+
+test('File.open resolves to the File', async () => {
+	var filepath = fixture(new Buffer([1, 2]));
+
+	var file = await File.open(filepath);
+	assert.ok(file instanceof File);
+	assert.strictEqual(file.filepath, filepath);
+	await file.close();
+
+	await new Promise((resolve) => {
+		var returned = File.open(filepath, (err, opened) => {
+			assert.ifError(err);
+			assert.strictEqual(opened, returned);
+			opened.closeSync();
+			resolve();
+		});
+		assert.ok(returned instanceof File);
+	});
+});
+
+test('methods resolve to the first callback value', async () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4]));
+	var file = File.openSync(filepath);
+
+	var calls = [
+		['read', [0, 2]],
+		['readUIntBE', [0, 2]],
+		['readUIntLE', [1, 3]],
+		['readString', [0, 4]]
+	];
+	for (var call of calls) {
+		var values = await withCallback(file, call[0], call[1]);
+		assert.deepStrictEqual(await file[call[0]].apply(file, call[1]), values[0], call[0]);
+	}
+
+	assert.strictEqual(await file.writeStringLenLE('ab', 4, 2), 4);
+	assert.deepStrictEqual(await withCallback(file, 'readStringLenLE', [4, 2]), ['ab', 4]);
+	assert.strictEqual((await file.stat()).size, 8);
+	await file.truncate(2);
+	await file.sync();
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 2]));
+
+	var dest = filepath + '-renamed';
+	await file.rename(dest);
+	assert.strictEqual(file.filepath, dest);
+	await file.close();
+});
+
+test('structs resolve to the result', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(await file.createWriteStruct(0).uint(0x0102, 2).string('ab').write(), 4);
+	var read = file.createReadStruct(0).uint('a', 2).string('b', 2);
+	assert.deepStrictEqual(await read.read(), { a: 0x0102, b: 'ab' });
+
+	var values = await withCallback(file.createReadStruct(0).uint('a', 2), 'read', []);
+	assert.deepStrictEqual(values, [{ a: 0x0102 }, 2]);
+});
+
+test('errors reject instead of throwing', async () => {
+	var file = File.fromBuffer(new Buffer([1]));
+
+	var promise = File.open(path.join(dir, 'missing'));
+	assert.ok(promise instanceof Promise);
+	await assert.rejects(promise, { code: 'ENOENT' });
+
+	await assert.rejects(file.readUIntBE(0, 2), /Unexpected end of file/);
+	await assert.rejects(file.createWriteStruct(0).uint(300, 1).write());
+	await assert.rejects(file.createReadStruct(0).uint('a', 4).read(), /Unexpected end of file/);
+});
+
+test('callbacks get errors', (t, done) => {
+	var file = File.fromBuffer(new Buffer([1]));
+
+	var returned = file.readUIntBE(0, 2, (err) => {
+		assert.match(err.message, /Unexpected end of file/);
+		done();
+	});
+	assert.strictEqual(returned, undefined);
+});
@@ -0,0 +1,226 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Tables of fixed size records
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-records-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data || new Buffer(0));
+	return filepath;
+}
+
+var Header = Struct.define({
+	magic: { type: 'string', length: 2 },
+	version: { type: 'uint', length: 1 }
+});
+
+var Record = Struct.define({
+	id: { type: 'uint', length: 2 },
+	name: { type: 'string', length: 3 }
+});
+
+test('append, get, set and count', async () => {
+	var filepath = fixture();
+	var file = File.openSync(filepath);
+	var table = file.records(Record);
+
+	assert.strictEqual(await table.count(), 0);
+	assert.strictEqual(await table.append({ id: 1, name: 'a' }), 0);
+	assert.strictEqual(await table.append({ id: 2, name: 'bc' }), 1);
+	assert.strictEqual(table.appendSync({ id: 3, name: 'def' }), 2);
+	assert.strictEqual(await table.count(), 3);
+	assert.strictEqual(table.countSync(), 3);
+
+	assert.deepStrictEqual(await table.get(1), { id: 2, name: 'bc' });
+	assert.deepStrictEqual(table.getSync(2), { id: 3, name: 'def' });
+
+	await table.set(0, { id: 4, name: 'x' });
+	table.setSync(2, { id: 5, name: 'y' });
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([
+		0, 4, 0x78, 0, 0,
+		0, 2, 0x62, 0x63, 0,
+		0, 5, 0x79, 0, 0
+	]));
+	file.closeSync();
+});
+
+test('operations run in call order', async () => {
+	var file = File.openSync(fixture());
+	var table = file.records(Record);
+
+	var results = await Promise.all([
+		table.append({ id: 1, name: 'a' }),
+		table.append({ id: 2, name: 'b' }),
+		table.count(),
+		table.set(0, { id: 3, name: 'c' }),
+		table.get(0)
+	]);
+	assert.deepStrictEqual(results, [0, 1, 2, undefined, { id: 3, name: 'c' }]);
+	file.closeSync();
+});
+
+test('callbacks', (t, done) => {
+	var file = File.openSync(fixture());
+	var table = file.records(Record);
+
+	table.append({ id: 1, name: 'a' }, (err, i) => {
+		assert.ifError(err);
+		assert.strictEqual(i, 0);
+		table.get(0, (err, record) => {
+			assert.ifError(err);
+			assert.deepStrictEqual(record, { id: 1, name: 'a' });
+			file.closeSync();
+			done();
+		});
+	});
+});
+
+test('index out of range', async () => {
+	var file = File.openSync(fixture());
+	var table = file.records(Record);
+	table.appendSync({ id: 1, name: 'a' });
+
+	await assert.rejects(table.get(1), { name: 'RangeError', message: 'Record index 1 is out of range, file has 1 records' });
+	await assert.rejects(table.get(-1), RangeError);
+	await assert.rejects(table.set(1.5, { id: 1, name: 'a' }), RangeError);
+	assert.throws(() => table.getSync(1), RangeError);
+	assert.throws(() => table.setSync(3, { id: 1, name: 'a' }), RangeError);
+	file.closeSync();
+});
+
+test('invalid records are not written', async () => {
+	var filepath = fixture();
+	var file = File.openSync(filepath);
+	var table = file.records(Record);
+
+	await assert.rejects(table.append({ name: 'a' }), /Missing value for field 'id'/);
+	assert.throws(() => table.appendSync({ id: 1 }), /Missing value for field 'name'/);
+	assert.strictEqual(await table.count(), 0);
+	file.closeSync();
+});
+
+test('trailing partial record is not counted', async () => {
+	var filepath = fixture(new Buffer([0, 1, 0x61, 0, 0, 0, 2]));
+	var file = File.openSync(filepath);
+	var table = file.records(Record);
+
+	assert.strictEqual(await table.count(), 1);
+	await assert.rejects(table.get(1), RangeError);
+
+	// appending replaces the partial record
+	assert.strictEqual(await table.append({ id: 3, name: 'c' }), 1);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([0, 1, 0x61, 0, 0, 0, 3, 0x63, 0, 0]));
+
+	var iterated = [];
+	for await (var record of table)
+		iterated.push(record.id);
+	assert.deepStrictEqual(iterated, [1, 3]);
+	file.closeSync();
+});
+
+test('header and record sizes', async () => {
+	var filepath = fixture();
+	var file = File.openSync(filepath);
+	var table = file.records(Record, { header: Header, headerSize: 4, recordSize: 6 });
+
+	assert.strictEqual(table.position(2), 16);
+	await table.writeHeader({ magic: 'RF', version: 1 });
+	await table.append({ id: 1, name: 'a' });
+	table.appendSync({ id: 2, name: 'b' });
+
+	assert.deepStrictEqual(await table.readHeader(), { magic: 'RF', version: 1 });
+	assert.deepStrictEqual(table.readHeaderSync(), { magic: 'RF', version: 1 });
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([
+		0x52, 0x46, 1, 0,
+		0, 1, 0x61, 0, 0, 0,
+		0, 2, 0x62, 0, 0, 0
+	]));
+	assert.strictEqual(await table.count(), 2);
+	file.closeSync();
+});
+
+test('header errors', async () => {
+	var file = File.openSync(fixture());
+
+	var table = file.records(Record);
+	await assert.rejects(table.readHeader(), /RecordFile has no header layout/);
+	assert.throws(() => table.writeHeaderSync({}), /RecordFile has no header layout/);
+
+	var Name = Struct.define({ name: { type: 'stringLen', length: 1 } });
+	assert.throws(() => file.records(Record, { header: Name }), /headerSize must be given/);
+	table = file.records(Record, { header: Name, headerSize: 4 });
+	await assert.rejects(table.writeHeader({ name: 'abcd' }), { name: 'RangeError', message: 'Header of 5 bytes does not fit in 4 bytes' });
+	assert.throws(() => table.writeHeaderSync({ name: 'abcdef' }), /Header of 7 bytes does not fit in 4 bytes/);
+	table.writeHeaderSync({ name: 'abc' });
+	assert.deepStrictEqual(await table.readHeader(), { name: 'abc' });
+	file.closeSync();
+});
+
+test('layouts must fit', () => {
+	var file = File.fromBuffer(new Buffer(0));
+	var Variable = Struct.define({ name: { type: 'stringLen', length: 1 } });
+
+	assert.throws(() => file.records(Variable), /Record layout must have a fixed size/);
+	assert.throws(() => file.records(Record, { recordSize: 4 }), /Record size must be at least the layout size of 5 bytes/);
+	assert.throws(() => file.records(Record, { header: Header, headerSize: 2 }), /Header size must be at least the layout size of 3 bytes/);
+});
+
+test('truncate', async () => {
+	var filepath = fixture();
+	var file = File.openSync(filepath);
+	var table = file.records(Record, { header: Header });
+
+	table.writeHeaderSync({ magic: 'RF', version: 1 });
+	table.appendSync({ id: 1, name: 'a' });
+	table.appendSync({ id: 2, name: 'b' });
+	await table.truncate(1);
+	assert.strictEqual(fs.readFileSync(filepath).length, 8);
+	assert.strictEqual(table.countSync(), 1);
+
+	// added records are zero filled
+	table.truncateSync(3);
+	assert.deepStrictEqual(table.getSync(2), { id: 0, name: '' });
+	assert.strictEqual(await table.count(), 3);
+	file.closeSync();
+});
+
+test('iterate a range', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	var table = file.records(Record);
+	for (var i = 0; i < 5; i++)
+		table.appendSync({ id: i, name: String(i) });
+
+	var ids = [];
+	for await (var record of table.records(1, 3))
+		ids.push(record.id);
+	assert.deepStrictEqual(ids, [1, 2]);
+
+	ids = [];
+	for await (record of table.records(3, 10))
+		ids.push(record.id);
+	assert.deepStrictEqual(ids, [3, 4]);
+});
+
+test('sync methods check for pending operations', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	var table = file.records(Record);
+
+	var append = table.append({ id: 1, name: 'a' });
+	assert.throws(() => table.countSync(), /RecordFile has pending asynchronous operations/);
+	await append;
+	assert.strictEqual(table.countSync(), 1);
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Schemas
+//
+
+var Point = Struct.define({
+	x: { type: 'int', length: 4 },
+	y: { type: 'int', length: 4 }
+}, { endian: 'LE' });
+
+var Header = Struct.define({
+	magic: { type: 'string', length: 4 },
+	version: { type: 'uint', length: 2 },
+	origin: Point,
+	points: { type: Point, count: 2 },
+	title: { type: 'stringLen', length: 2 }
+});
+
+var header = {
+	magic: 'HEAD',
+	version: 3,
+	origin: { x: 1, y: -1 },
+	points: [{ x: 2, y: 3 }, { x: -4, y: 5 }],
+	title: 'abc'
+};
+
+test('nested structs and arrays round trip', async () => {
+	var file = File.fromBuffer();
+
+	assert.strictEqual(await Header.write(file, 0, header), 35);
+	var data = file.toBuffer();
+	assert.deepStrictEqual(data.slice(0, 14), new Buffer([0x48, 0x45, 0x41, 0x44, 0, 3, 1, 0, 0, 0, 0xff, 0xff, 0xff, 0xff]));
+	assert.deepStrictEqual(data.slice(30), new Buffer([0, 3, 0x61, 0x62, 0x63]));
+
+	assert.deepStrictEqual(await Header.read(file, 0), header);
+	assert.deepStrictEqual(Header.readSync(file, 0), header);
+	assert.deepStrictEqual(file.createReadStruct(0, Header).readSync(), { result: header, position: 35 });
+
+	var copy = File.fromBuffer();
+	assert.strictEqual(Header.writeSync(copy, 0, header), 35);
+	assert.deepStrictEqual(copy.toBuffer(), data);
+});
+
+test('fields array and inline layouts', () => {
+	var Record = Struct.define([
+		{ name: 'id', type: 'uint', length: 2, endian: 'LE' },
+		{ name: 'pos', type: { x: { type: 'uint', length: 1 }, y: { type: 'uint', length: 1 } } },
+		{ name: 'tags', type: 'string', length: 2, count: 2 }
+	]);
+	var value = { id: 0x0102, pos: { x: 3, y: 4 }, tags: ['ab', 'cd'] };
+	var file = File.fromBuffer();
+
+	Record.writeSync(file, 0, value);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([2, 1, 3, 4, 0x61, 0x62, 0x63, 0x64]));
+	assert.deepStrictEqual(Record.readSync(file, 0), value);
+	assert.deepStrictEqual(Record.fields.map((field) => field.name), ['id', 'pos', 'tags']);
+});
+
+test('size', () => {
+	assert.strictEqual(Point.size(), 8);
+	assert.strictEqual(Header.size(), null);
+	assert.strictEqual(Struct.define({ a: { type: 'double' }, b: { type: Point, count: 3 } }).size(), 32);
+	assert.strictEqual(Struct.define({ a: { type: 'uint', length: 1, if: () => true } }).size(), null);
+});
+
+test('write errors', async () => {
+	var file = File.fromBuffer();
+
+	var missing = Object.assign({}, header);
+	delete missing.version;
+	await assert.rejects(Header.write(file, 0, missing), { name: 'TypeError', message: "Missing value for field 'version'" });
+	assert.throws(() => Header.writeSync(file, 0, Object.assign({}, header, { points: [] })),
+		/Field 'points' must be an array of 2 items/);
+	assert.throws(() => Header.writeSync(file, 0, null), /Missing value for field 'magic'/);
+	assert.strictEqual(file.toBuffer().length, 0);
+});
+
+test('invalid fields', () => {
+	assert.throws(() => Struct.define({ a: { type: 'nope', length: 1 } }), /Unknown type 'nope' for field 'a'/);
+	assert.throws(() => Struct.define({ a: { type: 'uint' } }), /Missing length for field 'a'/);
+	assert.throws(() => Struct.define({ a: { type: 'uint', length: 1, endian: 'ME' } }), /Invalid endian 'ME' for field 'a'/);
+});
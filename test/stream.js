@@ -0,0 +1,127 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var pipeline = require('stream').promises.pipeline;
+var Readable = require('stream').Readable;
+
+var File = require('..');
+var Struct = File.Struct;
+var stream = File.stream;
+
+//
+// Streams
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-stream-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function open(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data || new Buffer(0));
+	return File.openSync(filepath);
+}
+
+async function collect(readable) {
+	var items = [];
+	for await (var item of readable)
+		items.push(item);
+	return items;
+}
+
+var Record = Struct.define({
+	id: { type: 'uint', length: 2 },
+	name: { type: 'stringLen', length: 1 }
+});
+
+function encode(records) {
+	var file = File.fromBuffer();
+	records.reduce((pos, record) => Record.writeSync(file, pos, record), 0);
+	return file.toBuffer();
+}
+
+var records = [];
+for (var i = 0; i < 1000; i++)
+	records.push({ id: i, name: 'record ' + i });
+
+test('read stream of a range', async () => {
+	var data = new Buffer(200000).map((b, i) => i % 251);
+	var file = open(data);
+
+	assert.deepStrictEqual(Buffer.concat(await collect(file.createReadStream())), data);
+	assert.deepStrictEqual(Buffer.concat(await collect(file.createReadStream(10, 19))), data.slice(10, 20));
+	assert.deepStrictEqual(Buffer.concat(await collect(file.createReadStream(199990, 300000))), data.slice(199990));
+
+	// the file stays open
+	assert.ok(file.isOpen());
+	file.closeSync();
+});
+
+test('write stream', async () => {
+	var file = open(new Buffer([1, 2, 3]));
+
+	await pipeline(Readable.from([new Buffer([4, 5]), new Buffer([6])]), file.createWriteStream(2));
+	assert.deepStrictEqual(await file.read(0, 5), new Buffer([1, 2, 4, 5, 6]));
+	assert.ok(file.isOpen());
+	file.closeSync();
+});
+
+test('parse records split across chunks', async () => {
+	var data = encode(records);
+	var chunks = [];
+	for (var pos = 0; pos < data.length; pos += 7)
+		chunks.push(data.slice(pos, pos + 7));
+
+	var parsed = await collect(Readable.from(chunks).pipe(new stream.RecordParser(Record)));
+	assert.deepStrictEqual(parsed, records);
+});
+
+test('parse records of a file with a layout function', async () => {
+	var file = open(encode(records.slice(0, 3)));
+
+	var parser = new stream.RecordParser((r) => r.uint('id', 2).stringLen('name', 1));
+	assert.deepStrictEqual(await collect(file.createReadStream().pipe(parser)), records.slice(0, 3));
+	file.closeSync();
+});
+
+test('parser errors', async () => {
+	var data = encode(records.slice(0, 2));
+
+	await assert.rejects(collect(Readable.from([data.slice(0, -1)]).pipe(new stream.RecordParser(Record))), {
+		name: 'BinFileError',
+		message: 'Incomplete record of 10 bytes at 11 at end of stream',
+		offset: 11,
+		available: 10
+	});
+
+	var Empty = Struct.define({ s: { type: 'string', length: 0 } });
+	await assert.rejects(collect(Readable.from([data]).pipe(new stream.RecordParser(Empty))),
+		/Record layout does not consume any bytes/);
+});
+
+test('record writer', async () => {
+	var file = open(new Buffer([0xff]));
+
+	var writer = new stream.RecordWriter(file, 1, Record);
+	await pipeline(Readable.from(records, { objectMode: true }), writer);
+	assert.strictEqual(writer.position, 1 + encode(records).length);
+	assert.deepStrictEqual(fs.readFileSync(file.filepath), Buffer.concat([new Buffer([0xff]), encode(records)]));
+
+	var fn = new stream.RecordWriter(file, 0, (w, record) => w.uint(record.id, 1));
+	await pipeline(Readable.from([{ id: 7 }, { id: 8 }], { objectMode: true }), fn);
+	assert.deepStrictEqual(await file.read(0, 2), new Buffer([7, 8]));
+	file.closeSync();
+});
+
+test('record writer errors', async () => {
+	var file = File.fromBuffer();
+
+	var writer = new stream.RecordWriter(file, 0, Record);
+	await assert.rejects(pipeline(Readable.from([{ id: 1 }], { objectMode: true }), writer),
+		/Missing value for field 'name'/);
+	assert.strictEqual(file.toBuffer().length, 0);
+});
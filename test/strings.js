@@ -0,0 +1,102 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// String encodings and padding
+//
+
+test('readString keeps trailing NUL without padding', async () => {
+	var file = File.fromBuffer(new Buffer('ab\0\0'));
+
+	assert.strictEqual(await file.readString(0, 4), 'ab\0\0');
+	assert.strictEqual(file.readStringSync(0, 4), 'ab\0\0');
+	assert.strictEqual(await file.readString(0, 4, { padding: '\0' }), 'ab');
+});
+
+test('stringLen round trip keeps trailing NUL', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await file.writeStringLenBE('a\0', 0, 2);
+	assert.strictEqual(await file.readStringLenBE(0, 2), 'a\0');
+	file.writeStringLenLESync('b\0\0', 0, 1);
+	assert.strictEqual(file.readStringLenLESync(0, 1), 'b\0\0');
+});
+
+test('fixed length string is padded on write and trimmed with padding', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await file.writeString('ab', 0, { length: 6, padding: ' ' });
+	assert.deepStrictEqual(file.toBuffer(), new Buffer('ab    '));
+	assert.strictEqual(await file.readString(0, 6, { padding: ' ' }), 'ab');
+
+	file.writeStringSync('cd', 0, { length: 6 });
+	assert.deepStrictEqual(file.toBuffer(), new Buffer('cd\0\0\0\0'));
+	assert.strictEqual(file.readStringSync(0, 6), 'cd\0\0\0\0');
+});
+
+test('fixed length string truncates at a character boundary', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	file.writeStringSync('aää', 0, { length: 4 });
+	assert.strictEqual(file.readStringSync(0, 4, { padding: '\0' }), 'aä');
+});
+
+test('schema string fields trim NUL padding', async () => {
+	var Name = Struct.define({
+		name: { type: 'string', length: 8 },
+		raw: { type: 'string', length: 4, padding: '' },
+		label: { type: 'stringLen', length: 1 }
+	});
+	var file = File.fromBuffer(new Buffer(0));
+	var value = { name: 'ab', raw: 'c', label: 'd\0' };
+
+	await Name.write(file, 0, value);
+	assert.deepStrictEqual(await Name.read(file, 0), { name: 'ab', raw: 'c\0\0\0', label: 'd\0' });
+	assert.deepStrictEqual(Name.readSync(file, 0).name, 'ab');
+});
+
+test('encodings', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await file.writeString('hé', 0, 'latin1');
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0x68, 0xe9]));
+	assert.strictEqual(await file.readString(0, 2, 'latin1'), 'hé');
+
+	await file.writeString('hé', 0, 'utf16le');
+	assert.strictEqual(await file.readString(0, 4, 'utf16le'), 'hé');
+
+	await file.writeString('abcd', 0, 'hex');
+	assert.deepStrictEqual(file.readSync(0, 2), new Buffer([0xab, 0xcd]));
+	assert.strictEqual(file.readStringSync(0, 2, 'hex'), 'abcd');
+});
+
+test('cstring round trip', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await file.writeCString('abc', 0);
+	await file.writeCString('dé', 4, 'utf16le');
+	assert.strictEqual(await file.readCString(0), 'abc');
+	assert.strictEqual(file.readCStringSync(4, 'utf16le'), 'dé');
+
+	var result = await file.createReadStruct(0).cstring('a').cstring('b', 'utf16le').read();
+	assert.deepStrictEqual(result, { a: 'abc', b: 'dé' });
+});
+
+test('cstring fails without terminator', async () => {
+	var file = File.fromBuffer(new Buffer('abcdef'));
+
+	await assert.rejects(file.readCString(0, { maxLength: 4 }));
+});
+
+test('length prefix in characters', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	await file.writeStringLenBE('äb', 0, 1, { unit: 'chars' });
+	assert.strictEqual(file.readSync(0, 1)[0], 2);
+	assert.strictEqual(await file.readStringLenBE(0, 1, { unit: 'chars' }), 'äb');
+});
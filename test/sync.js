@@ -0,0 +1,73 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+
+//
+// Synchronous API
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-sync-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function build(struct) {
+	return struct
+		.uintLE('code', 1)
+		.uint('op', 2)
+		.stringLenLE('title', 2);
+}
+
+test('openSync, sync helpers and closeSync', () => {
+	var file = File.openSync(path.join(dir, 'helpers'), { flags: 'w+' });
+
+	file.writeUIntLESync(0x0201, 0, 2);
+	file.writeStringLenBESync('hello', 2, 1);
+	file.writeBufferLenLESync(new Buffer([1, 2]), 8, 2);
+	assert.strictEqual(file.readUIntLESync(0, 2), 0x0201);
+	assert.strictEqual(file.readStringLenBESync(2, 1), 'hello');
+	assert.deepStrictEqual(file.readBufferLenLESync(8, 2), new Buffer([1, 2]));
+	assert.strictEqual(file.statSync().size, 12);
+
+	file.closeSync();
+	assert.strictEqual(file.isOpen(), false);
+	assert.deepStrictEqual(fs.readFileSync(file.filepath), new Buffer([1, 2, 5, 0x68, 0x65, 0x6c, 0x6c, 0x6f, 2, 0, 1, 2]));
+});
+
+test('readSync returns result and position like read', async () => {
+	var file = File.fromBuffer(new Buffer([9, 0, 1, 2, 0, 0x61, 0x62, 0xff]));
+
+	var args = await new Promise((resolve) => {
+		build(file.createReadStruct(0)).read((err, result, position) => resolve([err, result, position]));
+	});
+	assert.deepStrictEqual(args, [null, { code: 9, op: 1, title: 'ab' }, 7]);
+
+	var read = build(file.createReadStruct(0)).readSync();
+	assert.deepStrictEqual(read, { result: args[1], position: args[2] });
+
+	read = build(file.createReadStruct(0)).uint('rest', 1).readSync();
+	assert.strictEqual(read.position, 8);
+});
+
+test('writeSync returns position like write', async () => {
+	var value = (struct) => struct.uintLE(9, 1).uint(1, 2).stringLenLE('ab', 2);
+
+	var file = File.fromBuffer(new Buffer(0));
+	var position = await value(file.createWriteStruct(2)).write();
+	var sync = File.fromBuffer(new Buffer(0));
+	assert.strictEqual(value(sync.createWriteStruct(2)).writeSync(), position);
+	assert.strictEqual(position, 9);
+	assert.deepStrictEqual(sync.toBuffer(), file.toBuffer());
+});
+
+test('sync errors are thrown', () => {
+	var file = File.fromBuffer(new Buffer([1]));
+
+	assert.throws(() => build(file.createReadStruct(0)).readSync(), File.EOFError);
+	assert.throws(() => file.readUIntBESync(0, 2), File.EOFError);
+	assert.throws(() => File.openSync(path.join(dir, 'missing')), { code: 'ENOENT' });
+});
@@ -0,0 +1,220 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Transactions and atomic writes
+//
+
+var root = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-tx-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// each test has a directory of its own to check for temporary files
+var count = 0;
+function fixture(data) {
+	var dir = path.join(root, 'dir' + count++);
+	fs.mkdirSync(dir);
+	var filepath = path.join(dir, 'file');
+	if (data) fs.writeFileSync(filepath, data);
+	return filepath;
+}
+
+function files(filepath) {
+	return fs.readdirSync(path.dirname(filepath));
+}
+
+var Header = Struct.define({
+	magic: { type: 'string', length: 2 },
+	size: { type: 'uint', length: 2 }
+});
+
+test('transaction commits writes of a promise function', async () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4]));
+	var file = File.openSync(filepath);
+
+	await file.transaction(async (tx) => {
+		await tx.writeUIntBE(0xffee, 0, 2);
+		await tx.write(new Buffer([5]), 4);
+		// the file is unchanged until commit
+		assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 2, 3, 4]));
+	});
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([0xff, 0xee, 3, 4, 5]));
+	assert.deepStrictEqual(await file.read(0, 5), new Buffer([0xff, 0xee, 3, 4, 5]));
+	assert.deepStrictEqual(files(filepath), ['file']);
+	await file.close();
+});
+
+test('transaction commits writes of a callback function', (t, done) => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = File.openSync(filepath);
+
+	file.transaction((tx, cb) => {
+		tx.writeUIntBE(3, 0, 1, cb);
+	}, (err) => {
+		assert.ifError(err);
+		assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([3, 2]));
+		file.closeSync();
+		done();
+	});
+});
+
+test('transaction rolls back on error', async () => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = File.openSync(filepath);
+
+	var error = new Error('failed');
+	await assert.rejects(file.transaction(async (tx) => {
+		await tx.write(new Buffer([9, 9, 9]), 0);
+		throw error;
+	}), (err) => err === error);
+
+	await assert.rejects(file.transaction((tx) => {
+		tx.writeSync(new Buffer([9]), 0);
+		throw error;
+	}), (err) => err === error);
+
+	await assert.rejects(file.transaction((tx, cb) => {
+		tx.write(new Buffer([9]), 0, () => cb(error));
+	}), (err) => err === error);
+
+	// failed struct writes of a record after the header
+	await assert.rejects(file.transaction((tx) => Header.write(tx, 2, { magic: 'ab' })),
+		/Missing value for field 'size'/);
+
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 2]));
+	assert.deepStrictEqual(await file.read(0, 2), new Buffer([1, 2]));
+	assert.deepStrictEqual(files(filepath), ['file']);
+	await file.close();
+});
+
+test('other File objects keep the old contents', async () => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = File.openSync(filepath);
+	var other = File.openSync(filepath);
+
+	await file.transaction((tx) => tx.write(new Buffer([3]), 0));
+	assert.deepStrictEqual(await other.read(0, 2), new Buffer([1, 2]));
+	assert.deepStrictEqual(await file.read(0, 2), new Buffer([3, 2]));
+
+	other.closeSync();
+	file.closeSync();
+});
+
+test('transaction includes write-back cached writes', async () => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = await File.open(filepath, { cache: { writeBack: true } });
+
+	await file.write(new Buffer([7]), 0);
+	await file.transaction((tx) => tx.write(new Buffer([8]), 1));
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([7, 8]));
+	await file.close();
+});
+
+test('transaction keeps the locks of the File', async () => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = File.openSync(filepath);
+	var other = File.openSync(filepath);
+
+	file.lockSync();
+	await file.transaction((tx) => tx.write(new Buffer([3]), 0));
+	assert.throws(() => other.lockSync(), { code: 'ELOCKED' });
+	file.transactionSync((tx) => tx.writeSync(new Buffer([4]), 0));
+	assert.throws(() => other.lockSync(), { code: 'ELOCKED' });
+
+	file.closeSync();
+	other.lockSync();
+	other.closeSync();
+});
+
+test('transactionSync commits and returns the result', () => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = File.openSync(filepath, { flags: 'w+' });
+
+	var result = file.transactionSync((tx) => {
+		Header.writeSync(tx, 0, { magic: 'ab', size: 3 });
+		return 'done';
+	});
+	assert.strictEqual(result, 'done');
+	assert.deepStrictEqual(Header.readSync(file, 0), { magic: 'ab', size: 3 });
+	assert.deepStrictEqual(files(filepath), ['file']);
+
+	// reopened without truncating
+	file.closeSync();
+	file.openSync();
+	assert.strictEqual(file.statSync().size, 4);
+	file.closeSync();
+});
+
+test('transactionSync rolls back on error', () => {
+	var filepath = fixture(new Buffer([1, 2]));
+	var file = File.openSync(filepath);
+
+	assert.throws(() => file.transactionSync((tx) => {
+		tx.writeSync(new Buffer([9]), 0);
+		throw new Error('failed');
+	}), /failed/);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 2]));
+	assert.deepStrictEqual(file.readSync(0, 2), new Buffer([1, 2]));
+	assert.deepStrictEqual(files(filepath), ['file']);
+	file.closeSync();
+});
+
+test('writeAtomic writes buffers, schemas and struct functions', async () => {
+	var filepath = fixture();
+
+	assert.strictEqual(await File.writeAtomic(filepath, new Buffer([1, 2, 3])), 3);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 2, 3]));
+
+	assert.strictEqual(await File.writeAtomic(filepath, Header, { magic: 'ab', size: 1 }), 4);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([0x61, 0x62, 0, 1]));
+
+	var size = await new Promise((resolve, reject) => {
+		File.writeAtomic(filepath, (struct) => struct.uint(5, 1).string('c'), (err, size) => {
+			if (err) reject(err);
+			else resolve(size);
+		});
+	});
+	assert.strictEqual(size, 2);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([5, 0x63]));
+	assert.deepStrictEqual(files(filepath), ['file']);
+});
+
+test('writeAtomic replaces the file by rename', async () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4]));
+	var reader = File.openSync(filepath);
+
+	await File.writeAtomic(filepath, new Buffer([5]));
+	// the open file is the replaced one
+	assert.deepStrictEqual(reader.readSync(0, 4), new Buffer([1, 2, 3, 4]));
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([5]));
+	reader.closeSync();
+});
+
+test('writeAtomic leaves the file untouched on error', async () => {
+	var filepath = fixture(new Buffer([1, 2]));
+
+	await assert.rejects(File.writeAtomic(filepath, Header, { magic: 'ab' }), /Missing value/);
+	await assert.rejects(File.writeAtomic(filepath, (struct) => struct.uint(1, 1).uint(300, 1)));
+	assert.throws(() => File.writeAtomicSync(filepath, Header, { size: 1 }), /Missing value/);
+
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([1, 2]));
+	assert.deepStrictEqual(files(filepath), ['file']);
+	await assert.rejects(File.writeAtomic(path.join(filepath + '-missing', 'file'), new Buffer(1)), { code: 'ENOENT' });
+});
+
+test('writeAtomicSync', () => {
+	var filepath = fixture(new Buffer([1, 2, 3, 4, 5]));
+
+	assert.strictEqual(File.writeAtomicSync(filepath, Header, { magic: 'cd', size: 2 }), 4);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([0x63, 0x64, 0, 2]));
+	assert.strictEqual(File.writeAtomicSync(filepath, (struct) => struct.uint(1, 2)), 2);
+	assert.deepStrictEqual(fs.readFileSync(filepath), new Buffer([0, 1]));
+	assert.deepStrictEqual(files(filepath), ['file']);
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Type declarations
+//
+
+var declarations = fs.readFileSync(path.join(__dirname, '..', 'index.d.ts'), 'utf8');
+
+// body of a declared class or namespace, from the brace ending its first line
+function body(kind, name) {
+	var match = new RegExp('^\\s*(declare )?' + kind + ' ' + name + '\\b.*\\{$', 'm').exec(declarations);
+	assert.ok(match, kind + ' ' + name + ' is declared');
+	var start = match.index + match[0].length - 1;
+	for (var i = start, depth = 0; i < declarations.length; i++) {
+		if (declarations[i] === '{')
+			depth++;
+		else if (declarations[i] === '}' && --depth === 0)
+			return declarations.slice(start + 1, i);
+	}
+}
+
+function declares(text, name) {
+	return new RegExp('^\\s*(static |readonly |const |function |class |namespace )*' + name + '\\??\\s*[<(:;{ ]', 'm').test(text);
+}
+
+// public methods of a class, including the ones it inherits
+function methods(Class) {
+	var names = [];
+	for (var proto = Class.prototype; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+		Object.getOwnPropertyNames(proto).forEach((name) => {
+			if (name !== 'constructor' && name[0] !== '_' && typeof Object.getOwnPropertyDescriptor(proto, name).value === 'function')
+				names.push(name);
+		});
+	}
+	return names;
+}
+
+function missing(text, names) {
+	return names.filter((name, i) => names.indexOf(name) === i && !declares(text, name));
+}
+
+test('exports are declared', () => {
+	var namespace = body('namespace', 'File');
+	var file = body('class', 'File');
+
+	assert.deepStrictEqual(missing(namespace + file, Object.keys(File)), []);
+	assert.deepStrictEqual(missing(body('namespace', 'Struct'), Object.keys(Struct)), []);
+	assert.deepStrictEqual(missing(body('namespace', 'stream'), Object.keys(File.stream)), []);
+	assert.deepStrictEqual(missing(body('namespace', 'formats'), Object.keys(File.formats)), []);
+});
+
+test('methods of File are declared', () => {
+	var own = methods(File).filter((name) => File.MemoryFile.prototype[name] === File.prototype[name]);
+
+	assert.deepStrictEqual(missing(body('class', 'File'), own), []);
+});
+
+test('methods of classes are declared', () => {
+	var classes = {
+		Cursor: File.Cursor,
+		RecordFile: File.RecordFile,
+		Checksum: File.Checksum,
+		Schema: Struct.Schema,
+		Versioned: Struct.Versioned,
+		Read: Struct.Read,
+		Write: Struct.Write,
+		Dump: File.fromBuffer(new Buffer(1)).createReadStruct(0).uint('a', 1).dumpSync().constructor
+	};
+
+	Object.keys(classes).forEach((name) => {
+		assert.deepStrictEqual(missing(body('class', name), methods(classes[name])), [], name);
+	});
+});
+
+test('struct reads are typed with their position', () => {
+	var read = body('class', 'Read');
+
+	assert.match(read, /readSync\(\): \{ result: T; position: number \}/);
+	assert.match(read, /read\(\): Promise<T>;/);
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Varints
+//
+
+var vectors = {
+	VarUInt: [
+		[0, [0x00]],
+		[127, [0x7f]],
+		[128, [0x80, 0x01]],
+		[300, [0xac, 0x02]],
+		[Number.MAX_SAFE_INTEGER, [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x0f]]
+	],
+	VarInt: [
+		[0, [0x00]],
+		[-1, [0x7f]],
+		[63, [0x3f]],
+		[64, [0xc0, 0x00]],
+		[-64, [0x40]],
+		[-65, [0xbf, 0x7f]],
+		[-123456, [0xc0, 0xbb, 0x78]],
+		[-Number.MAX_SAFE_INTEGER, [0x81, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x70]]
+	],
+	ZigZag: [
+		[0, [0x00]],
+		[-1, [0x01]],
+		[1, [0x02]],
+		[-2, [0x03]],
+		[2147483647, [0xfe, 0xff, 0xff, 0xff, 0x0f]],
+		[-2147483648, [0xff, 0xff, 0xff, 0xff, 0x0f]]
+	]
+};
+
+Object.keys(vectors).forEach((type) => {
+	test(type + ' round trip', async () => {
+		for (var vector of vectors[type]) {
+			var value = vector[0];
+			var bytes = new Buffer(vector[1]);
+			var file = File.fromBuffer(new Buffer(0));
+
+			assert.strictEqual(file['write' + type + 'Sync'](value, 1), bytes.length, String(value));
+			assert.deepStrictEqual(file.toBuffer().slice(1), bytes, String(value));
+			assert.strictEqual(file['read' + type + 'Sync'](1), value);
+
+			await new Promise((resolve) => {
+				file['read' + type](1, (err, read, bytesRead) => {
+					assert.ifError(err);
+					assert.strictEqual(read, value);
+					assert.strictEqual(bytesRead, bytes.length);
+					resolve();
+				});
+			});
+		}
+	});
+});
+
+test('invalid values', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.throws(() => file.writeVarUIntSync(-1, 0), { name: 'RangeError', message: 'Varint value -1 is out of range' });
+	assert.throws(() => file.writeVarIntSync(Math.pow(2, 53), 0), RangeError);
+	assert.throws(() => file.writeZigZagSync(1.5, 0), { name: 'TypeError', message: 'Varint value must be an integer, got 1.5' });
+	await assert.rejects(file.writeVarUInt(-1, 0), RangeError);
+	assert.strictEqual(file.toBuffer().length, 0);
+});
+
+test('invalid data', async () => {
+	var file = File.fromBuffer(new Buffer(11).fill(0x80));
+	assert.throws(() => file.readVarUIntSync(0), { name: 'BinFileError', message: 'Varint is longer than 10 bytes', offset: 0 });
+
+	file = File.fromBuffer(new Buffer([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x7f]));
+	await assert.rejects(file.readVarUInt(0), /Varint value is out of safe integer range/);
+
+	// data ends before the last byte
+	file = File.fromBuffer(new Buffer([0x01, 0x80, 0x80]));
+	await assert.rejects(file.readVarUInt(1), { name: 'EOFError', offset: 1, length: 3, available: 2 });
+	assert.throws(() => file.readZigZagSync(3), { name: 'EOFError', available: 0 });
+});
+
+test('varint length prefixes', async () => {
+	var file = File.fromBuffer(new Buffer(0));
+	var long = new Buffer(200).fill(0x61).toString();
+
+	assert.strictEqual(file.writeStringLenSync('ab', 0, 'varint'), 3);
+	assert.strictEqual(await file.writeBufferLenLE(new Buffer(long), 3, 'varint'), 202);
+	assert.deepStrictEqual(file.toBuffer().slice(0, 5), new Buffer([0x02, 0x61, 0x62, 0xc8, 0x01]));
+
+	assert.strictEqual(file.readStringLenSync(0, 'varint'), 'ab');
+	assert.strictEqual((await file.readBufferLenLE(3, 'varint')).toString(), long);
+});
+
+test('struct and schema varints', () => {
+	var file = File.fromBuffer(new Buffer(0));
+
+	var end = file.createWriteStruct(0)
+		.varUInt(300)
+		.varInt(-65)
+		.zigZag(-2)
+		.stringLen('abc', 'varint')
+		.writeSync();
+	assert.strictEqual(end, 9);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0xac, 0x02, 0xbf, 0x7f, 0x03, 0x03, 0x61, 0x62, 0x63]));
+
+	var read = file.createReadStruct(0).varUInt('a').varInt('b').zigZag('c').stringLen('d', 'varint').readSync();
+	assert.deepStrictEqual(read, { result: { a: 300, b: -65, c: -2, d: 'abc' }, position: 9 });
+
+	var Record = Struct.define({
+		a: { type: 'varUInt' },
+		b: { type: 'varInt' },
+		c: { type: 'zigZag' },
+		d: { type: 'stringLen', length: 'varint' }
+	});
+	assert.deepStrictEqual(Record.readSync(file, 0), { a: 300, b: -65, c: -2, d: 'abc' });
+	var copy = File.fromBuffer(new Buffer(0));
+	assert.strictEqual(Record.writeSync(copy, 0, { a: 300, b: -65, c: -2, d: 'abc' }), 9);
+	assert.deepStrictEqual(copy.toBuffer(), file.toBuffer());
+	assert.strictEqual(Record.size(), null);
+});
+
+test('cursor varints', async () => {
+	var cursor = File.fromBuffer(new Buffer([0xac, 0x02, 0x7f])).cursor();
+
+	assert.deepStrictEqual(await Promise.all([cursor.readVarUInt(), cursor.readVarInt()]), [300, -1]);
+	assert.strictEqual(cursor.tell(), 3);
+});
@@ -0,0 +1,222 @@
+"use strict";
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var File = require('..');
+var Struct = File.Struct;
+
+//
+// Versioned layouts and upgrades
+//
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-file-versioned-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+var count = 0;
+function fixture(data) {
+	var filepath = path.join(dir, 'file' + count++);
+	fs.writeFileSync(filepath, data);
+	return filepath;
+}
+
+var V1 = Struct.define({
+	magic: { type: 'string', length: 2 },
+	version: { type: 'uint', length: 1 },
+	a: { type: 'uint', length: 1 }
+});
+
+var V2 = Struct.define({
+	magic: { type: 'string', length: 2 },
+	version: { type: 'uint', length: 1 },
+	a: { type: 'uint', length: 1 },
+	name: { type: 'stringLen', length: 1 }
+});
+
+var V3 = Struct.define({
+	magic: { type: 'string', length: 2 },
+	version: { type: 'uint', length: 1 },
+	name: { type: 'stringLen', length: 1 }
+});
+
+function header() {
+	return Struct.versioned({ field: 'version' })
+		.add(1, V1)
+		.add(2, V2, (v1) => Object.assign(v1, { name: 'xyz' }))
+		.add(3, V3, (v2) => {
+			delete v2.a;
+			return v2;
+		});
+}
+
+var trailer = new Buffer([0xaa, 0xbb, 0xcc]);
+
+function encode(layout, value) {
+	var file = File.fromBuffer(new Buffer(0));
+	layout.writeSync(file, 0, value);
+	return file.toBuffer();
+}
+
+test('read with the layout of the version', async () => {
+	var Header = header();
+	var file = File.fromBuffer(encode(V2, { magic: 'BF', version: 2, a: 5, name: 'n' }));
+
+	assert.strictEqual(await Header.detect(file, 0), 2);
+	assert.deepStrictEqual(await Header.read(file, 0), { magic: 'BF', version: 2, a: 5, name: 'n' });
+	assert.deepStrictEqual(Header.readSync(file, 0), { magic: 'BF', version: 2, a: 5, name: 'n' });
+	assert.deepStrictEqual(Header.versions(), [1, 2, 3]);
+	assert.strictEqual(Header.latest(), 3);
+});
+
+test('write with the layout of the value version', async () => {
+	var Header = header();
+	var file = File.fromBuffer(new Buffer(0));
+
+	assert.strictEqual(await Header.write(file, 0, { magic: 'BF', version: 1, a: 5 }), 4);
+	assert.deepStrictEqual(file.toBuffer(), new Buffer([0x42, 0x46, 1, 5]));
+	assert.strictEqual(Header.writeSync(file, 0, { magic: 'BF', version: 3, name: 'ab' }), 6);
+	await assert.rejects(Header.write(file, 0, { version: 4 }), /Unknown version 4/);
+});
+
+test('unknown version', async () => {
+	var Header = header();
+	var file = File.fromBuffer(new Buffer([0x42, 0x46, 9, 0]));
+
+	await assert.rejects(Header.read(file, 0), { message: "Unknown version 9 in field 'version'", version: 9 });
+	assert.throws(() => Header.readSync(file, 0), /Unknown version 9/);
+	await assert.rejects(Header.upgrade(file), /Unknown version 9/);
+});
+
+test('migrate through each version', () => {
+	var Header = header();
+
+	assert.deepStrictEqual(Header.migrate({ magic: 'BF', version: 1, a: 5 }), { magic: 'BF', version: 3, name: 'xyz' });
+	assert.deepStrictEqual(Header.migrate({ magic: 'BF', version: 1, a: 5 }, 2), { magic: 'BF', version: 2, a: 5, name: 'xyz' });
+	assert.throws(() => Header.migrate({ version: 3 }, 1), /Can not migrate version 3 to older version 1/);
+});
+
+test('growing upgrade moves trailing data', async () => {
+	var Header = header();
+	var filepath = fixture(Buffer.concat([encode(V1, { magic: 'BF', version: 1, a: 5 }), trailer]));
+	var file = File.openSync(filepath);
+
+	var report = await Header.upgrade(file);
+	assert.deepStrictEqual(report, {
+		from: 1,
+		to: 3,
+		steps: [2, 3],
+		before: { magic: 'BF', version: 1, a: 5 },
+		after: { magic: 'BF', version: 3, name: 'xyz' },
+		oldSize: 4,
+		newSize: 7,
+		written: true
+	});
+	assert.deepStrictEqual(fs.readFileSync(filepath),
+		Buffer.concat([encode(V3, report.after), trailer]));
+	assert.deepStrictEqual(await Header.read(file, 0), report.after);
+	file.closeSync();
+});
+
+test('shrinking upgrade moves trailing data and truncates', () => {
+	var Header = header();
+	var prefix = new Buffer([1, 2]);
+	var filepath = fixture(Buffer.concat([prefix, encode(V2, { magic: 'BF', version: 2, a: 5, name: 'hello' }), trailer]));
+	var file = File.openSync(filepath);
+
+	var report = Header.upgradeSync(file, { pos: 2 });
+	assert.deepStrictEqual(report.steps, [3]);
+	assert.strictEqual(report.oldSize, 10);
+	assert.strictEqual(report.newSize, 9);
+	assert.deepStrictEqual(fs.readFileSync(filepath),
+		Buffer.concat([prefix, encode(V3, { magic: 'BF', version: 3, name: 'hello' }), trailer]));
+	file.closeSync();
+});
+
+test('trailing data larger than a chunk', async () => {
+	var Header = header();
+	var rest = new Buffer(70000);
+	for (var i = 0; i < rest.length; i++)
+		rest[i] = i % 251;
+	var filepath = fixture(Buffer.concat([encode(V1, { magic: 'BF', version: 1, a: 5 }), rest]));
+	var file = File.openSync(filepath);
+
+	await Header.upgrade(file);
+	var data = fs.readFileSync(filepath);
+	assert.strictEqual(data.length, 7 + rest.length);
+	assert.deepStrictEqual(data.slice(7), rest);
+	file.closeSync();
+});
+
+test('dry run writes nothing', async () => {
+	var Header = header();
+	var data = Buffer.concat([encode(V1, { magic: 'BF', version: 1, a: 5 }), trailer]);
+	var filepath = fixture(data);
+	var file = File.openSync(filepath);
+
+	var report = await Header.upgrade(file, { dryRun: true });
+	assert.strictEqual(report.written, false);
+	assert.deepStrictEqual(report.steps, [2, 3]);
+	assert.strictEqual(report.newSize, 7);
+	assert.strictEqual(Header.upgradeSync(file, { dryRun: true }).written, false);
+	assert.deepStrictEqual(fs.readFileSync(filepath), data);
+	file.closeSync();
+});
+
+test('latest version is not rewritten', async () => {
+	var Header = header();
+	var file = File.openSync(fixture(encode(V3, { magic: 'BF', version: 3, name: 'a' })));
+
+	var report = await Header.upgrade(file);
+	assert.deepStrictEqual(report.steps, []);
+	assert.strictEqual(report.written, false);
+	file.closeSync();
+});
+
+test('missing migration fails without writing', async () => {
+	var Header = Struct.versioned({ field: 'version' })
+		.add(1, V1)
+		.add(3, V3);
+	var data = encode(V1, { magic: 'BF', version: 1, a: 5 });
+	var filepath = fixture(data);
+	var file = File.openSync(filepath);
+
+	await assert.rejects(Header.upgrade(file), /No migration to version 3/);
+	assert.throws(() => Header.upgradeSync(file), /No migration to version 3/);
+	assert.deepStrictEqual(fs.readFileSync(filepath), data);
+	file.closeSync();
+});
+
+test('migrated value must encode', async () => {
+	var Header = Struct.versioned({ field: 'version' })
+		.add(1, V1)
+		.add(3, V3, (v1) => v1);
+	var data = encode(V1, { magic: 'BF', version: 1, a: 5 });
+	var file = File.openSync(fixture(data));
+
+	await assert.rejects(Header.upgrade(file), /Missing value for field 'name'/);
+	file.closeSync();
+});
+
+test('discriminator keeps checksum ranges', async () => {
+	var Checked = Struct.define({
+		magic: { type: 'string', length: 2 },
+		flags: { type: 'uint', length: 1 },
+		crc: { type: 'checksum', algorithm: 'sum', length: 1, start: 'flags', end: 'flags' },
+		version: { type: 'uint', length: 1 }
+	});
+	var Header = Struct.versioned({ field: 'version' }).add(1, Checked);
+	var file = File.fromBuffer(encode(Checked, { magic: 'BF', flags: 7, version: 1 }));
+
+	assert.strictEqual(file.readSync(3, 1)[0], 7);
+	assert.strictEqual(await Header.detect(file, 0), 1);
+	assert.deepStrictEqual(await Header.read(file, 0), { magic: 'BF', flags: 7, crc: 7, version: 1 });
+});
+
+test('adding layouts checks versions and the field', () => {
+	assert.throws(() => Struct.versioned({}), /Missing version field name/);
+	assert.throws(() => header().add(1, V1), /Version 1 is already added/);
+	assert.throws(() => header().add(4, Struct.define({ a: { type: 'uint', length: 1 } })), /has no field 'version'/);
+});